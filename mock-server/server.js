@@ -0,0 +1,537 @@
+/**
+ * Local mock API server
+ * Stand-in for the pathtrack endpoints used by src/index.md, so the whole
+ * upload-to-visualization flow works without network access:
+ *
+ *   POST /api/v1/pathtrack/sequence/embed      (multipart: file, model)
+ *   POST /api/v1/pathtrack/sequence/uploads    (chunked upload session: file_name, size, model)
+ *   GET  /api/v1/pathtrack/sequence/uploads/:id
+ *   PUT  /api/v1/pathtrack/sequence/uploads/:id?offset=   (raw chunk bytes)
+ *   POST /api/v1/pathtrack/sequence/uploads/:id/complete
+ *   GET  /api/v1/pathtrack/jobs/:id
+ *   GET  /api/v1/pathtrack/jobs/:id/events     (job status as server-sent events)
+ *   POST /api/v1/pathtrack/sequence/umap?job_id=
+ *   POST /api/v1/pathtrack/sequence/similar?job_id=
+ *   GET  /api/v1/pathtrack/umap/all            (NDJSON reference set per embedding_model)
+ *   GET  /api/v1/pathtrack/sequences/:id       (reference sequence, for pairwise alignment)
+ *   GET  /api/v1/pathtrack/models              (embedding models)
+ *
+ * Data is generated from a seed (src/components/data/mock-data.js), so every
+ * run with the same seed and the same uploaded sequence returns the same results.
+ *
+ * Usage: npm run mock-api -- --job-latency 5000 --error-rate 0.1
+ * Then open the dashboard with ?apiProfile=local
+ */
+
+import http from 'node:http'
+import { parseArgs } from 'node:util'
+import {
+  DEFAULT_SEED,
+  createSeededRandom,
+  createMockBackend,
+} from '../src/components/data/mock-data.js'
+
+const API_PREFIX = '/api/v1'
+
+const { values: args } = parseArgs({
+  options: {
+    port: { type: 'string' },
+    seed: { type: 'string' },
+    'reference-size': { type: 'string' },
+    'job-latency': { type: 'string' },
+    'response-delay': { type: 'string' },
+    'error-rate': { type: 'string' },
+    'error-status': { type: 'string' },
+    'job-failure-rate': { type: 'string' },
+    'upload-chunk-size': { type: 'string' },
+    'api-key': { type: 'string' },
+  },
+})
+
+/**
+ * Read a numeric setting from a CLI flag, then an environment variable, then a default
+ * @param {string} flag - CLI flag name
+ * @param {string} envName - Environment variable name
+ * @param {number} fallback - Default value
+ * @returns {number} Setting value
+ */
+function numberSetting(flag, envName, fallback) {
+  const raw = args[flag] ?? process.env[envName]
+  const value = Number(raw)
+  return raw != null && !Number.isNaN(value) ? value : fallback
+}
+
+// Runtime settings (can also be changed with POST /__mock/config)
+const settings = {
+  port: numberSetting('port', 'MOCK_API_PORT', 8000),
+  seed: numberSetting('seed', 'MOCK_API_SEED', DEFAULT_SEED),
+  referenceSize: numberSetting(
+    'reference-size',
+    'MOCK_API_REFERENCE_SIZE',
+    2000
+  ),
+  // Time from upload until a job completes
+  jobLatencyMs: numberSetting('job-latency', 'MOCK_API_JOB_LATENCY_MS', 8000),
+  // Added to every response
+  responseDelayMs: numberSetting(
+    'response-delay',
+    'MOCK_API_RESPONSE_DELAY_MS',
+    150
+  ),
+  // Fraction of requests answered with errorStatus (e.g. 503, 429, 500)
+  errorRate: numberSetting('error-rate', 'MOCK_API_ERROR_RATE', 0),
+  errorStatus: numberSetting('error-status', 'MOCK_API_ERROR_STATUS', 503),
+  // Fraction of jobs that end as 'failed'
+  jobFailureRate: numberSetting(
+    'job-failure-rate',
+    'MOCK_API_JOB_FAILURE_RATE',
+    0
+  ),
+  // Chunk size offered to chunked uploads (bytes)
+  uploadChunkSize: numberSetting(
+    'upload-chunk-size',
+    'MOCK_API_UPLOAD_CHUNK_SIZE',
+    1024 * 1024
+  ),
+  // If set, requests must send this key (X-API-Key or Bearer)
+  apiKey: args['api-key'] ?? process.env.MOCK_API_KEY ?? null,
+}
+
+const isRate = (value) => Number.isFinite(value) && value >= 0 && value <= 1
+const isDuration = (value) => Number.isFinite(value) && value >= 0
+
+// Settings POST /__mock/config may change, with the check each value must pass.
+// The port and the API key are fixed at startup.
+const CONFIGURABLE_SETTINGS = {
+  seed: Number.isInteger,
+  referenceSize: (value) =>
+    Number.isInteger(value) && value > 0 && value <= 100000,
+  jobLatencyMs: isDuration,
+  responseDelayMs: isDuration,
+  errorRate: isRate,
+  errorStatus: (value) =>
+    Number.isInteger(value) && value >= 400 && value <= 599,
+  jobFailureRate: isRate,
+  uploadChunkSize: (value) => Number.isInteger(value) && value > 0,
+}
+
+/**
+ * The settings without the API key, for responses and logs
+ * @returns {Object} Settings, with apiKeyRequired instead of the key
+ */
+function publicSettings() {
+  const { apiKey, ...rest } = settings
+  return { ...rest, apiKeyRequired: Boolean(apiKey) }
+}
+
+const backend = createMockBackend({
+  seed: settings.seed,
+  referenceSize: settings.referenceSize,
+  jobLatencyMs: settings.jobLatencyMs,
+  jobFailureRate: settings.jobFailureRate,
+  uploadChunkSize: settings.uploadChunkSize,
+})
+let referenceBodies = new Map() // NDJSON reference bodies by model
+let failureRandom = null
+
+/**
+ * Drop cached NDJSON reference bodies and reset the request failure sequence
+ */
+function seedData() {
+  referenceBodies = new Map()
+  failureRandom = createSeededRandom(settings.seed + 2)
+  console.log(
+    `🌱 Generated ${backend.referenceSet.length} reference records (seed ${settings.seed})`
+  )
+}
+
+/**
+ * Wait for a delay
+ * @param {number} ms - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+/**
+ * Set CORS headers so the dashboard (another origin) can call the server
+ * @param {http.ServerResponse} res - Response
+ */
+function setCorsHeaders(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*')
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS')
+  res.setHeader(
+    'Access-Control-Allow-Headers',
+    'Content-Type, Accept, Authorization, X-API-Key'
+  )
+  res.setHeader('Access-Control-Expose-Headers', 'Content-Length, Retry-After')
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @param {Object} headers - Extra headers
+ */
+function sendJson(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Send a { status, body } result from the mock backend
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} result - Backend result
+ */
+function sendResult(res, { status, body }) {
+  sendJson(res, status, body)
+}
+
+/**
+ * Read the full request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Body
+ */
+async function readBody(req) {
+  const chunks = []
+  for await (const chunk of req) chunks.push(chunk)
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Check the API key when the server was started with one
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} True if the request is authorized
+ */
+function isAuthorized(req) {
+  if (!settings.apiKey) return true
+  const bearer = req.headers.authorization?.replace(/^Bearer\s+/i, '')
+  return (req.headers['x-api-key'] || bearer) === settings.apiKey
+}
+
+/**
+ * POST /pathtrack/sequence/embed
+ */
+async function handleEmbed(req, res, url) {
+  const body = await readBody(req)
+  let form
+  try {
+    form = await new Request(url, {
+      method: 'POST',
+      headers: { 'content-type': req.headers['content-type'] || '' },
+      body,
+    }).formData()
+  } catch (error) {
+    sendJson(res, 422, { detail: 'Expected multipart form data' })
+    return
+  }
+
+  const file = form.get('file')
+  if (!file || typeof file === 'string') {
+    sendJson(res, 422, { detail: 'Missing file' })
+    return
+  }
+
+  const result = backend.createJob(await file.text(), {
+    model: form.get('model') || 'DNABERT-S',
+    fileName: file.name,
+  })
+  if (result.job) {
+    console.log(
+      `📤 Job ${result.job.id} created (${file.name}, ${result.job.length} bp${
+        result.job.willFail ? ', will fail' : ''
+      })`
+    )
+  }
+  sendResult(res, result)
+}
+
+/**
+ * POST /pathtrack/sequence/uploads
+ */
+async function handleCreateUpload(req, res) {
+  let upload
+  try {
+    upload = JSON.parse((await readBody(req)).toString() || '{}')
+  } catch (error) {
+    sendJson(res, 422, { detail: 'Invalid JSON body' })
+    return
+  }
+  const result = backend.createUpload(upload)
+  if (result.status === 200) {
+    console.log(
+      `📤 Upload ${result.body.upload_id} opened (${upload.file_name}, ${upload.size} bytes)`
+    )
+  }
+  sendResult(res, result)
+}
+
+/**
+ * PUT /pathtrack/sequence/uploads/:id?offset=
+ */
+async function handleUploadChunk(req, res, url, uploadId) {
+  const bytes = new Uint8Array(await readBody(req))
+  const offset = Number(url.searchParams.get('offset'))
+  sendResult(res, backend.appendUpload(uploadId, offset, bytes))
+}
+
+/**
+ * POST /pathtrack/sequence/uploads/:id/complete
+ */
+function handleCompleteUpload(req, res, uploadId) {
+  const result = backend.completeUpload(uploadId)
+  if (result.job) {
+    console.log(
+      `📤 Job ${result.job.id} created from upload ${uploadId} (${result.job.length} bp)`
+    )
+  }
+  sendResult(res, result)
+}
+
+/**
+ * GET /pathtrack/jobs/:id
+ */
+function handleJobStatus(req, res, jobId) {
+  sendResult(res, backend.getJobStatus(jobId))
+}
+
+/**
+ * GET /pathtrack/jobs/:id/events - pushes the job status whenever it changes
+ * until the job completes or fails
+ */
+async function handleJobEvents(req, res, jobId) {
+  let result = backend.getJobStatus(jobId)
+  if (result.status !== 200) return sendResult(res, result)
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+  })
+  let lastSent = null
+  for (;;) {
+    if (res.destroyed) return // Client went away
+    const payload = JSON.stringify(result.body)
+    if (payload !== lastSent) {
+      res.write(`event: status\ndata: ${payload}\n\n`)
+      lastSent = payload
+    } else {
+      res.write(': keep-alive\n\n')
+    }
+    if (['completed', 'failed'].includes(result.body.status)) break
+    await delay(500)
+    result = backend.getJobStatus(jobId)
+  }
+  res.end()
+}
+
+/**
+ * GET /pathtrack/sequences/:id
+ */
+function handleReferenceSequence(req, res, sequenceId) {
+  sendResult(res, backend.getReferenceSequence(sequenceId))
+}
+
+/**
+ * POST /pathtrack/sequence/umap?job_id=
+ */
+function handleProjection(req, res, url) {
+  sendResult(res, backend.getProjection(url.searchParams.get('job_id')))
+}
+
+/**
+ * POST /pathtrack/sequence/similar?job_id=
+ */
+async function handleSimilar(req, res, url) {
+  let query = {}
+  try {
+    const body = (await readBody(req)).toString()
+    query = body ? JSON.parse(body) : {}
+  } catch (error) {
+    sendJson(res, 422, { detail: 'Invalid JSON body' })
+    return
+  }
+  sendResult(res, backend.getSimilar(url.searchParams.get('job_id'), query))
+}
+
+/**
+ * GET /pathtrack/umap/all - streamed in chunks so progressive loading can be exercised
+ */
+async function handleUmapAll(req, res, url) {
+  const model = url.searchParams.get('embedding_model') || undefined
+  const key = model || ''
+  if (!referenceBodies.has(key)) {
+    referenceBodies.set(key, Buffer.from(backend.getReferenceNdjson(model)))
+  }
+  const buffer = referenceBodies.get(key)
+  res.writeHead(200, {
+    'Content-Type': 'application/x-ndjson',
+    'Content-Length': buffer.length,
+  })
+  const chunkSize = 64 * 1024
+  for (let offset = 0; offset < buffer.length; offset += chunkSize) {
+    if (res.destroyed) return // Client cancelled
+    res.write(buffer.subarray(offset, offset + chunkSize))
+    await delay(20)
+  }
+  res.end()
+}
+
+/**
+ * GET/POST /__mock/config - inspect or change settings at runtime.
+ * Only CONFIGURABLE_SETTINGS can be changed, with a JSON body and the API key
+ * if the server requires one. No CORS headers are sent for this path (see
+ * handleRequest), so other pages in the browser can't send the JSON POST:
+ * its preflight fails.
+ */
+async function handleMockConfig(req, res) {
+  if (req.method === 'POST') {
+    if (!isAuthorized(req)) {
+      sendJson(res, 401, { detail: 'Invalid or missing API key' })
+      return
+    }
+    if (!req.headers['content-type']?.startsWith('application/json')) {
+      sendJson(res, 415, { detail: 'Expected Content-Type: application/json' })
+      return
+    }
+    let updates
+    try {
+      updates = JSON.parse((await readBody(req)).toString() || '{}')
+    } catch (error) {
+      sendJson(res, 422, { detail: 'Invalid JSON body' })
+      return
+    }
+    if (!updates || typeof updates !== 'object' || Array.isArray(updates)) {
+      sendJson(res, 422, { detail: 'Expected a JSON object' })
+      return
+    }
+    const rejected = Object.keys(updates).filter(
+      (key) =>
+        !Object.hasOwn(CONFIGURABLE_SETTINGS, key) ||
+        !CONFIGURABLE_SETTINGS[key](updates[key])
+    )
+    if (rejected.length) {
+      sendJson(res, 422, {
+        detail: `Unknown or invalid settings: ${rejected.join(', ')}`,
+        configurable: Object.keys(CONFIGURABLE_SETTINGS),
+      })
+      return
+    }
+    Object.assign(settings, updates)
+    backend.configure(updates)
+    if ('seed' in updates || 'referenceSize' in updates) seedData()
+    console.log('⚙️ Mock settings updated:', updates)
+  }
+  sendJson(res, 200, publicSettings())
+}
+
+/**
+ * Route a request
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ */
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`)
+  const path = url.pathname.startsWith(API_PREFIX)
+    ? url.pathname.slice(API_PREFIX.length)
+    : url.pathname
+
+  // Pages can call the API from any origin, but not change the settings
+  if (path !== '/__mock/config') setCorsHeaders(res)
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204)
+    res.end()
+    return
+  }
+  console.log(`➡️ ${req.method} ${url.pathname}${url.search}`)
+
+  if (path === '/__mock/config') return handleMockConfig(req, res)
+  if (path === '/health') return sendJson(res, 200, { status: 'ok', mock: true })
+
+  await delay(settings.responseDelayMs)
+
+  if (!isAuthorized(req)) {
+    sendJson(res, 401, { detail: 'Invalid or missing API key' })
+    return
+  }
+
+  // Failure injection
+  if (failureRandom() < settings.errorRate) {
+    console.log(`💥 Injected ${settings.errorStatus} for ${path}`)
+    const headers = settings.errorStatus === 429 ? { 'Retry-After': '2' } : {}
+    sendJson(
+      res,
+      settings.errorStatus,
+      { detail: 'Injected failure (mock server)' },
+      headers
+    )
+    return
+  }
+
+  const jobMatch = path.match(/^\/pathtrack\/jobs\/([^/]+)(\/events)?$/)
+  const sequenceMatch = path.match(/^\/pathtrack\/sequences\/([^/]+)$/)
+  const uploadMatch = path.match(
+    /^\/pathtrack\/sequence\/uploads\/([^/]+)(\/complete)?$/
+  )
+  const uploadId = uploadMatch && decodeURIComponent(uploadMatch[1])
+
+  if (req.method === 'POST' && path === '/pathtrack/sequence/embed') {
+    return handleEmbed(req, res, url)
+  }
+  if (req.method === 'POST' && path === '/pathtrack/sequence/uploads') {
+    return handleCreateUpload(req, res)
+  }
+  if (req.method === 'GET' && uploadMatch && !uploadMatch[2]) {
+    return sendResult(res, backend.getUpload(uploadId))
+  }
+  if (req.method === 'PUT' && uploadMatch && !uploadMatch[2]) {
+    return handleUploadChunk(req, res, url, uploadId)
+  }
+  if (req.method === 'POST' && uploadMatch?.[2]) {
+    return handleCompleteUpload(req, res, uploadId)
+  }
+  if (req.method === 'GET' && path === '/pathtrack/models') {
+    return sendResult(res, backend.listModels())
+  }
+  if (req.method === 'GET' && jobMatch?.[2]) {
+    return handleJobEvents(req, res, decodeURIComponent(jobMatch[1]))
+  }
+  if (req.method === 'GET' && jobMatch) {
+    return handleJobStatus(req, res, decodeURIComponent(jobMatch[1]))
+  }
+  if (req.method === 'GET' && sequenceMatch) {
+    return handleReferenceSequence(
+      req,
+      res,
+      decodeURIComponent(sequenceMatch[1])
+    )
+  }
+  if (req.method === 'POST' && path === '/pathtrack/sequence/umap') {
+    return handleProjection(req, res, url)
+  }
+  if (req.method === 'POST' && path === '/pathtrack/sequence/similar') {
+    return handleSimilar(req, res, url)
+  }
+  if (req.method === 'GET' && path === '/pathtrack/umap/all') {
+    return handleUmapAll(req, res, url)
+  }
+
+  sendJson(res, 404, { detail: `No mock for ${req.method} ${path}` })
+}
+
+seedData()
+
+http
+  .createServer((req, res) => {
+    handleRequest(req, res).catch((error) => {
+      console.error('❌ Mock server error:', error)
+      if (!res.headersSent) sendJson(res, 500, { detail: error.message })
+      else res.destroy()
+    })
+  })
+  .listen(settings.port, () => {
+    console.log(
+      `🧪 Mock pathtrack API listening on http://localhost:${settings.port}${API_PREFIX}`
+    )
+    console.log('⚙️ Settings:', publicSettings())
+  })
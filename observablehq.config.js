@@ -21,8 +21,13 @@ export default {
     },
   ],
 
-  // Content to add to the head of the page, e.g. for a favicon:
-  head: '<link rel="icon" href="images/observable.png" type="image/png" sizes="32x32">',
+  // Content to add to the head of the page, e.g. for a favicon.
+  // The api-profile meta tag selects the default API environment
+  // (development, staging, production or local); it can be overridden with
+  // the ?apiProfile= URL parameter or the API Settings panel.
+  // The data-mode meta tag selects the default data source (live, mock or
+  // recorded); it can be overridden with ?dataMode= (and ?mockSeed=).
+  head: '<link rel="icon" href="images/observable.png" type="image/png" sizes="32x32"><meta name="api-profile" content="development"><meta name="data-mode" content="live">',
 
   // The path to the source root.
   root: 'src',
@@ -0,0 +1,304 @@
+/**
+ * Analysis history
+ * IndexedDB-backed record of past analyses: job ID, file name, model,
+ * similarity query and the fetched projection and similarity results, so an
+ * analysis can be reopened after a reload without calling the API again.
+ * Falls back to an in-memory store when IndexedDB is unavailable.
+ */
+
+const DB_NAME = 'pathgen-analysis-history'
+const DB_VERSION = 1
+const SUMMARY_STORE = 'summaries' // { id, jobId, fileName, label, model, similarityQuery, dataSource, resultCount, createdAt, updatedAt }
+const RESULT_STORE = 'results' // { id, userSequence, similarSequences, record } - kept separate so listing never loads results
+
+const HISTORY_LIMITS = {
+  maxEntries: 50, // Oldest analyses are dropped beyond this
+  maxSequenceLength: 1000000, // Longer uploaded sequences aren't stored (no profile/alignment on reopen)
+}
+
+let dbPromise = null
+let backend = 'indexeddb' // Switches to 'memory' if IndexedDB can't be used
+const memoryStore = new Map() // Fallback when IndexedDB is unavailable
+const changeCallbacks = []
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Wait for a transaction to commit
+ * @param {IDBTransaction} tx - IndexedDB transaction
+ * @returns {Promise<void>} Resolves on completion
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+/**
+ * Open (once) the history database
+ * @returns {Promise<IDBDatabase|null>} Database or null if IndexedDB is unavailable
+ */
+function openDb() {
+  if (dbPromise) return dbPromise
+  if (typeof indexedDB === 'undefined') {
+    console.warn(
+      'IndexedDB unavailable, analysis history will be in-memory only.'
+    )
+    backend = 'memory'
+    dbPromise = Promise.resolve(null)
+    return dbPromise
+  }
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(SUMMARY_STORE)) {
+        db.createObjectStore(SUMMARY_STORE, { keyPath: 'id' })
+      }
+      if (!db.objectStoreNames.contains(RESULT_STORE)) {
+        db.createObjectStore(RESULT_STORE, { keyPath: 'id' })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      console.warn(
+        'Could not open IndexedDB, analysis history will be in-memory only:',
+        request.error
+      )
+      backend = 'memory'
+      resolve(null)
+    }
+  })
+  return dbPromise
+}
+
+/**
+ * Notify listeners that the history changed
+ */
+function notifyChange() {
+  changeCallbacks.forEach((callback) => {
+    try {
+      callback()
+    } catch (error) {
+      console.error('Analysis history listener failed:', error)
+    }
+  })
+}
+
+/**
+ * Read all summaries
+ * @param {IDBDatabase|null} db - Database
+ * @returns {Promise<Array<Object>>} Summaries in storage order
+ */
+async function readAllSummaries(db) {
+  if (!db) return [...memoryStore.values()].map((entry) => entry.summary)
+  const tx = db.transaction(SUMMARY_STORE, 'readonly')
+  return promisifyRequest(tx.objectStore(SUMMARY_STORE).getAll())
+}
+
+/**
+ * Delete entries by ID
+ * @param {IDBDatabase|null} db - Database
+ * @param {Array<string>} ids - Entry IDs
+ */
+async function deleteEntries(db, ids) {
+  if (ids.length === 0) return
+  if (!db) {
+    ids.forEach((id) => memoryStore.delete(id))
+    return
+  }
+  const tx = db.transaction([SUMMARY_STORE, RESULT_STORE], 'readwrite')
+  ids.forEach((id) => {
+    tx.objectStore(SUMMARY_STORE).delete(id)
+    tx.objectStore(RESULT_STORE).delete(id)
+  })
+  await transactionDone(tx)
+}
+
+/**
+ * Save an analysis (an analysis is identified by its job ID; saving it again,
+ * e.g. after changing the similarity query, replaces its results)
+ * @param {Object} analysis - Analysis to save
+ * @param {string} analysis.jobId - Job ID
+ * @param {string} analysis.fileName - Uploaded file name
+ * @param {string} analysis.label - Label of the analyzed sequence
+ * @param {string} analysis.model - Embedding model
+ * @param {Object} analysis.similarityQuery - Query the results were fetched with
+ * @param {Object} analysis.dataSource - Data source (from getDataSourceInfo)
+ * @param {Object} analysis.userSequence - User sequence with its UMAP projection
+ * @param {Array<Object>} analysis.similarSequences - Raw similar sequences (with coordinates)
+ * @param {Object} analysis.record - Uploaded FASTA record ({ header, sequence }), optional
+ * @returns {Promise<Object|null>} Saved summary, or null if saving failed
+ */
+async function saveAnalysis(analysis) {
+  try {
+    const db = await openDb()
+    const now = new Date().toISOString()
+    const id = analysis.jobId
+    const previous = db
+      ? await promisifyRequest(
+          db
+            .transaction(SUMMARY_STORE, 'readonly')
+            .objectStore(SUMMARY_STORE)
+            .get(id)
+        )
+      : memoryStore.get(id)?.summary
+
+    const summary = {
+      id,
+      jobId: analysis.jobId,
+      fileName: analysis.fileName || null,
+      label: analysis.label || analysis.userSequence?.label || analysis.jobId,
+      model: analysis.model || null,
+      similarityQuery: analysis.similarityQuery || null,
+      dataSource: analysis.dataSource || null,
+      resultCount: analysis.similarSequences?.length || 0,
+      createdAt: previous?.createdAt || now,
+      updatedAt: now,
+    }
+    const record =
+      analysis.record?.sequence &&
+      analysis.record.sequence.length <= HISTORY_LIMITS.maxSequenceLength
+        ? { header: analysis.record.header, sequence: analysis.record.sequence }
+        : null
+    const results = {
+      id,
+      userSequence: analysis.userSequence,
+      similarSequences: analysis.similarSequences || [],
+      record,
+    }
+
+    if (!db) {
+      memoryStore.set(id, { summary, results })
+    } else {
+      const tx = db.transaction([SUMMARY_STORE, RESULT_STORE], 'readwrite')
+      tx.objectStore(SUMMARY_STORE).put(summary)
+      tx.objectStore(RESULT_STORE).put(results)
+      await transactionDone(tx)
+    }
+
+    // Keep the newest analyses
+    const summaries = await readAllSummaries(db)
+    const dropped = summaries
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+      .slice(HISTORY_LIMITS.maxEntries)
+      .map((entry) => entry.id)
+    await deleteEntries(db, dropped)
+
+    console.log(
+      `📚 Saved analysis ${id} to history (${summary.resultCount} results)`
+    )
+    notifyChange()
+    return summary
+  } catch (error) {
+    // Quota errors etc. must never break the analysis that produced the results
+    console.warn('Saving the analysis to history failed:', error)
+    return null
+  }
+}
+
+/**
+ * List saved analyses without their results
+ * @returns {Promise<Array<Object>>} Summaries, most recently updated first
+ */
+async function listAnalyses() {
+  try {
+    const summaries = await readAllSummaries(await openDb())
+    return summaries.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt))
+  } catch (error) {
+    console.warn('Reading the analysis history failed:', error)
+    return []
+  }
+}
+
+/**
+ * Get a saved analysis with its results
+ * @param {string} id - Analysis ID (the job ID)
+ * @returns {Promise<Object|null>} Summary fields plus { userSequence, similarSequences, record }, or null if not found
+ */
+async function getAnalysis(id) {
+  const db = await openDb()
+  let summary
+  let results
+  if (!db) {
+    const entry = memoryStore.get(id)
+    summary = entry?.summary
+    results = entry?.results
+  } else {
+    // Issue both reads in the same tick so the transaction stays active
+    const tx = db.transaction([SUMMARY_STORE, RESULT_STORE], 'readonly')
+    ;[summary, results] = await Promise.all([
+      promisifyRequest(tx.objectStore(SUMMARY_STORE).get(id)),
+      promisifyRequest(tx.objectStore(RESULT_STORE).get(id)),
+    ])
+  }
+  if (!summary || !results) return null
+  return { ...summary, ...results }
+}
+
+/**
+ * Remove a saved analysis
+ * @param {string} id - Analysis ID
+ */
+async function deleteAnalysis(id) {
+  await deleteEntries(await openDb(), [id])
+  console.log(`📚 Removed analysis ${id} from history`)
+  notifyChange()
+}
+
+/**
+ * Remove all saved analyses
+ * @returns {Promise<number>} Number of analyses removed
+ */
+async function clearHistory() {
+  const db = await openDb()
+  const ids = (await readAllSummaries(db)).map((entry) => entry.id)
+  await deleteEntries(db, ids)
+  console.log(`📚 Cleared ${ids.length} analyses from history`)
+  notifyChange()
+  return ids.length
+}
+
+/**
+ * Where the history is stored
+ * @returns {string} 'indexeddb' or 'memory' (lost on reload)
+ */
+function getHistoryBackend() {
+  return backend
+}
+
+/**
+ * Register a callback for history changes (save, delete, clear)
+ * @param {Function} callback - Called without arguments
+ * @returns {Function} Unsubscribe function
+ */
+function onHistoryChange(callback) {
+  changeCallbacks.push(callback)
+  return () => {
+    const index = changeCallbacks.indexOf(callback)
+    if (index !== -1) changeCallbacks.splice(index, 1)
+  }
+}
+
+export {
+  HISTORY_LIMITS,
+  saveAnalysis,
+  listAnalyses,
+  getAnalysis,
+  deleteAnalysis,
+  clearHistory,
+  getHistoryBackend,
+  onHistoryChange,
+}
@@ -0,0 +1,101 @@
+/**
+ * Analysis session
+ * Groups every request and polling loop that belongs to one analysis so they
+ * can all be cancelled together (on reset or when a new upload starts)
+ */
+
+let sessionCounter = 0
+
+/**
+ * Check whether an error was caused by a cancelled request
+ * @param {Error} error - Error thrown by fetch/apiRequest
+ * @returns {boolean} True if the error is an abort
+ */
+function isAbortError(error) {
+  return error?.name === 'AbortError'
+}
+
+/**
+ * Create a new analysis session
+ * @param {Object} options - Session options
+ * @param {string} options.label - Label used in log messages (e.g. file name)
+ * @returns {Object} Session controller
+ */
+function createAnalysisSession({ label = '' } = {}) {
+  const controller = new AbortController()
+  const id = ++sessionCounter
+  const cancelCallbacks = []
+
+  console.log(`🧪 Analysis session #${id} started${label ? ` (${label})` : ''}`)
+
+  /**
+   * Cancel all in-flight requests and run cleanup callbacks
+   * @param {string} reason - Why the session was cancelled
+   */
+  function cancel(reason = 'Analysis session cancelled') {
+    if (controller.signal.aborted) return
+    console.log(`🧪 Analysis session #${id} cancelled: ${reason}`)
+    controller.abort(new DOMException(reason, 'AbortError'))
+    cancelCallbacks.splice(0).forEach((callback) => {
+      try {
+        callback(reason)
+      } catch (error) {
+        console.error(`Error in session #${id} cancel callback:`, error)
+      }
+    })
+  }
+
+  /**
+   * Register a cleanup callback (e.g. stop polling); runs immediately if already cancelled
+   * @param {Function} callback - Receives the cancel reason
+   */
+  function onCancel(callback) {
+    if (controller.signal.aborted) {
+      callback(controller.signal.reason?.message)
+      return
+    }
+    cancelCallbacks.push(callback)
+  }
+
+  /**
+   * Throw if the session was cancelled; call after each await before touching the UI
+   * @throws {DOMException} AbortError if cancelled
+   */
+  function throwIfCancelled() {
+    if (controller.signal.aborted) throw controller.signal.reason
+  }
+
+  /**
+   * Wait for a delay (e.g. between status polls)
+   * @param {number} ms - Delay in milliseconds
+   * @returns {Promise<void>} Rejects with an AbortError if the session is cancelled
+   */
+  function wait(ms) {
+    return new Promise((resolve, reject) => {
+      if (controller.signal.aborted) {
+        reject(controller.signal.reason)
+        return
+      }
+      const timer = setTimeout(resolve, ms)
+      onCancel(() => {
+        clearTimeout(timer)
+        reject(controller.signal.reason)
+      })
+    })
+  }
+
+  return {
+    id,
+    label,
+    signal: controller.signal,
+    cancel,
+    onCancel,
+    throwIfCancelled,
+    wait,
+    get isCancelled() {
+      return controller.signal.aborted
+    },
+  }
+}
+
+export { createAnalysisSession, isAbortError }
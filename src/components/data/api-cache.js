@@ -0,0 +1,320 @@
+/**
+ * Persistent API cache
+ * IndexedDB-backed cache for reference UMAP data, similarity results and
+ * UMAP projections, with per-namespace TTLs, size limits and hit/miss stats.
+ * Falls back to an in-memory store when IndexedDB is unavailable.
+ */
+
+import { getApiConfig } from './api-config.js'
+
+const DB_NAME = 'pathgen-api-cache'
+const DB_VERSION = 1
+const META_STORE = 'meta' // { key, namespace, size, createdAt, expiresAt, lastAccessed }
+const VALUE_STORE = 'values' // { key, value } - kept separate so eviction never loads values
+
+// Time-to-live per namespace
+const CACHE_TTLS = {
+  umap: 24 * 60 * 60 * 1000, // Reference set changes rarely
+  similar: 7 * 24 * 60 * 60 * 1000, // Results for a job ID don't change
+  projection: 7 * 24 * 60 * 60 * 1000,
+  sequence: 7 * 24 * 60 * 60 * 1000, // Reference sequences for alignment
+  default: 60 * 60 * 1000,
+}
+
+const CACHE_LIMITS = {
+  maxEntries: 200,
+  maxBytes: 100 * 1024 * 1024, // Approximate (JSON length)
+}
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  writes: 0,
+  evictions: 0,
+  entries: 0,
+  bytes: 0,
+}
+
+let dbPromise = null
+let backend = 'indexeddb' // Switches to 'memory' if IndexedDB can't be used
+const memoryStore = new Map() // Fallback when IndexedDB is unavailable
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request - IndexedDB request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+/**
+ * Open (once) the cache database
+ * @returns {Promise<IDBDatabase|null>} Database or null if IndexedDB is unavailable
+ */
+function openDb() {
+  if (dbPromise) return dbPromise
+  if (typeof indexedDB === 'undefined') {
+    console.warn('IndexedDB unavailable, API cache will be in-memory only.')
+    backend = 'memory'
+    dbPromise = Promise.resolve(null)
+    return dbPromise
+  }
+
+  dbPromise = new Promise((resolve) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(META_STORE)) {
+        db.createObjectStore(META_STORE, { keyPath: 'key' })
+      }
+      if (!db.objectStoreNames.contains(VALUE_STORE)) {
+        db.createObjectStore(VALUE_STORE, { keyPath: 'key' })
+      }
+    }
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => {
+      console.warn(
+        'Could not open IndexedDB, API cache will be in-memory only:',
+        request.error
+      )
+      backend = 'memory'
+      resolve(null)
+    }
+  })
+  return dbPromise
+}
+
+/**
+ * Build a cache key from the endpoint and its parameters.
+ * Includes the active base URL so different environments never share entries.
+ * @param {string} endpoint - Endpoint path
+ * @param {Object} params - Parameters (model, job ID, query options); key order doesn't matter
+ * @returns {string} Cache key
+ */
+function createCacheKey(endpoint, params = {}) {
+  const sorted = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => {
+      acc[key] = params[key]
+      return acc
+    }, {})
+  return `${getApiConfig().baseUrl}|${endpoint}|${JSON.stringify(sorted)}`
+}
+
+/**
+ * Read all metadata entries
+ * @param {IDBDatabase|null} db - Database
+ * @returns {Promise<Array<Object>>} Metadata entries
+ */
+async function readAllMeta(db) {
+  if (!db) {
+    return [...memoryStore.values()].map(({ value, ...meta }) => meta)
+  }
+  const tx = db.transaction(META_STORE, 'readonly')
+  return promisifyRequest(tx.objectStore(META_STORE).getAll())
+}
+
+/**
+ * Delete entries by key
+ * @param {IDBDatabase|null} db - Database
+ * @param {Array<string>} keys - Keys to delete
+ */
+async function deleteEntries(db, keys) {
+  if (keys.length === 0) return
+  if (!db) {
+    keys.forEach((key) => memoryStore.delete(key))
+    return
+  }
+  const tx = db.transaction([META_STORE, VALUE_STORE], 'readwrite')
+  keys.forEach((key) => {
+    tx.objectStore(META_STORE).delete(key)
+    tx.objectStore(VALUE_STORE).delete(key)
+  })
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve
+    tx.onerror = () => reject(tx.error)
+  })
+}
+
+/**
+ * Drop expired entries, then evict least recently used ones until within limits
+ * @param {IDBDatabase|null} db - Database
+ */
+async function enforceLimits(db) {
+  const now = Date.now()
+  const metas = await readAllMeta(db)
+  const expired = metas.filter((m) => m.expiresAt <= now).map((m) => m.key)
+  let live = metas
+    .filter((m) => m.expiresAt > now)
+    .sort((a, b) => a.lastAccessed - b.lastAccessed) // Oldest first
+
+  let bytes = live.reduce((sum, m) => sum + m.size, 0)
+  const evicted = []
+  while (
+    live.length > 0 &&
+    (live.length > CACHE_LIMITS.maxEntries || bytes > CACHE_LIMITS.maxBytes)
+  ) {
+    const oldest = live.shift()
+    bytes -= oldest.size
+    evicted.push(oldest.key)
+  }
+
+  await deleteEntries(db, [...expired, ...evicted])
+  stats.evictions += evicted.length
+  stats.entries = live.length
+  stats.bytes = bytes
+}
+
+/**
+ * Get a cached value
+ * @param {string} key - Cache key (from createCacheKey)
+ * @returns {Promise<*>} Cached value or undefined on miss/expiry
+ */
+async function getCached(key) {
+  try {
+    const db = await openDb()
+    const now = Date.now()
+    let meta
+    let value
+
+    if (!db) {
+      const entry = memoryStore.get(key)
+      if (entry) {
+        const { value: storedValue, ...storedMeta } = entry
+        meta = storedMeta
+        value = storedValue
+      }
+    } else {
+      // Issue both reads in the same tick so the transaction stays active
+      const tx = db.transaction([META_STORE, VALUE_STORE], 'readonly')
+      const [storedMeta, stored] = await Promise.all([
+        promisifyRequest(tx.objectStore(META_STORE).get(key)),
+        promisifyRequest(tx.objectStore(VALUE_STORE).get(key)),
+      ])
+      meta = storedMeta
+      value = stored?.value
+    }
+
+    if (!meta || meta.expiresAt <= now || value === undefined) {
+      stats.misses++
+      if (meta) await deleteEntries(db, [key]) // Expired
+      return undefined
+    }
+
+    // Touch for LRU (metadata only)
+    meta.lastAccessed = now
+    if (db) {
+      db.transaction(META_STORE, 'readwrite').objectStore(META_STORE).put(meta)
+    } else {
+      memoryStore.set(key, { ...meta, value })
+    }
+
+    stats.hits++
+    console.log(`💾 Cache hit: ${meta.namespace} (${key})`)
+    return value
+  } catch (error) {
+    console.warn('API cache read failed:', error)
+    stats.misses++
+    return undefined
+  }
+}
+
+/**
+ * Store a value
+ * @param {string} key - Cache key (from createCacheKey)
+ * @param {*} value - Structured-cloneable value
+ * @param {Object} options - Options
+ * @param {string} options.namespace - 'umap', 'similar', 'projection' or 'sequence' (selects the TTL)
+ * @param {number} options.ttlMs - Override the namespace TTL
+ */
+async function setCached(key, value, { namespace = 'default', ttlMs } = {}) {
+  try {
+    const db = await openDb()
+    const now = Date.now()
+    const size = JSON.stringify(value)?.length || 0
+    if (size > CACHE_LIMITS.maxBytes) {
+      console.warn(`Not caching ${namespace} entry: ${size} bytes exceeds limit.`)
+      return
+    }
+    const meta = {
+      key,
+      namespace,
+      size,
+      createdAt: now,
+      lastAccessed: now,
+      expiresAt: now + (ttlMs || CACHE_TTLS[namespace] || CACHE_TTLS.default),
+    }
+
+    if (!db) {
+      memoryStore.set(key, { ...meta, value })
+    } else {
+      const tx = db.transaction([META_STORE, VALUE_STORE], 'readwrite')
+      tx.objectStore(META_STORE).put(meta)
+      tx.objectStore(VALUE_STORE).put({ key, value })
+      await new Promise((resolve, reject) => {
+        tx.oncomplete = resolve
+        tx.onerror = () => reject(tx.error)
+      })
+    }
+
+    stats.writes++
+    await enforceLimits(db)
+  } catch (error) {
+    // Quota errors etc. must never break the request that produced the value
+    console.warn('API cache write failed:', error)
+  }
+}
+
+/**
+ * Remove cached entries
+ * @param {string} namespace - Only purge this namespace (default: everything)
+ * @returns {Promise<number>} Number of entries removed
+ */
+async function purgeCache(namespace = null) {
+  const db = await openDb()
+  const metas = await readAllMeta(db)
+  const keys = metas
+    .filter((m) => !namespace || m.namespace === namespace)
+    .map((m) => m.key)
+  await deleteEntries(db, keys)
+  await enforceLimits(db) // Refresh entry/byte counts
+  console.log(`💾 Purged ${keys.length} cache entries${namespace ? ` (${namespace})` : ''}`)
+  return keys.length
+}
+
+/**
+ * Get hit/miss statistics (synchronous; entry/byte counts reflect the last write or refresh)
+ * @returns {Object} { hits, misses, hitRate, writes, evictions, entries, bytes, backend }
+ */
+function getCacheStats() {
+  const lookups = stats.hits + stats.misses
+  return {
+    ...stats,
+    hitRate: lookups > 0 ? stats.hits / lookups : 0,
+    backend,
+  }
+}
+
+/**
+ * Refresh entry/byte counts from storage (also drops expired entries)
+ * @returns {Promise<Object>} Updated statistics
+ */
+async function refreshCacheStats() {
+  await enforceLimits(await openDb())
+  return getCacheStats()
+}
+
+export {
+  CACHE_TTLS,
+  CACHE_LIMITS,
+  createCacheKey,
+  getCached,
+  setCached,
+  purgeCache,
+  getCacheStats,
+  refreshCacheStats,
+}
@@ -0,0 +1,362 @@
+/**
+ * API client
+ * Single request pipeline for all API calls: URL building, auth headers,
+ * per-request timeouts, exponential backoff retries and typed errors.
+ * Requests are answered locally when the data mode is 'mock' or 'recorded',
+ * and recorded (see api-recorder.js) while a recording is active.
+ */
+
+import { getApiConfig, buildApiUrl, buildAuthHeaders } from './api-config.js'
+import {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  createApiError,
+} from './api-errors.js'
+import { getDataMode } from './data-mode.js'
+import { mockApiRequest } from './mock-api.js'
+import { recordApiCall, replayApiRequest } from './api-recorder.js'
+
+/**
+ * Wait for a delay, rejecting early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    function onAbort() {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Compute the backoff delay before the next attempt
+ * @param {Error} error - The error from the failed attempt
+ * @param {number} attempt - Zero-based attempt number that failed
+ * @param {Object} retry - Retry policy ({ baseDelayMs, maxDelayMs })
+ * @returns {number} Delay in milliseconds
+ */
+function getRetryDelay(error, attempt, retry) {
+  if (error.retryAfterMs != null) {
+    return Math.min(error.retryAfterMs, retry.maxDelayMs)
+  }
+  const exponential = retry.baseDelayMs * Math.pow(2, attempt)
+  const jitter = Math.random() * retry.baseDelayMs // Avoid synchronized retries
+  return Math.min(exponential + jitter, retry.maxDelayMs)
+}
+
+/**
+ * Read an error response body, parsing JSON when possible
+ * @param {Response} response - Fetch Response object
+ * @returns {Promise<string|Object|null>} Body or null if unreadable
+ */
+async function readErrorBody(response) {
+  try {
+    const text = await response.text()
+    try {
+      return JSON.parse(text)
+    } catch (e) {
+      return text
+    }
+  } catch (e) {
+    return null
+  }
+}
+
+/**
+ * Parse the raw header block of an XMLHttpRequest
+ * @param {string} raw - Result of getAllResponseHeaders()
+ * @returns {Headers} Response headers
+ */
+function parseXhrHeaders(raw) {
+  const headers = new Headers()
+  raw
+    .trim()
+    .split(/[\r\n]+/)
+    .forEach((line) => {
+      const index = line.indexOf(':')
+      if (index > 0) {
+        const name = line.slice(0, index).trim()
+        headers.append(name, line.slice(index + 1).trim())
+      }
+    })
+  return headers
+}
+
+/**
+ * fetch() replacement that reports upload progress (fetch can't); the
+ * response body is read as text, which covers JSON responses
+ * @param {string} url - Full request URL
+ * @param {Object} init - fetch init options (method, headers, body, signal)
+ * @param {Function} onUploadProgress - Called with { loaded, total } as the body is sent
+ * @returns {Promise<Response>} The response, like fetch
+ */
+function fetchWithUploadProgress(url, init, onUploadProgress) {
+  return new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest()
+    xhr.open(init.method, url)
+    Object.entries(init.headers || {}).forEach(([name, value]) =>
+      xhr.setRequestHeader(name, value)
+    )
+
+    const { signal } = init
+    const onAbort = () => xhr.abort()
+    signal?.addEventListener('abort', onAbort, { once: true })
+    const settle = (callback) => {
+      signal?.removeEventListener('abort', onAbort)
+      callback()
+    }
+
+    xhr.upload.addEventListener('progress', (event) => {
+      if (event.lengthComputable) {
+        onUploadProgress({ loaded: event.loaded, total: event.total })
+      }
+    })
+    xhr.addEventListener('load', () =>
+      settle(() => {
+        // Responses without a body (204/304) can't be built with one
+        const body = [204, 205, 304].includes(xhr.status)
+          ? null
+          : xhr.responseText
+        resolve(
+          new Response(body, {
+            status: xhr.status,
+            statusText: xhr.statusText,
+            headers: parseXhrHeaders(xhr.getAllResponseHeaders()),
+          })
+        )
+      })
+    )
+    xhr.addEventListener('error', () =>
+      settle(() => reject(new TypeError('Failed to send the request')))
+    )
+    xhr.addEventListener('abort', () =>
+      settle(() =>
+        reject(signal?.reason ?? new DOMException('Aborted', 'AbortError'))
+      )
+    )
+
+    if (signal?.aborted) {
+      xhr.abort()
+      return
+    }
+    xhr.send(init.body ?? null)
+  })
+}
+
+/**
+ * Perform a single fetch attempt with a timeout
+ * @param {string} url - Full request URL
+ * @param {Object} init - fetch init options
+ * @param {Object} attemptOptions - { endpoint, timeoutMs, responseType, signal, onUploadProgress }
+ * @returns {Promise<*>} Parsed response
+ */
+async function attemptRequest(url, init, attemptOptions) {
+  const { endpoint, timeoutMs, responseType, signal, onUploadProgress } =
+    attemptOptions
+  const controller = new AbortController()
+  let timedOut = false
+
+  const timer = timeoutMs
+    ? setTimeout(() => {
+        timedOut = true
+        controller.abort()
+      }, timeoutMs)
+    : null
+
+  // Forward caller cancellation to this attempt
+  const onAbort = () => controller.abort(signal.reason)
+  if (signal) {
+    if (signal.aborted) onAbort()
+    else signal.addEventListener('abort', onAbort, { once: true })
+  }
+
+  const cleanup = () => {
+    clearTimeout(timer)
+    signal?.removeEventListener('abort', onAbort)
+  }
+
+  const wrapFailure = (error) => {
+    if (timedOut) {
+      return new TimeoutError(
+        `Request timed out after ${timeoutMs}ms: ${endpoint}`,
+        { endpoint, timeoutMs, cause: error }
+      )
+    }
+    if (signal?.aborted) return error // Caller cancelled: pass the AbortError through
+    if (error instanceof ApiError) return error
+    return new NetworkError(`Network error: ${endpoint} (${error.message})`, {
+      endpoint,
+      cause: error,
+    })
+  }
+
+  let response
+  try {
+    response = onUploadProgress
+      ? await fetchWithUploadProgress(
+          url,
+          { ...init, signal: controller.signal },
+          onUploadProgress
+        )
+      : await fetch(url, { ...init, signal: controller.signal })
+  } catch (error) {
+    cleanup()
+    throw wrapFailure(error)
+  }
+
+  if (!response.ok) {
+    const body = await readErrorBody(response)
+    cleanup()
+    throw createApiError(response, endpoint, body)
+  }
+
+  // Streaming callers read the body themselves; the timeout keeps running
+  // so a stalled stream is still aborted (use the 'stream' timeout kind),
+  // and is cleared once the body has been fully read
+  if (responseType === 'response') {
+    if (!response.body) {
+      cleanup()
+      return response
+    }
+    const body = response.body.pipeThrough(
+      new TransformStream({ flush: cleanup })
+    )
+    return new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: response.headers,
+    })
+  }
+
+  try {
+    if (responseType === 'text') return await response.text()
+    if (response.status === 204) return null
+    return await response.json()
+  } catch (error) {
+    throw wrapFailure(error)
+  } finally {
+    cleanup()
+  }
+}
+
+/**
+ * Send a request through the shared pipeline
+ * @param {string} endpoint - Endpoint path (e.g. '/pathtrack/jobs/123') or absolute URL
+ * @param {Object} options - Request options
+ * @param {string} options.method - HTTP method (default: 'GET')
+ * @param {Object} options.params - Query parameters
+ * @param {Object|FormData|Blob} options.body - JSON body object, FormData or raw bytes
+ * @param {Object} options.headers - Extra headers
+ * @param {string} options.apiKey - API key (sent using the profile's auth scheme)
+ * @param {string|number} options.timeout - Timeout kind ('default', 'upload', 'stream') or milliseconds
+ * @param {number} options.retries - Override the profile's maxRetries
+ * @param {string} options.responseType - 'json' (default), 'text' or 'response'
+ * @param {AbortSignal} options.signal - Optional caller abort signal
+ * @param {Function} options.onUploadProgress - Called with { loaded, total } while the body is sent
+ * @returns {Promise<*>} Parsed response body (or the Response for 'response')
+ * @throws {ApiError} Typed error (AuthError, NotFoundError, RateLimitError, ServerError, ...)
+ */
+async function apiRequest(endpoint, options = {}) {
+  // Non-live data modes never reach the network
+  const { mode } = getDataMode()
+  if (mode === 'recorded') return replayApiRequest(endpoint, options)
+  return recordApiCall(endpoint, options, () =>
+    mode === 'mock'
+      ? mockApiRequest(endpoint, options)
+      : sendRequest(endpoint, options)
+  )
+}
+
+/**
+ * Send a live request with timeouts and retries
+ * @param {string} endpoint - Endpoint path or absolute URL
+ * @param {Object} options - apiRequest options
+ * @returns {Promise<*>} Parsed response body (or the Response for 'response')
+ */
+async function sendRequest(endpoint, options) {
+  const {
+    method = 'GET',
+    params = {},
+    body,
+    headers = {},
+    apiKey,
+    timeout = 'default',
+    retries,
+    responseType = 'json',
+    signal,
+    onUploadProgress,
+  } = options
+
+  const config = getApiConfig()
+  const url = /^https?:\/\//.test(endpoint)
+    ? endpoint
+    : buildApiUrl(endpoint, params)
+  const timeoutMs =
+    typeof timeout === 'number'
+      ? timeout
+      : config.timeouts[timeout] || config.timeouts.default
+  const retry = {
+    ...config.retry,
+    ...(retries != null ? { maxRetries: retries } : {}),
+  }
+
+  const requestHeaders = {
+    ...(responseType === 'json' ? { accept: 'application/json' } : {}),
+    ...buildAuthHeaders(apiKey),
+    ...headers,
+  }
+  let requestBody
+  if (body instanceof FormData) {
+    requestBody = body // FormData sets its own Content-Type boundary
+  } else if (body instanceof Blob) {
+    requestHeaders['Content-Type'] = 'application/octet-stream'
+    requestBody = body
+  } else if (body !== undefined) {
+    requestHeaders['Content-Type'] = 'application/json'
+    requestBody = JSON.stringify(body)
+  }
+
+  const init = { method, headers: requestHeaders, body: requestBody }
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await attemptRequest(url, init, {
+        endpoint,
+        timeoutMs,
+        responseType,
+        signal,
+        onUploadProgress,
+      })
+    } catch (error) {
+      const canRetry =
+        error instanceof ApiError &&
+        error.isRetryable &&
+        attempt < retry.maxRetries &&
+        !signal?.aborted
+      if (!canRetry) throw error
+
+      const delay = getRetryDelay(error, attempt, retry)
+      console.warn(
+        `${error.name} on ${method} ${endpoint}, retrying in ${Math.round(
+          delay
+        )}ms (attempt ${attempt + 2}/${retry.maxRetries + 1})`
+      )
+      await sleep(delay, signal)
+    }
+  }
+}
+
+export { apiRequest }
@@ -0,0 +1,416 @@
+/**
+ * API configuration module
+ * Resolves the active environment profile (base URL, auth scheme, timeouts,
+ * retry policy, job update transport) used by every request made from api-service.js
+ */
+
+import {
+  DEFAULT_EMBEDDING_MODELS,
+  DEFAULT_EMBEDDING_MODEL,
+} from './embedding-models.js'
+
+// Named environment profiles. Each profile can be overridden at runtime.
+const API_PROFILES = {
+  development: {
+    label: 'Development',
+    baseUrl: 'http://dev.pathgen.ai/api/v1',
+    authScheme: 'x-api-key', // 'x-api-key' | 'bearer' | 'none'
+    timeouts: {
+      default: 30000, // Regular JSON requests
+      upload: 120000, // Sequence uploads (multipart)
+      stream: 300000, // Large NDJSON downloads (e.g. /pathtrack/umap/all)
+    },
+    retry: {
+      maxRetries: 2, // Retries after the first attempt (5xx, 429, network, timeout)
+      baseDelayMs: 500, // Doubled on every attempt
+      maxDelayMs: 8000,
+    },
+    jobUpdates: {
+      transport: 'auto', // 'auto' (server-sent events, then polling) | 'sse' | 'websocket' | 'poll'
+      initialIntervalMs: 1000, // First polling delay, again after each status change
+      maxIntervalMs: 15000, // Polling delay grows up to this while the job stage is unchanged
+      backoffFactor: 1.5,
+      timeoutMs: 30 * 60 * 1000, // Give up on a job after this long
+    },
+  },
+  staging: {
+    label: 'Staging',
+    baseUrl: 'https://staging.pathgen.ai/api/v1',
+    authScheme: 'x-api-key',
+    timeouts: {
+      default: 30000,
+      upload: 120000,
+      stream: 300000,
+    },
+    retry: { maxRetries: 2, baseDelayMs: 500, maxDelayMs: 8000 },
+    jobUpdates: {
+      transport: 'auto',
+      initialIntervalMs: 1000,
+      maxIntervalMs: 15000,
+      backoffFactor: 1.5,
+      timeoutMs: 30 * 60 * 1000,
+    },
+  },
+  production: {
+    label: 'Production',
+    baseUrl: 'https://api.pathgen.ai/api/v1',
+    authScheme: 'x-api-key',
+    timeouts: {
+      default: 20000,
+      upload: 120000,
+      stream: 300000,
+    },
+    retry: { maxRetries: 2, baseDelayMs: 500, maxDelayMs: 8000 },
+    jobUpdates: {
+      transport: 'auto',
+      initialIntervalMs: 1000,
+      maxIntervalMs: 15000,
+      backoffFactor: 1.5,
+      timeoutMs: 30 * 60 * 1000,
+    },
+  },
+  local: {
+    label: 'Local server',
+    baseUrl: 'http://localhost:8000/api/v1',
+    authScheme: 'none',
+    timeouts: {
+      default: 10000,
+      upload: 60000,
+      stream: 120000,
+    },
+    retry: { maxRetries: 0, baseDelayMs: 250, maxDelayMs: 1000 },
+    jobUpdates: {
+      transport: 'auto',
+      initialIntervalMs: 500,
+      maxIntervalMs: 5000,
+      backoffFactor: 1.5,
+      timeoutMs: 10 * 60 * 1000,
+    },
+  },
+}
+
+const DEFAULT_PROFILE = 'development'
+
+// Where each selection source lives
+const URL_PARAM_PROFILE = 'apiProfile'
+const URL_PARAM_BASE_URL = 'apiBaseUrl'
+const META_PROFILE = 'api-profile' // <meta name="api-profile"> from observablehq.config.js
+const META_BASE_URL = 'api-base-url'
+const STORAGE_KEY = 'pathgen.apiSettings' // Written by the settings panel
+
+// Hosts a ?apiBaseUrl= link may point at besides the profile hosts. Anything
+// else has to be entered in the settings panel, so a crafted link can't send
+// the remembered API key to another server.
+const TRUSTED_URL_HOSTS = ['localhost', '127.0.0.1', '[::1]']
+
+let activeConfig = null
+const configChangeCallbacks = []
+
+/**
+ * Read a <meta> tag value from the document head
+ * @param {string} name - Meta tag name
+ * @returns {string|null} Meta content or null
+ */
+function readMeta(name) {
+  if (typeof document === 'undefined') return null
+  const meta = document.querySelector(`meta[name="${name}"]`)
+  return meta?.content?.trim() || null
+}
+
+/**
+ * Read the settings saved by the settings panel
+ * @returns {Object|null} Saved settings ({ profile, overrides }) or null
+ */
+function readStoredSettings() {
+  try {
+    const raw = window.localStorage?.getItem(STORAGE_KEY)
+    return raw ? JSON.parse(raw) : null
+  } catch (e) {
+    console.warn('Could not read stored API settings:', e)
+    return null
+  }
+}
+
+/**
+ * Whether a base URL from a link can be used without the user entering it:
+ * the host of a named profile, or a local server
+ * @param {string} baseUrl - Base URL from the ?apiBaseUrl= parameter
+ * @returns {boolean} True if requests (and the API key) may be sent there
+ */
+function isTrustedBaseUrl(baseUrl) {
+  let url
+  try {
+    url = new URL(baseUrl)
+  } catch (e) {
+    return false
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') return false
+  if (TRUSTED_URL_HOSTS.includes(url.hostname)) return true
+  return Object.values(API_PROFILES).some(
+    (profile) => new URL(profile.baseUrl).origin === url.origin
+  )
+}
+
+/**
+ * Normalize a base URL: parsed and serialized by URL (which percent-encodes
+ * quotes and angle brackets), without trailing slashes
+ * @param {string} baseUrl - Base URL to normalize
+ * @returns {string} Normalized base URL
+ */
+function normalizeBaseUrl(baseUrl) {
+  return new URL(baseUrl).href.replace(/\/+$/, '')
+}
+
+/**
+ * Resolve the profile name and overrides from all selection sources.
+ * Priority: URL parameter > settings panel (localStorage) > Observable config (meta) > default
+ * A ?apiBaseUrl= outside the trusted hosts is ignored and reported as ignoredBaseUrl;
+ * a trusted one is applied in its normalized form (normalizeBaseUrl), never as typed.
+ * @returns {Object} { profile, overrides, source, ignoredBaseUrl }
+ */
+function resolveSelection() {
+  const params =
+    typeof window !== 'undefined'
+      ? new URLSearchParams(window.location.search)
+      : new URLSearchParams()
+
+  const urlProfile = params.get(URL_PARAM_PROFILE)
+  const urlBaseUrl = params.get(URL_PARAM_BASE_URL)
+  const ignoredBaseUrl =
+    urlBaseUrl && !isTrustedBaseUrl(urlBaseUrl) ? urlBaseUrl : null
+  if (ignoredBaseUrl) {
+    console.warn(
+      `Ignoring ?${URL_PARAM_BASE_URL}=${ignoredBaseUrl}: not a known API host. Enter it in the API settings to use it.`
+    )
+  }
+  if (urlProfile || (urlBaseUrl && !ignoredBaseUrl)) {
+    return {
+      profile: urlProfile || DEFAULT_PROFILE,
+      overrides:
+        urlBaseUrl && !ignoredBaseUrl
+          ? { baseUrl: normalizeBaseUrl(urlBaseUrl) }
+          : {},
+      source: 'url',
+      ignoredBaseUrl,
+    }
+  }
+
+  const stored = readStoredSettings()
+  if (stored?.profile) {
+    return {
+      profile: stored.profile,
+      overrides: stored.overrides || {},
+      source: 'settings',
+      ignoredBaseUrl,
+    }
+  }
+
+  const metaProfile = readMeta(META_PROFILE)
+  const metaBaseUrl = readMeta(META_BASE_URL)
+  if (metaProfile || metaBaseUrl) {
+    return {
+      profile: metaProfile || DEFAULT_PROFILE,
+      overrides: metaBaseUrl ? { baseUrl: metaBaseUrl } : {},
+      source: 'config',
+      ignoredBaseUrl,
+    }
+  }
+
+  return {
+    profile: DEFAULT_PROFILE,
+    overrides: {},
+    source: 'default',
+    ignoredBaseUrl,
+  }
+}
+
+/**
+ * Build a full config object from a profile name and overrides
+ * @param {string} profileName - Name of a profile in API_PROFILES
+ * @param {Object} overrides - Partial profile values to override
+ * @param {string} source - Where the selection came from
+ * @returns {Object} Resolved configuration
+ */
+function buildConfig(profileName, overrides = {}, source = 'default') {
+  let name = profileName
+  if (!API_PROFILES[name]) {
+    console.warn(
+      `Unknown API profile "${profileName}", falling back to "${DEFAULT_PROFILE}".`
+    )
+    name = DEFAULT_PROFILE
+  }
+  const profile = API_PROFILES[name]
+
+  return {
+    ...profile,
+    ...overrides,
+    // Deep merge timeouts/retry/jobUpdates so a partial override keeps the other values
+    timeouts: { ...profile.timeouts, ...(overrides.timeouts || {}) },
+    retry: { ...profile.retry, ...(overrides.retry || {}) },
+    jobUpdates: { ...profile.jobUpdates, ...(overrides.jobUpdates || {}) },
+    // Strip trailing slashes so `${baseUrl}${endpoint}` stays well-formed
+    baseUrl: (overrides.baseUrl || profile.baseUrl).replace(/\/+$/, ''),
+    profile: name,
+    source,
+  }
+}
+
+/**
+ * Get the active API configuration (resolved lazily on first use)
+ * @returns {Object} Active configuration
+ */
+function getApiConfig() {
+  if (!activeConfig) {
+    const { profile, overrides, source, ignoredBaseUrl } = resolveSelection()
+    activeConfig = {
+      ...buildConfig(profile, overrides, source),
+      ignoredBaseUrl, // ?apiBaseUrl= that wasn't applied (see isTrustedBaseUrl)
+    }
+    console.log(
+      `API profile: ${activeConfig.profile} (${activeConfig.baseUrl}, source: ${activeConfig.source})`
+    )
+  }
+  return activeConfig
+}
+
+/**
+ * Switch the active profile at runtime
+ * @param {string} profileName - Name of a profile in API_PROFILES
+ * @param {Object} overrides - Partial profile values to override (e.g. { baseUrl })
+ * @param {Object} options - Options
+ * @param {boolean} options.persist - Save the selection for future page loads (default: true)
+ * @returns {Object} The new active configuration
+ */
+function setApiProfile(profileName, overrides = {}, { persist = true } = {}) {
+  activeConfig = buildConfig(profileName, overrides, 'settings')
+
+  if (persist) {
+    try {
+      window.localStorage?.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ profile: activeConfig.profile, overrides })
+      )
+    } catch (e) {
+      console.warn('Could not persist API settings:', e)
+    }
+  }
+
+  console.log(
+    `API profile switched to ${activeConfig.profile} (${activeConfig.baseUrl})`
+  )
+  configChangeCallbacks.forEach((callback) => callback(activeConfig))
+  return activeConfig
+}
+
+/**
+ * Forget the saved settings-panel selection and re-resolve from the other sources
+ * @returns {Object} The new active configuration
+ */
+function resetApiProfile() {
+  try {
+    window.localStorage?.removeItem(STORAGE_KEY)
+  } catch (e) {
+    console.warn('Could not clear API settings:', e)
+  }
+  activeConfig = null
+  const config = getApiConfig()
+  configChangeCallbacks.forEach((callback) => callback(config))
+  return config
+}
+
+/**
+ * List the available profiles
+ * @returns {Array<Object>} Array of { name, label, baseUrl }
+ */
+function getApiProfiles() {
+  return Object.entries(API_PROFILES).map(([name, profile]) => ({
+    name,
+    label: profile.label,
+    baseUrl: profile.baseUrl,
+  }))
+}
+
+/**
+ * Register a callback for configuration changes
+ * @param {Function} callback - Receives the new configuration
+ * @returns {Function} Function to unregister the callback
+ */
+function onApiConfigChange(callback) {
+  configChangeCallbacks.push(callback)
+  return () => {
+    const index = configChangeCallbacks.indexOf(callback)
+    if (index !== -1) configChangeCallbacks.splice(index, 1)
+  }
+}
+
+/**
+ * Build a full API URL for an endpoint using the active base URL
+ * @param {string} endpoint - Endpoint path (e.g. '/pathtrack/jobs/123')
+ * @param {Object} params - Query parameters
+ * @returns {string} Full URL
+ */
+function buildApiUrl(endpoint, params = {}) {
+  const url = new URL(`${getApiConfig().baseUrl}${endpoint}`)
+  Object.keys(params).forEach((key) => {
+    if (params[key] !== undefined && params[key] !== null) {
+      url.searchParams.append(key, params[key])
+    }
+  })
+  return url.toString()
+}
+
+/**
+ * Split an endpoint (path or absolute URL) into its API path and query parameters
+ * @param {string} endpoint - Endpoint path (e.g. '/pathtrack/jobs/123') or absolute URL
+ * @param {Object} params - Query parameters passed separately
+ * @returns {Object} { path, params } with the base URL removed from the path
+ */
+function splitApiEndpoint(endpoint, params = {}) {
+  if (!/^https?:\/\//.test(endpoint)) return { path: endpoint, params }
+  const url = new URL(endpoint)
+  const basePath = new URL(getApiConfig().baseUrl).pathname.replace(/\/+$/, '')
+  const path = url.pathname.startsWith(basePath)
+    ? url.pathname.slice(basePath.length)
+    : url.pathname
+  return {
+    path,
+    params: { ...Object.fromEntries(url.searchParams), ...params },
+  }
+}
+
+/**
+ * Create authorization headers for the active auth scheme
+ * @param {string} apiKey - The API key
+ * @returns {Object} Headers object (without auth if no key or scheme is 'none')
+ */
+function buildAuthHeaders(apiKey) {
+  const { authScheme } = getApiConfig()
+  if (authScheme === 'none' || !apiKey) return {}
+  if (authScheme === 'bearer') return { Authorization: `Bearer ${apiKey}` }
+  return { 'X-API-Key': apiKey }
+}
+
+/**
+ * Whether the active profile requires an API key
+ * @returns {boolean} True if requests need a key
+ */
+function requiresApiKey() {
+  return getApiConfig().authScheme !== 'none'
+}
+
+export {
+  DEFAULT_EMBEDDING_MODELS,
+  DEFAULT_EMBEDDING_MODEL,
+  API_PROFILES,
+  DEFAULT_PROFILE,
+  getApiConfig,
+  setApiProfile,
+  resetApiProfile,
+  getApiProfiles,
+  onApiConfigChange,
+  buildApiUrl,
+  splitApiEndpoint,
+  isTrustedBaseUrl,
+  buildAuthHeaders,
+  requiresApiKey,
+}
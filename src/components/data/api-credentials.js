@@ -0,0 +1,196 @@
+/**
+ * API credentials
+ * Holds the active API key. By default the key lives only in memory; with the
+ * user's consent it is remembered for the browser session (sessionStorage) or
+ * on this device (localStorage).
+ */
+
+const PERSISTENCE_OPTIONS = {
+  none: {
+    label: "Don't remember",
+    description: 'The key is forgotten when the page is closed or reloaded.',
+  },
+  session: {
+    label: 'This browser tab',
+    description:
+      'Kept in sessionStorage until the tab is closed. Other sites cannot read it, but scripts on this dashboard can.',
+  },
+  local: {
+    label: 'This device',
+    description:
+      'Kept in localStorage until you forget it. Anyone using this browser profile can use the key.',
+  },
+}
+
+const STORAGE_KEY = 'pathgen.apiKey'
+
+let activeKey = null
+let persistence = 'none'
+let validatedAt = null // ISO time of the last successful validation
+let loaded = false
+const keyChangeCallbacks = []
+
+/**
+ * Get a Web Storage area, or null where it isn't available
+ * @param {string} name - 'session' or 'local'
+ * @returns {Storage|null} The storage area
+ */
+function getStorage(name) {
+  try {
+    return name === 'session'
+      ? window.sessionStorage || null
+      : window.localStorage || null
+  } catch (e) {
+    return null // Storage disabled (e.g. privacy settings)
+  }
+}
+
+/**
+ * Load a remembered key on first use (sessionStorage wins over localStorage)
+ */
+function loadStoredKey() {
+  if (loaded) return
+  loaded = true
+  for (const name of ['session', 'local']) {
+    try {
+      const stored = JSON.parse(getStorage(name)?.getItem(STORAGE_KEY))
+      if (stored?.key) {
+        activeKey = stored.key
+        validatedAt = stored.validatedAt || null
+        persistence = name
+        console.log(`🔑 API key restored from ${name}Storage`)
+        return
+      }
+    } catch (e) {
+      console.warn(`Could not read the stored API key (${name}):`, e)
+    }
+  }
+}
+
+/**
+ * Write the key to the chosen storage and remove it from the other one
+ */
+function storeKey() {
+  ;['session', 'local'].forEach((name) => {
+    const storage = getStorage(name)
+    if (!storage) return
+    try {
+      if (name === persistence && activeKey) {
+        storage.setItem(
+          STORAGE_KEY,
+          JSON.stringify({ key: activeKey, validatedAt })
+        )
+      } else {
+        storage.removeItem(STORAGE_KEY)
+      }
+    } catch (e) {
+      console.warn(`Could not update the stored API key (${name}):`, e)
+    }
+  })
+}
+
+/**
+ * Notify listeners of a key change
+ */
+function notifyKeyChange() {
+  const status = getApiKeyStatus()
+  keyChangeCallbacks.forEach((callback) => callback(status))
+}
+
+/**
+ * Get the active API key
+ * @returns {string|null} The key, or null if none is set
+ */
+function getApiKey() {
+  loadStoredKey()
+  return activeKey
+}
+
+/**
+ * Set the active API key
+ * @param {string} key - The API key
+ * @param {Object} options - Options
+ * @param {string} options.persistence - 'none', 'session' or 'local' (default: keep the current choice)
+ * @param {boolean} options.validated - Whether the key was just validated against the API
+ * @returns {Object} New key status (see getApiKeyStatus)
+ */
+function setApiKey(key, options = {}) {
+  const { persistence: nextPersistence, validated = false } = options
+  loadStoredKey()
+  const trimmed = key?.trim() || null
+  if (trimmed !== activeKey) validatedAt = null
+  activeKey = trimmed
+  if (validated) validatedAt = new Date().toISOString()
+  if (nextPersistence && PERSISTENCE_OPTIONS[nextPersistence]) {
+    persistence = nextPersistence
+  }
+  storeKey()
+  console.log(
+    `🔑 API key ${
+      activeKey ? `set (${maskApiKey(activeKey)})` : 'cleared'
+    }, remembered: ${persistence}`
+  )
+  notifyKeyChange()
+  return getApiKeyStatus()
+}
+
+/**
+ * Forget the active key, including any remembered copy
+ */
+function clearApiKey() {
+  loadStoredKey()
+  activeKey = null
+  validatedAt = null
+  persistence = 'none'
+  storeKey()
+  console.log('🔑 API key forgotten')
+  notifyKeyChange()
+}
+
+/**
+ * Mask a key for display, keeping its first and last four characters
+ * @param {string} key - The API key
+ * @returns {string} e.g. "fb4d••••0351" (empty if there is no key)
+ */
+function maskApiKey(key) {
+  if (!key) return ''
+  if (key.length <= 8) return '•'.repeat(key.length)
+  return `${key.slice(0, 4)}••••${key.slice(-4)}`
+}
+
+/**
+ * Describe the active key without exposing it
+ * @returns {Object} { hasKey, masked, persistence, validatedAt }
+ */
+function getApiKeyStatus() {
+  loadStoredKey()
+  return {
+    hasKey: !!activeKey,
+    masked: maskApiKey(activeKey),
+    persistence,
+    validatedAt,
+  }
+}
+
+/**
+ * Register a callback for key changes
+ * @param {Function} callback - Receives the new key status
+ * @returns {Function} Function to unregister the callback
+ */
+function onApiKeyChange(callback) {
+  keyChangeCallbacks.push(callback)
+  return () => {
+    const index = keyChangeCallbacks.indexOf(callback)
+    if (index !== -1) keyChangeCallbacks.splice(index, 1)
+  }
+}
+
+export {
+  PERSISTENCE_OPTIONS,
+  getApiKey,
+  setApiKey,
+  clearApiKey,
+  maskApiKey,
+  getApiKeyStatus,
+  onApiKeyChange,
+}
@@ -0,0 +1,166 @@
+/**
+ * API error classes
+ * Typed errors thrown by the API client so callers can branch on error type
+ * instead of parsing messages
+ */
+
+/**
+ * Base class for all API errors
+ * Carries the HTTP status, the endpoint that failed and the response body
+ */
+class ApiError extends Error {
+  /**
+   * @param {string} message - Human-readable message
+   * @param {Object} details - Error details
+   * @param {number} details.status - HTTP status (0 when no response was received)
+   * @param {string} details.endpoint - Endpoint or URL that was requested
+   * @param {string|Object|null} details.body - Response body (parsed JSON when possible)
+   * @param {Error} details.cause - Underlying error, if any
+   */
+  constructor(message, { status = 0, endpoint = '', body = null, cause } = {}) {
+    super(message)
+    this.name = 'ApiError'
+    this.status = status
+    this.endpoint = endpoint
+    this.body = body
+    if (cause) this.cause = cause
+  }
+
+  /**
+   * Whether retrying the same request might succeed
+   * @returns {boolean} True for transient failures
+   */
+  get isRetryable() {
+    return false
+  }
+}
+
+/** 401/403 - missing, invalid or unauthorized API key */
+class AuthError extends ApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'AuthError'
+  }
+}
+
+/** 404 - unknown endpoint, job or sequence */
+class NotFoundError extends ApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'NotFoundError'
+  }
+}
+
+/** 429 - too many requests; retryAfterMs comes from the Retry-After header */
+class RateLimitError extends ApiError {
+  constructor(message, { retryAfterMs = null, ...details } = {}) {
+    super(message, details)
+    this.name = 'RateLimitError'
+    this.retryAfterMs = retryAfterMs
+  }
+
+  get isRetryable() {
+    return true
+  }
+}
+
+/** 5xx - the API failed to handle the request */
+class ServerError extends ApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'ServerError'
+  }
+
+  get isRetryable() {
+    return true
+  }
+}
+
+/** No response received (DNS, CORS, connection reset, offline) */
+class NetworkError extends ApiError {
+  constructor(message, details) {
+    super(message, details)
+    this.name = 'NetworkError'
+  }
+
+  get isRetryable() {
+    return true
+  }
+}
+
+/** The request exceeded the profile's timeout */
+class TimeoutError extends ApiError {
+  constructor(message, { timeoutMs = null, ...details } = {}) {
+    super(message, details)
+    this.name = 'TimeoutError'
+    this.timeoutMs = timeoutMs
+  }
+
+  get isRetryable() {
+    return true
+  }
+}
+
+/**
+ * Parse a Retry-After header value into milliseconds
+ * @param {string|null} value - Header value (seconds or HTTP date)
+ * @returns {number|null} Delay in milliseconds or null
+ */
+function parseRetryAfter(value) {
+  if (!value) return null
+  const seconds = Number(value)
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000)
+  const date = Date.parse(value)
+  return isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * Create the matching typed error for a failed HTTP response
+ * @param {Response} response - Fetch Response object (not ok)
+ * @param {string} endpoint - Endpoint or URL that was requested
+ * @param {string|Object|null} body - Response body already read from the response
+ * @returns {ApiError} Typed error
+ */
+function createApiError(response, endpoint, body) {
+  const status = response.status
+  const detail =
+    typeof body === 'string' ? body : body?.detail || JSON.stringify(body)
+  const details = { status, endpoint, body }
+
+  if (status === 401 || status === 403) {
+    return new AuthError(
+      `API Authentication Error (${status}). Please check your API Key.`,
+      details
+    )
+  }
+  if (status === 404) {
+    return new NotFoundError(`Not found (404): ${endpoint}`, details)
+  }
+  if (status === 429) {
+    return new RateLimitError(`Rate limit exceeded (429): ${endpoint}`, {
+      ...details,
+      retryAfterMs: parseRetryAfter(response.headers.get('retry-after')),
+    })
+  }
+  if (status >= 500) {
+    return new ServerError(
+      `Server error ${status} ${response.statusText || ''} - ${detail || ''}`.trim(),
+      details
+    )
+  }
+  return new ApiError(
+    `API request failed: ${status} ${response.statusText || ''} - ${detail || ''}`.trim(),
+    details
+  )
+}
+
+export {
+  ApiError,
+  AuthError,
+  NotFoundError,
+  RateLimitError,
+  ServerError,
+  NetworkError,
+  TimeoutError,
+  createApiError,
+}
@@ -0,0 +1,460 @@
+/**
+ * API session recorder
+ * Records every request/response pair made through apiRequest into a
+ * portable JSON recording, and replays a loaded recording with the same
+ * responses and timing (the 'recorded' data mode). Recordings never contain
+ * the API key.
+ */
+
+import { splitApiEndpoint } from './api-config.js'
+import {
+  ApiError,
+  NetworkError,
+  TimeoutError,
+  createApiError,
+} from './api-errors.js'
+
+const RECORDING_FORMAT = 'pathgen-api-recording'
+const RECORDING_VERSION = 1
+const MAX_RECORDED_UPLOAD_BYTES = 5 * 1024 * 1024 // Larger uploads are recorded without content
+const REPLAY_STREAM_CHUNKS = 20 // Streamed bodies are replayed in this many timed chunks
+
+let activeRecording = null // Recording in progress
+let loadedRecording = null // Recording being replayed
+let replayEntries = new Map() // Request key -> recorded entries, in order
+let replayCursors = new Map() // Request key -> next entry index
+let replaySpeed = 1
+const recorderChangeCallbacks = []
+
+/**
+ * Notify listeners that recording/replay state changed
+ */
+function notifyRecorderChange() {
+  const status = getRecorderStatus()
+  recorderChangeCallbacks.forEach((callback) => callback(status))
+}
+
+/**
+ * Wait for a delay, rejecting if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function replayDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+      },
+      { once: true }
+    )
+  })
+}
+
+/**
+ * Describe a request in a serializable form
+ * @param {string} endpoint - Endpoint path or absolute URL
+ * @param {Object} options - apiRequest options
+ * @param {boolean} includeContent - Include the uploaded file content
+ * @returns {Promise<Object>} { method, path, params, body }
+ */
+async function describeRequest(endpoint, options, includeContent) {
+  const { method = 'GET', body } = options
+  const { path, params } = splitApiEndpoint(endpoint, options.params)
+
+  let recordedBody = body ?? null
+  if (body instanceof Blob) {
+    // Chunks of a chunked upload are recorded by size only
+    recordedBody = { size: body.size, type: body.type }
+  } else if (body instanceof FormData) {
+    recordedBody = {}
+    for (const [name, value] of body.entries()) {
+      if (typeof value === 'string') {
+        recordedBody[name] = value
+        continue
+      }
+      recordedBody[name] = {
+        name: value.name,
+        size: value.size,
+        type: value.type,
+      }
+      if (includeContent && value.size <= MAX_RECORDED_UPLOAD_BYTES) {
+        recordedBody[name].content = await value.text()
+      }
+    }
+  }
+  return { method, path, params, body: recordedBody }
+}
+
+/**
+ * Build the key that matches a replayed request to its recorded entries.
+ * Uploads match by endpoint only (the file is identified by its recorded name).
+ * @param {Object} request - { method, path, params, body }
+ * @returns {string} Request key
+ */
+function requestKey({ method, path, params = {}, body }) {
+  if (method === 'POST' && path === '/pathtrack/sequence/embed') {
+    return `${method} ${path}`
+  }
+  const query = Object.keys(params)
+    .sort()
+    .map((key) => `${key}=${params[key]}`)
+    .join('&')
+  return `${method} ${path}?${query} ${body ? JSON.stringify(body) : ''}`
+}
+
+/**
+ * Start recording API calls
+ * @param {Object} options - Recording options
+ * @param {string} options.label - Label stored in the recording (e.g. a bug report ID)
+ * @param {Object} options.dataSource - Data source info (from getDataSourceInfo)
+ * @returns {Object} The recording in progress
+ */
+function startRecording({ label = '', dataSource = null } = {}) {
+  activeRecording = {
+    format: RECORDING_FORMAT,
+    version: RECORDING_VERSION,
+    label,
+    recordedAt: new Date().toISOString(),
+    dataSource,
+    entries: [],
+  }
+  activeRecording.startedAt = Date.now()
+  console.log(`⏺️ Recording API calls${label ? ` (${label})` : ''}`)
+  notifyRecorderChange()
+  return activeRecording
+}
+
+/**
+ * Stop recording
+ * @returns {Object|null} The finished recording (portable JSON) or null if none was active
+ */
+function stopRecording() {
+  if (!activeRecording) return null
+  const { startedAt, ...recording } = activeRecording
+  recording.durationMs = Date.now() - startedAt
+  activeRecording = null
+  console.log(`⏹️ Recording stopped: ${recording.entries.length} API calls`)
+  notifyRecorderChange()
+  return recording
+}
+
+/**
+ * Append an entry to a recording and notify listeners (for the recorded-call count)
+ * @param {Object} recording - Recording in progress
+ * @param {Object} entry - Recorded request/response pair
+ */
+function addEntry(recording, entry) {
+  recording.entries.push(entry)
+  if (recording === activeRecording) notifyRecorderChange()
+}
+
+/**
+ * Run a request, recording its request/response pair if a recording is active
+ * @param {string} endpoint - Endpoint path or absolute URL
+ * @param {Object} options - apiRequest options
+ * @param {Function} perform - Performs the request and returns its result
+ * @returns {Promise<*>} The request result (streamed bodies are recorded as they are read)
+ */
+async function recordApiCall(endpoint, options, perform) {
+  const recording = activeRecording
+  if (!recording) return perform()
+
+  const startedAt = Date.now()
+  const entry = {
+    ...(await describeRequest(endpoint, options, true)),
+    responseType: options.responseType || 'json',
+    offsetMs: startedAt - recording.startedAt,
+  }
+
+  try {
+    const result = await perform()
+    entry.durationMs = Date.now() - startedAt
+    if (entry.responseType !== 'response') {
+      entry.status = 200
+      entry.response = structuredClone(result) // Callers may mutate the result
+      addEntry(recording, entry)
+      return result
+    }
+
+    // Streamed body: keep the text as the consumer reads it
+    entry.status = result.status
+    entry.contentType = result.headers.get('content-type')
+    entry.response = ''
+    entry.complete = false
+    addEntry(recording, entry)
+    if (!result.body) return result
+    const decoder = new TextDecoder()
+    const body = result.body.pipeThrough(
+      new TransformStream({
+        transform(chunk, controller) {
+          entry.response += decoder.decode(chunk, { stream: true })
+          controller.enqueue(chunk)
+        },
+        flush() {
+          entry.response += decoder.decode()
+          entry.complete = true
+          entry.streamDurationMs = Date.now() - startedAt - entry.durationMs
+        },
+      })
+    )
+    return new Response(body, {
+      status: result.status,
+      statusText: result.statusText,
+      headers: result.headers,
+    })
+  } catch (error) {
+    if (error?.name === 'AbortError') throw error // Cancelled calls aren't part of the session
+    entry.durationMs = Date.now() - startedAt
+    entry.status = error.status || 0
+    entry.error = {
+      name: error.name,
+      message: error.message,
+      body: error.body ?? null,
+      retryAfterMs: error.retryAfterMs ?? null,
+      timeoutMs: error.timeoutMs ?? null,
+    }
+    addEntry(recording, entry)
+    throw error
+  }
+}
+
+/**
+ * Load a recording for replay
+ * @param {Object} recording - Parsed recording JSON
+ * @param {Object} options - Replay options
+ * @param {number} options.speed - Timing multiplier (2 = twice as fast, default: 1)
+ * @returns {Object} The loaded recording
+ * @throws {Error} If the data is not a recording
+ */
+function loadRecording(recording, { speed = 1 } = {}) {
+  if (
+    recording?.format !== RECORDING_FORMAT ||
+    !Array.isArray(recording.entries)
+  ) {
+    throw new Error('Not a PathGen API recording.')
+  }
+  if (recording.version > RECORDING_VERSION) {
+    throw new Error(
+      `Recording version ${recording.version} is newer than supported (${RECORDING_VERSION}).`
+    )
+  }
+
+  loadedRecording = recording
+  replaySpeed = speed > 0 ? speed : 1
+  replayEntries = new Map()
+  recording.entries.forEach((entry) => {
+    const key = requestKey(entry)
+    if (!replayEntries.has(key)) replayEntries.set(key, [])
+    replayEntries.get(key).push(entry)
+  })
+  rewindReplay()
+  console.log(
+    `▶️ Loaded recording${recording.label ? ` "${recording.label}"` : ''}: ${
+      recording.entries.length
+    } API calls`
+  )
+  notifyRecorderChange()
+  return recording
+}
+
+/**
+ * Restart replay from the first recorded response of every request
+ */
+function rewindReplay() {
+  replayCursors = new Map()
+}
+
+/**
+ * Forget the loaded recording
+ */
+function unloadRecording() {
+  loadedRecording = null
+  replayEntries = new Map()
+  rewindReplay()
+  notifyRecorderChange()
+}
+
+/**
+ * Rebuild the typed error of a recorded failure
+ * @param {Object} entry - Recorded entry with an error
+ * @param {string} endpoint - Endpoint requested during replay
+ * @returns {ApiError} Typed error
+ */
+function rebuildError(entry, endpoint) {
+  const { error, status } = entry
+  if (status >= 200 && status <= 599) {
+    const headers = error.retryAfterMs
+      ? { 'retry-after': String(Math.ceil(error.retryAfterMs / 1000)) }
+      : {}
+    return createApiError(
+      new Response(null, { status, headers }),
+      endpoint,
+      error.body
+    )
+  }
+  if (error.name === 'TimeoutError') {
+    return new TimeoutError(error.message, {
+      endpoint,
+      timeoutMs: error.timeoutMs,
+    })
+  }
+  if (error.name === 'NetworkError') {
+    return new NetworkError(error.message, { endpoint })
+  }
+  return new ApiError(error.message, { status, endpoint, body: error.body })
+}
+
+/**
+ * Build a streamed Response that delivers the recorded body over its recorded duration
+ * @param {Object} entry - Recorded streamed entry
+ * @returns {Response} Response
+ */
+function replayStream(entry) {
+  const bytes = new TextEncoder().encode(entry.response)
+  const chunkSize = Math.max(1, Math.ceil(bytes.length / REPLAY_STREAM_CHUNKS))
+  const chunkDelay =
+    (entry.streamDurationMs || 0) / REPLAY_STREAM_CHUNKS / replaySpeed
+  let offset = 0
+  let timer = null
+
+  const body = new ReadableStream({
+    pull(controller) {
+      if (offset >= bytes.length) {
+        controller.close()
+        return
+      }
+      return new Promise((resolve) => {
+        timer = setTimeout(() => {
+          controller.enqueue(bytes.slice(offset, offset + chunkSize))
+          offset += chunkSize
+          resolve()
+        }, chunkDelay)
+      })
+    },
+    cancel() {
+      clearTimeout(timer)
+    },
+  })
+
+  return new Response(body, {
+    status: entry.status,
+    headers: {
+      'content-type': entry.contentType || 'application/json',
+      'content-length': String(bytes.length),
+    },
+  })
+}
+
+/**
+ * Answer a request from the loaded recording (same options and results as apiRequest).
+ * Repeated requests (e.g. job status polls) get the recorded responses in order;
+ * once they run out, the last one is repeated.
+ * @param {string} endpoint - Endpoint path or absolute URL
+ * @param {Object} options - apiRequest options
+ * @returns {Promise<*>} Recorded result
+ * @throws {ApiError} The recorded error, or an ApiError if nothing was recorded for this request
+ */
+async function replayApiRequest(endpoint, options = {}) {
+  const request = await describeRequest(endpoint, options, false)
+  if (!loadedRecording) {
+    throw new ApiError(
+      `No recorded API session is loaded to answer ${request.method} ${request.path}.`,
+      { status: 0, endpoint }
+    )
+  }
+
+  const key = requestKey(request)
+  const entries = replayEntries.get(key)
+  if (!entries) {
+    throw new ApiError(
+      `The recording has no response for ${request.method} ${request.path}.`,
+      { status: 0, endpoint }
+    )
+  }
+  const cursor = replayCursors.get(key) || 0
+  replayCursors.set(key, cursor + 1)
+  const entry = entries[Math.min(cursor, entries.length - 1)]
+
+  await replayDelay((entry.durationMs || 0) / replaySpeed, options.signal)
+  console.log(`▶️ Replay ${request.method} ${request.path} → ${entry.status}`)
+
+  if (entry.error) throw rebuildError(entry, endpoint)
+  if ((options.responseType || 'json') === 'response') {
+    return entry.responseType === 'response'
+      ? replayStream(entry)
+      : new Response(JSON.stringify(entry.response), { status: entry.status })
+  }
+  return entry.response
+}
+
+/**
+ * Get the uploaded file of the first recorded analysis, so it can be replayed
+ * @param {Object} recording - Recording (default: the loaded one)
+ * @returns {Object|null} { name, type, content, model } or null if not recorded
+ */
+function getRecordedUpload(recording = loadedRecording) {
+  const upload = recording?.entries.find(
+    (entry) =>
+      entry.method === 'POST' && entry.path === '/pathtrack/sequence/embed'
+  )
+  const file = upload?.body?.file
+  if (!file || file.content == null) return null
+  return { ...file, model: upload.body.model }
+}
+
+/**
+ * Get the loaded recording
+ * @returns {Object|null} Recording being replayed
+ */
+function getLoadedRecording() {
+  return loadedRecording
+}
+
+/**
+ * Get recording/replay state
+ * @returns {Object} { recording, recordedCalls, replaying, label }
+ */
+function getRecorderStatus() {
+  return {
+    recording: !!activeRecording,
+    recordedCalls: activeRecording?.entries.length || 0,
+    replaying: !!loadedRecording,
+    label: loadedRecording?.label || '',
+  }
+}
+
+/**
+ * Register a callback for recording/replay state changes
+ * @param {Function} callback - Receives getRecorderStatus()
+ * @returns {Function} Function to unregister the callback
+ */
+function onRecorderChange(callback) {
+  recorderChangeCallbacks.push(callback)
+  return () => {
+    const index = recorderChangeCallbacks.indexOf(callback)
+    if (index !== -1) recorderChangeCallbacks.splice(index, 1)
+  }
+}
+
+export {
+  RECORDING_FORMAT,
+  startRecording,
+  stopRecording,
+  recordApiCall,
+  loadRecording,
+  rewindReplay,
+  unloadRecording,
+  replayApiRequest,
+  getRecordedUpload,
+  getLoadedRecording,
+  getRecorderStatus,
+  onRecorderChange,
+}
@@ -4,13 +4,31 @@
  */
 
 import * as d3 from 'd3'
-
-// API configuration
-const API_BASE_URL = 'http://dev.pathgen.ai/api/v1'
-
-// Cache for sequences to avoid redundant API calls
+import {
+  DEFAULT_EMBEDDING_MODELS,
+  buildApiUrl,
+  getApiConfig,
+  requiresApiKey,
+} from './api-config.js'
+import { apiRequest } from './api-client.js'
+import { AuthError, NotFoundError } from './api-errors.js'
+import { isAbortError } from './analysis-session.js'
+import { shouldUploadInChunks, uploadInChunks } from './chunked-upload.js'
+import { getDataMode, isLiveData } from './data-mode.js'
+import { generateReferenceSet } from './mock-data.js'
+import {
+  createCacheKey,
+  getCached,
+  setCached,
+  purgeCache,
+  getCacheStats,
+  refreshCacheStats,
+} from './api-cache.js'
+
+// Last reference set loaded (from the API or the persistent cache)
 let cachedSequences = null
 let sequenceCoordinatesCache = {} // Cache for sequence coordinates by ID
+const modelListCache = new Map() // Model lists by data mode and base URL
 
 // Export the cache for direct access from dashboard
 window.apiCache = {
@@ -21,28 +39,31 @@ window.apiCache = {
     return {
       isCached: !!cachedSequences,
       count: cachedSequences ? cachedSequences.length : 0,
+      ...getCacheStats(), // hits, misses, hitRate, writes, evictions, entries, bytes, backend
     }
   },
+  refresh: refreshCacheStats,
+  purge: async function (namespace = null) {
+    if (!namespace || namespace === 'umap') cachedSequences = null
+    return purgeCache(namespace)
+  },
 }
 
 /**
- * Helper to create authorization headers
+ * Ensure an API key is present when the active profile requires one
+ * (mock and recorded data never need one)
  * @param {string} apiKey - The API key
- * @returns {Object} Headers object or empty object if no key
+ * @param {string} action - Description of the action for the error message
+ * @throws {AuthError} If the key is required but missing
  */
-function getAuthHeaders(apiKey) {
-  if (!apiKey) {
-    console.warn('API Key is missing for authenticated request.')
-    // Decide how to handle: throw error or allow request without auth?
-    // Returning without the key will likely cause API errors anyway.
-    return { accept: 'application/json' }
-  }
-  // --- REVERT TO USING X-API-Key ---
-  return {
-    accept: 'application/json',
-    'X-API-Key': apiKey, // Use X-API-Key header
+function requireApiKey(apiKey, action) {
+  if (!apiKey && requiresApiKey() && isLiveData()) {
+    console.error(`❌ API Key is required to ${action}.`)
+    throw new AuthError(`API Key is required to ${action}.`, {
+      status: 0,
+      endpoint: action,
+    })
   }
-  // --- END REVERT ---
 }
 
 /**
@@ -52,15 +73,12 @@ function getAuthHeaders(apiKey) {
  * @returns {Object} Request configuration object
  */
 function configureApiRequest(endpoint, params = {}) {
-  // Build URL with query parameters
-  const url = new URL(`${API_BASE_URL}${endpoint}`)
-  Object.keys(params).forEach((key) => {
-    url.searchParams.append(key, params[key])
-  })
+  // Build URL with query parameters against the active profile
+  const url = buildApiUrl(endpoint, params)
 
   // Return fetch configuration
   return {
-    url: url.toString(),
+    url,
     options: {
       method: 'GET',
       headers: {
@@ -71,131 +89,173 @@ function configureApiRequest(endpoint, params = {}) {
 }
 
 /**
- * Fetch UMAP data from the API
+ * Fetch UMAP data from the active data source (see data-mode.js)
  * @param {string} model - Model name (default: 'DNABERT-S')
- * @param {boolean} useMock - Whether to use mock data (default: false)
+ * @param {boolean} useMock - Return seeded mock data without a request (default: false)
  * @param {string} apiKey - The API key for authentication
+ * @param {Object} requestOptions - Request options
+ * @param {AbortSignal} requestOptions.signal - Signal to cancel the request
+ * @param {Function} requestOptions.onBatch - Called with each batch of records as they arrive (batch, progress)
+ * @param {Function} requestOptions.onProgress - Called with { records, bytes, totalBytes, done }
+ * @param {number} requestOptions.batchSize - Records per onBatch call (default: 1000)
+ * @param {boolean} requestOptions.useCache - Read/write the persistent cache (default: true, live data only)
  * @returns {Promise<Array>} Array of UMAP data points
+ * @throws {ApiError} If the request fails before any record arrives (no silent mock fallback)
  */
-async function fetchUmapData(model = 'DNABERT-S', useMock = false, apiKey) {
+async function fetchUmapData(
+  model = 'DNABERT-S',
+  useMock = false,
+  apiKey,
+  { signal, onBatch, onProgress, batchSize = 1000, useCache = true } = {}
+) {
   console.log('🔍 DEBUG: fetchUmapData called with params:', { model, useMock })
 
-  // If useMock is true or we're in development environment, use mock data
-  if (useMock || window.location.hostname === 'localhost') {
-    console.log(
-      'Using mock UMAP data (explicitly requested or running locally)'
-    )
-    return mockUmapData(500) // Generate 500 mock data points
+  // Deliver mock data through the same callbacks as a streamed response
+  const useMockData = (count) => {
+    const mockData = mockUmapData(count)
+    const progress = {
+      records: mockData.length,
+      bytes: 0,
+      totalBytes: null,
+      done: true,
+    }
+    if (onBatch) onBatch(mockData, progress)
+    if (onProgress) onProgress(progress)
+    return mockData
   }
 
-  // Check for API Key before making the actual call
-  if (!apiKey) {
-    console.error(
-      '❌ fetchUmapData: API Key is required to fetch reference data.'
-    )
-    // Fallback to mock data if no key is provided
-    console.warn('API Key missing, falling back to mock UMAP data.')
-    return mockUmapData(500)
+  if (useMock) {
+    console.log('Using mock UMAP data (explicitly requested)')
+    return useMockData(500) // Generate 500 mock data points
   }
 
-  try {
-    const apiUrl = `${API_BASE_URL}/pathtrack/umap/all?embedding_model=${encodeURIComponent(
-      model
-    )}&reduced=true`
-    console.log(`Fetching UMAP data from ${apiUrl}`)
-    console.log('🔍 DEBUG: API request headers:', getAuthHeaders(apiKey))
-
-    const response = await fetch(apiUrl, {
-      method: 'GET',
-      headers: getAuthHeaders(apiKey),
-    })
-
-    console.log(
-      '🔍 DEBUG: API response status:',
-      response.status,
-      response.statusText
-    )
-
-    if (!response.ok) {
-      console.error('🔍 DEBUG: API request failed with details:', {
-        status: response.status,
-        statusText: response.statusText,
-      })
-
-      // Try to get error details from response
-      let errorText = ''
-      try {
-        errorText = await response.text()
-        console.error('🔍 DEBUG: API error response:', errorText)
-      } catch (e) {
-        console.error('🔍 DEBUG: Could not read error response body')
+  // Mock and recorded responses are never written to the persistent cache
+  const cacheEnabled = useCache && isLiveData()
+  const cacheKey = createCacheKey('/pathtrack/umap/all', {
+    embedding_model: model,
+    reduced: true,
+  })
+  if (cacheEnabled) {
+    const cached = await getCached(cacheKey)
+    if (cached) {
+      console.log(`Loaded ${cached.length} UMAP data points from cache`)
+      // Deliver through the same batch callbacks as a streamed response
+      for (let i = 0; i < cached.length; i += batchSize) {
+        if (onBatch) {
+          onBatch(cached.slice(i, i + batchSize), {
+            records: Math.min(i + batchSize, cached.length),
+            bytes: 0,
+            totalBytes: null,
+            done: i + batchSize >= cached.length,
+            fromCache: true,
+          })
+        }
       }
-
-      // Check if this is an API key authentication error
-      if (
-        response.status === 401 ||
-        response.status === 403 ||
-        (errorText && errorText.includes('API Key'))
-      ) {
-        console.warn(
-          '🔍 DEBUG: API authentication error detected, using mock data'
-        )
-        return mockUmapData(500) // Generate 500 mock points
+      if (onProgress) {
+        onProgress({
+          records: cached.length,
+          bytes: 0,
+          totalBytes: null,
+          done: true,
+          fromCache: true,
+        })
       }
-
-      throw new Error(`API request failed with status ${response.status}`)
+      cachedSequences = cached
+      return cached
     }
+  }
 
-    // Get the text response
-    const text = await response.text()
-    console.log(
-      '🔍 DEBUG: API response text (first 200 chars):',
-      text.substring(0, 200)
-    )
+  const records = []
+  let batch = []
+  let lastProgress = { records: 0, bytes: 0, totalBytes: null, done: false }
 
-    // Split the text by newlines and parse each line as JSON
-    const jsonLines = text
-      .split('\n')
-      .filter((line) => line.trim() !== '') // Remove empty lines
-      .map((line) => {
-        try {
-          return JSON.parse(line)
-        } catch (e) {
-          console.warn('Failed to parse JSON line:', line)
-          return null
-        }
-      })
-      .filter((obj) => obj !== null) // Remove failed parses
+  try {
+    console.log(`Streaming UMAP data for model ${model}`)
 
-    // Filter out metadata objects and keep only record objects
-    const records = jsonLines.filter((obj) => obj.type === 'record')
-    console.log('🔍 DEBUG: After parsing jsonLines:', {
-      totalLines: jsonLines.length,
-      validRecords: records.length,
+    const stream = streamUmapData(model, apiKey, {
+      signal,
+      onProgress: (progress) => {
+        lastProgress = progress
+        if (onProgress) onProgress(progress)
+      },
     })
 
+    for await (const record of stream) {
+      records.push(record)
+      batch.push(record)
+      if (batch.length >= batchSize) {
+        if (onBatch) onBatch(batch, { ...lastProgress, records: records.length })
+        batch = []
+      }
+    }
+    if (batch.length > 0 && onBatch) {
+      onBatch(batch, { ...lastProgress, records: records.length, done: true })
+    }
+
     console.log(`Received ${records.length} UMAP data points`)
 
-    // If we got no valid records, fall back to mock data
     if (records.length === 0) {
-      console.warn(
-        '🔍 DEBUG: No valid records received from API, using mock data'
-      )
-      return mockUmapData(500)
+      console.warn('No valid UMAP records received from the API')
+      return records
     }
 
+    // Only complete live responses are cached (never mock or partial data)
+    cachedSequences = records
+    if (cacheEnabled) setCached(cacheKey, records, { namespace: 'umap' })
+
     return records
   } catch (error) {
+    if (isAbortError(error)) throw error
     console.error('Error fetching UMAP data:', error)
-    // Re-throw the error so the caller knows it failed, unless it's an auth error we already handled
-    if (error.message.includes('API Authentication Error')) {
-      // Fallback to mock only if specifically requested or unavoidable?
-      // Or just let the error propagate up to `findAllMatchesInCache`
-      console.warn('Authentication failed, cannot fetch UMAP data.')
-      throw error // Let the caller handle the auth failure
-    } else {
-      console.log('Falling back to mock UMAP data due to non-auth error.')
-      return mockUmapData(500)
+    // Records already delivered through onBatch can't be taken back
+    if (records.length > 0) {
+      console.warn(
+        `UMAP stream interrupted after ${records.length} records, returning partial data.`
+      )
+      return records
+    }
+    // Never substitute mock data for a failed live request: switch the data mode instead
+    throw error
+  }
+}
+
+/**
+ * Stream the full UMAP reference set record by record
+ * @param {string} model - Model name (default: 'DNABERT-S')
+ * @param {string} apiKey - The API key for authentication
+ * @param {Object} requestOptions - Request options
+ * @param {AbortSignal} requestOptions.signal - Signal to cancel the stream
+ * @param {Function} requestOptions.onProgress - Called with { records, bytes, totalBytes, done }
+ * @returns {AsyncGenerator<Object>} Async iterator of UMAP records (type === 'record')
+ */
+async function* streamUmapData(
+  model = 'DNABERT-S',
+  apiKey,
+  { signal, onProgress } = {}
+) {
+  requireApiKey(apiKey, 'fetch reference data')
+
+  const response = await apiRequest('/pathtrack/umap/all', {
+    params: { embedding_model: model, reduced: true },
+    apiKey,
+    timeout: 'stream',
+    responseType: 'response',
+    signal,
+  })
+
+  let records = 0
+  const stream = streamJsonl(response, {
+    // Report record counts (metadata lines excluded) alongside bytes received
+    onProgress: (progress) => {
+      if (onProgress) onProgress({ ...progress, records })
+    },
+  })
+
+  for await (const obj of stream) {
+    // Skip metadata objects and keep only record objects
+    if (obj?.type === 'record') {
+      records++
+      yield obj
     }
   }
 }
@@ -267,15 +327,18 @@ function transformUmapData(data) {
 /**
  * Fetch data from the API
  * @param {Object} config - Request configuration from configureApiRequest
+ * @param {Object} requestOptions - Request options
+ * @param {AbortSignal} requestOptions.signal - Signal to cancel the request
  * @returns {Promise} Promise resolving to the API response
  */
-async function fetchApiData(config) {
+async function fetchApiData(config, { signal } = {}) {
   try {
-    const response = await fetch(config.url, config.options)
-
-    if (!response.ok) {
-      throw new Error(`API request failed with status ${response.status}`)
-    }
+    const response = await apiRequest(config.url, {
+      method: config.options?.method,
+      headers: config.options?.headers,
+      responseType: 'response',
+      signal,
+    })
 
     // For JSONL responses, we need to handle streaming
     const contentType = response.headers.get('content-type')
@@ -292,150 +355,276 @@ async function fetchApiData(config) {
 }
 
 /**
- * Parse a streaming JSONL response
+ * Stream a JSONL (NDJSON) response, yielding each object as soon as its line is complete
  * @param {Response} response - Fetch Response object
- * @returns {Promise<Array>} Promise resolving to array of parsed objects
+ * @param {Object} options - Stream options
+ * @param {Function} options.onProgress - Called after each chunk with { records, bytes, totalBytes, done }
+ * @returns {AsyncGenerator<Object>} Async iterator of parsed objects
  */
-async function parseJsonlStream(response) {
+async function* streamJsonl(response, { onProgress } = {}) {
   const reader = response.body.getReader()
   const decoder = new TextDecoder()
+  const contentLength = Number(response.headers.get('content-length'))
+  const totalBytes = contentLength > 0 ? contentLength : null
   let buffer = ''
-  const results = []
-
-  while (true) {
-    const { done, value } = await reader.read()
+  let bytes = 0
+  let records = 0
+  let finished = false
+
+  const parseLine = (line) => {
+    try {
+      return JSON.parse(line)
+    } catch (e) {
+      console.warn('Error parsing JSONL line:', e)
+      return null
+    }
+  }
 
-    if (done) {
-      // Process any remaining data in the buffer
-      if (buffer.trim()) {
-        try {
-          results.push(JSON.parse(buffer.trim()))
-        } catch (e) {
-          console.warn('Error parsing final JSONL chunk:', e)
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+
+      if (done) {
+        finished = true
+        // Process any remaining data in the buffer
+        buffer += decoder.decode()
+        if (buffer.trim()) {
+          const obj = parseLine(buffer.trim())
+          if (obj !== null) {
+            records++
+            yield obj
+          }
         }
+        if (onProgress) onProgress({ records, bytes, totalBytes, done: true })
+        break
       }
-      break
-    }
 
-    // Decode the chunk and add to buffer
-    buffer += decoder.decode(value, { stream: true })
-
-    // Process complete lines
-    const lines = buffer.split('\n')
-    buffer = lines.pop() // Keep the last (potentially incomplete) line in the buffer
-
-    for (const line of lines) {
-      if (line.trim()) {
-        try {
-          results.push(JSON.parse(line))
-        } catch (e) {
-          console.warn('Error parsing JSONL line:', e)
+      // Decode the chunk and add to buffer
+      bytes += value.byteLength
+      buffer += decoder.decode(value, { stream: true })
+
+      // Process complete lines
+      const lines = buffer.split('\n')
+      buffer = lines.pop() // Keep the last (potentially incomplete) line in the buffer
+
+      for (const line of lines) {
+        if (line.trim()) {
+          const obj = parseLine(line)
+          if (obj !== null) {
+            records++
+            yield obj
+          }
         }
       }
+
+      if (onProgress) onProgress({ records, bytes, totalBytes, done: false })
     }
+  } finally {
+    // Cancel the body (releasing the connection) if the consumer stopped iterating early
+    if (!finished) reader.cancel().catch(() => {})
+    else reader.releaseLock()
   }
+}
 
+/**
+ * Parse a streaming JSONL response
+ * @param {Response} response - Fetch Response object
+ * @returns {Promise<Array>} Promise resolving to array of parsed objects
+ */
+async function parseJsonlStream(response) {
+  const results = []
+  for await (const obj of streamJsonl(response)) {
+    results.push(obj)
+  }
   return results
 }
 
 /**
- * Generate mock UMAP data for testing
+ * Generate seeded mock UMAP data for testing
  * @param {number} count - Number of mock data points to generate (default: 100)
- * @returns {Array} Array of mock UMAP data points
+ * @param {number} seed - Seed (default: the active data mode's seed)
+ * @returns {Array} Array of mock UMAP data points (same seed, same points)
+ */
+function mockUmapData(count = 100, seed = getDataMode().seed) {
+  console.log(`Generating ${count} mock UMAP data points (seed ${seed})`)
+  return generateReferenceSet(count, { seed })
+}
+
+/**
+ * Normalize a model list response (names, or objects with name/id and label)
+ * @param {Object|Array} data - Response of GET /pathtrack/models
+ * @returns {Array<Object>} Models { name, label, default }
  */
-function mockUmapData(count = 100) {
-  const mockData = []
-  const countries = [
-    'USA',
-    'China',
-    'India',
-    'Brazil',
-    'Russia',
-    'Japan',
-    'Germany',
-    'UK',
-    'France',
-    'Italy',
-  ]
-  const years = [
-    '2015-01-01',
-    '2016-01-01',
-    '2017-01-01',
-    '2018-01-01',
-    '2019-01-01',
-    '2020-01-01',
-    '2021-01-01',
-    '2022-01-01',
-    '2023-01-01',
-  ]
-
-  console.log(`Generating ${count} mock UMAP data points`)
-
-  for (let i = 0; i < count; i++) {
-    const x = (Math.random() * 2 - 1) * 10
-    const y = (Math.random() * 2 - 1) * 10
-
-    mockData.push({
-      type: 'record',
-      sequence_hash: `mock-${i}`,
-      accession: `MOCK-${i}`,
-      coordinates: [x, y],
-      first_country: countries[Math.floor(Math.random() * countries.length)],
-      first_date: years[Math.floor(Math.random() * years.length)],
+function normalizeModelList(data) {
+  const items = Array.isArray(data) ? data : data?.models || []
+  const models = items
+    .map((item) => {
+      if (typeof item === 'string') return { name: item, label: item }
+      const name = item?.name || item?.id
+      return name
+        ? { ...item, name, label: item.label || item.display_name || name }
+        : null
     })
+    .filter(Boolean)
+  if (models.length > 0 && !models.some((model) => model.default)) {
+    models[0].default = true
+  }
+  return models
+}
+
+/**
+ * Get the embedding models offered by the API.
+ * Falls back to DEFAULT_EMBEDDING_MODELS (api-config.js) when the API has no
+ * model list endpoint; other errors are thrown.
+ * @param {string} apiKey - The API key for authentication
+ * @param {Object} requestOptions - Request options
+ * @param {AbortSignal} requestOptions.signal - Signal to cancel the request
+ * @returns {Promise<Object>} { models: [{ name, label, default }], source: 'api' | 'config' }
+ */
+async function fetchEmbeddingModels(apiKey, { signal } = {}) {
+  const cacheKey = `${getDataMode().mode}:${getApiConfig().baseUrl}`
+  if (modelListCache.has(cacheKey)) return modelListCache.get(cacheKey)
+
+  let result
+  try {
+    requireApiKey(apiKey, 'list embedding models')
+    const data = await apiRequest('/pathtrack/models', { apiKey, signal })
+    const models = normalizeModelList(data)
+    result =
+      models.length > 0
+        ? { models, source: 'api' }
+        : { models: DEFAULT_EMBEDDING_MODELS, source: 'config' }
+  } catch (error) {
+    if (isAbortError(error)) throw error
+    if (!(error instanceof NotFoundError) && !(error instanceof AuthError)) {
+      throw error
+    }
+    // No model endpoint (or no key yet): offer the configured models
+    console.warn(
+      `Model list unavailable (${error.message}), using configured models.`
+    )
+    return { models: DEFAULT_EMBEDDING_MODELS, source: 'config' }
   }
 
-  return mockData
+  console.log(
+    `Embedding models (${result.source}):`,
+    result.models.map((model) => model.name)
+  )
+  modelListCache.set(cacheKey, result)
+  return result
 }
 
 /**
- * Uploads a sequence for embedding
+ * Check an API key against the API before it is used.
+ * Asks for the model list; if the API has no model endpoint, asks for the
+ * status of a job that doesn't exist (404 with a valid key, 401/403 without).
+ * @param {string} apiKey - The API key to check
+ * @param {Object} requestOptions - Request options
+ * @param {AbortSignal} requestOptions.signal - Signal to cancel the check
+ * @returns {Promise<Object>} { valid, checked, message } (checked is false when no key is needed)
+ * @throws {ApiError} If the API can't be reached
+ */
+async function validateApiKey(apiKey, { signal } = {}) {
+  if (!requiresApiKey() || !isLiveData()) {
+    return {
+      valid: true,
+      checked: false,
+      message: 'The current data source does not use an API key.',
+    }
+  }
+  if (!apiKey?.trim()) {
+    return { valid: false, checked: false, message: 'Enter an API key.' }
+  }
+
+  const probes = ['/pathtrack/models', '/pathtrack/jobs/api-key-check']
+  for (const [index, endpoint] of probes.entries()) {
+    try {
+      await apiRequest(endpoint, { apiKey: apiKey.trim(), signal, retries: 0 })
+      return { valid: true, checked: true, message: 'API key accepted.' }
+    } catch (error) {
+      if (isAbortError(error)) throw error
+      if (error instanceof AuthError) {
+        return {
+          valid: false,
+          checked: true,
+          message: `API key rejected (HTTP ${error.status}).`,
+        }
+      }
+      if (!(error instanceof NotFoundError)) throw error
+      // A 404 for the unknown job means the key itself was accepted
+      if (index === probes.length - 1) {
+        return { valid: true, checked: true, message: 'API key accepted.' }
+      }
+    }
+  }
+}
+
+/**
+ * Uploads a sequence for embedding.
+ * Files above CHUNKED_UPLOAD_THRESHOLD are sent in resumable chunks (see
+ * chunked-upload.js) when the API supports upload sessions.
  * @param {File} file - FASTA file to upload
  * @param {string} model - Model to use for embedding (e.g., 'DNABERT-S')
  * @param {string} apiKey - The API key for authentication
+ * @param {Object} requestOptions - Request options
+ * @param {AbortSignal} requestOptions.signal - Signal to cancel the upload
+ * @param {Function} requestOptions.onProgress - Called with { bytesSent, totalBytes, chunked, resumes }
  * @returns {Promise<Object>} Job information including job_id
  */
-async function uploadSequence(file, model, apiKey) {
-  // Check for API Key
-  if (!apiKey) {
-    console.error('❌ uploadSequence: API Key is required.')
-    throw new Error('API Key is required to upload sequence.')
-  }
+async function uploadSequence(
+  file,
+  model,
+  apiKey,
+  { signal, onProgress } = {}
+) {
+  requireApiKey(apiKey, 'upload sequence')
   try {
     console.log(`Uploading sequence using model: ${model}`)
 
+    if (shouldUploadInChunks(file)) {
+      const data = await uploadInChunks(file, model, {
+        apiKey,
+        signal,
+        onProgress,
+      })
+      if (data) {
+        console.log('Chunked sequence upload successful, job ID:', data.job_id)
+        return data
+      }
+    }
+
+    const report = (bytesSent) => {
+      if (onProgress) {
+        onProgress({
+          bytesSent,
+          totalBytes: file.size,
+          chunked: false,
+          resumes: 0,
+        })
+      }
+    }
+    report(0)
+
     const formData = new FormData()
     formData.append('file', file)
     formData.append('model', model)
 
-    const response = await fetch(`${API_BASE_URL}/pathtrack/sequence/embed`, {
+    const data = await apiRequest('/pathtrack/sequence/embed', {
       method: 'POST',
-      headers: {
-        // --- Use X-API-Key (getAuthHeaders without 'accept') ---
-        // FormData sets Content-Type automatically, don't need 'accept' here
-        'X-API-Key': apiKey,
-      },
       body: formData,
+      apiKey,
+      timeout: 'upload',
+      retries: 0, // Not idempotent: a retried upload could start a duplicate job
+      signal,
+      // The multipart body is slightly larger than the file
+      onUploadProgress: ({ loaded, total }) =>
+        report(Math.round((loaded / total) * file.size)),
     })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      // Check for auth error
-      if (response.status === 401 || response.status === 403) {
-        throw new Error(
-          `API Authentication Error (${response.status}). Please check your API Key.`
-        )
-      }
-      throw new Error(
-        `Failed to upload sequence: ${response.status} ${response.statusText} - ${errorText}`
-      )
-    }
-
-    const data = await response.json()
+    report(file.size)
     console.log('Sequence upload successful, job ID:', data.job_id)
     return data
   } catch (error) {
-    console.error('Error uploading sequence:', error)
+    if (!isAbortError(error)) console.error('Error uploading sequence:', error)
     throw error // Re-throw to be caught by caller
   }
 }
@@ -444,40 +633,24 @@ async function uploadSequence(file, model, apiKey) {
  * Checks the status of a job
  * @param {string} jobId - Job ID to check
  * @param {string} apiKey - The API key for authentication
+ * @param {Object} requestOptions - Request options
+ * @param {AbortSignal} requestOptions.signal - Signal to cancel the request
  * @returns {Promise<Object>} Job status information
+ * @throws {ApiError} Typed error (e.g. NotFoundError for an unknown job)
  */
-async function checkJobStatus(jobId, apiKey) {
-  // Check for API Key
-  if (!apiKey) {
-    console.error(`❌ checkJobStatus (${jobId}): API Key is required.`)
-    throw new Error('API Key is required to check job status.')
-  }
+async function checkJobStatus(jobId, apiKey, { signal } = {}) {
+  requireApiKey(apiKey, 'check job status')
   try {
     console.log(`Checking status for job: ${jobId}`)
 
-    const response = await fetch(`${API_BASE_URL}/pathtrack/jobs/${jobId}`, {
-      method: 'GET',
-      headers: getAuthHeaders(apiKey),
+    const data = await apiRequest(`/pathtrack/jobs/${jobId}`, {
+      apiKey,
+      signal,
     })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      // Check for auth error
-      if (response.status === 401 || response.status === 403) {
-        throw new Error(
-          `API Authentication Error (${response.status}). Please check your API Key.`
-        )
-      }
-      throw new Error(
-        `Failed to check job status: ${response.status} ${response.statusText} - ${errorText}`
-      )
-    }
-
-    const data = await response.json()
     console.log('Job status:', data.status)
     return data
   } catch (error) {
-    console.error('Error checking job status:', error)
+    if (!isAbortError(error)) console.error('Error checking job status:', error)
     throw error // Re-throw
   }
 }
@@ -486,69 +659,41 @@ async function checkJobStatus(jobId, apiKey) {
  * Get UMAP projection for a job
  * @param {string} jobId - The job ID for the uploaded sequence.
  * @param {string} apiKey - The API key for authentication
+ * @param {Object} requestOptions - Request options
+ * @param {AbortSignal} requestOptions.signal - Signal to cancel the request
+ * @param {boolean} requestOptions.useCache - Read/write the persistent cache (default: true)
  * @returns {Promise<Object>} - UMAP projection data
  */
-async function getUmapProjection(jobId, apiKey) {
-  // Check for API Key
-  if (!apiKey) {
-    console.error(`❌ getUmapProjection (${jobId}): API Key is required.`)
-    throw new Error('API Key is required to get UMAP projection.')
-  }
+async function getUmapProjection(
+  jobId,
+  apiKey,
+  { signal, useCache = true } = {}
+) {
+  requireApiKey(apiKey, 'get UMAP projection')
   try {
     console.log(`Getting UMAP projection for job ${jobId}`)
 
-    // --- ALWAYS use 'job_id' as the query parameter name ---
-    const url = `${API_BASE_URL}/pathtrack/sequence/umap?job_id=${encodeURIComponent(
-      jobId
-    )}`
-
-    console.log(`Sending POST request to: ${url}`)
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        ...getAuthHeaders(apiKey),
-      },
-      body: JSON.stringify({}),
+    const cacheKey = createCacheKey('/pathtrack/sequence/umap', {
+      job_id: jobId,
     })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      // Check for auth error
-      if (response.status === 401 || response.status === 403) {
-        throw new Error(
-          `API Authentication Error (${response.status}). Please check your API Key.`
-        )
+    const cacheEnabled = useCache && isLiveData()
+    let data = cacheEnabled ? await getCached(cacheKey) : undefined
+
+    if (!data) {
+      // --- ALWAYS use 'job_id' as the query parameter name ---
+      data = await apiRequest('/pathtrack/sequence/umap', {
+        method: 'POST',
+        params: { job_id: jobId },
+        body: {},
+        apiKey,
+        signal,
+      })
+      if (cacheEnabled && data?.result?.coordinates) {
+        setCached(cacheKey, data, { namespace: 'projection' })
       }
-      throw new Error(
-        `Failed to get UMAP projection: ${response.status} - ${errorText}`
-      )
     }
-
-    const data = await response.json()
     console.log('UMAP projection response:', data)
 
-    // --- ADD DETAILED LOGGING ---
-    console.log('DEBUG: Checking coordinates...')
-    console.log('DEBUG: data exists?', !!data)
-    console.log('DEBUG: data.result exists?', !!(data && data.result))
-    console.log(
-      'DEBUG: data.result.coordinates exists?',
-      !!(data && data.result && data.result.coordinates)
-    )
-    if (data && data.result && data.result.coordinates) {
-      console.log(
-        'DEBUG: data.result.coordinates IS an array?',
-        Array.isArray(data.result.coordinates)
-      )
-      console.log(
-        'DEBUG: data.result.coordinates length:',
-        data.result.coordinates.length
-      )
-    }
-    // --- END DETAILED LOGGING ---
-
     // Extract coordinates
     if (
       data?.result?.coordinates &&
@@ -569,7 +714,8 @@ async function getUmapProjection(jobId, apiKey) {
       }
     }
   } catch (error) {
-    console.error('Error getting UMAP projection:', error)
+    if (!isAbortError(error))
+      console.error('Error getting UMAP projection:', error)
     throw error // Re-throw
   }
 }
@@ -579,14 +725,18 @@ async function getUmapProjection(jobId, apiKey) {
  * @param {string} jobId - The job ID for the uploaded sequence.
  * @param {Object} options - Options for the similarity query (e.g., n_results).
  * @param {string} apiKey - The API key for authentication
+ * @param {Object} requestOptions - Request options
+ * @param {AbortSignal} requestOptions.signal - Signal to cancel the request
+ * @param {boolean} requestOptions.useCache - Read/write the persistent cache (default: true)
  * @returns {Promise<Object>} - The full API response object containing the results.
  */
-async function getSimilarSequences(jobId, options = {}, apiKey) {
-  // Check for API Key
-  if (!apiKey) {
-    console.error(`❌ getSimilarSequences (${jobId}): API Key is required.`)
-    throw new Error('API Key is required to get similar sequences.')
-  }
+async function getSimilarSequences(
+  jobId,
+  options = {},
+  apiKey,
+  { signal, useCache = true } = {}
+) {
+  requireApiKey(apiKey, 'get similar sequences')
   try {
     console.log(
       `API Service: Getting similar sequences for job ${jobId} with options:`,
@@ -601,51 +751,79 @@ async function getSimilarSequences(jobId, options = {}, apiKey) {
     }
     const queryOptions = { ...defaultOptions, ...options }
 
-    const url = `${API_BASE_URL}/pathtrack/sequence/similar?job_id=${encodeURIComponent(
-      jobId
-    )}`
-    console.log(`API Service: Sending POST request to: ${url}`)
-
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        // --- Need Content-Type for POST, merge with auth ---
-        'Content-Type': 'application/json',
-        ...getAuthHeaders(apiKey), // Merge auth headers
-      },
-      body: JSON.stringify({
-        n_results: queryOptions.n_results,
-        min_distance: queryOptions.min_distance,
-        max_year: queryOptions.max_year,
-        include_unknown_dates: queryOptions.include_unknown_dates,
-      }),
+    const body = {
+      n_results: queryOptions.n_results,
+      min_distance: queryOptions.min_distance,
+      max_year: queryOptions.max_year,
+      include_unknown_dates: queryOptions.include_unknown_dates,
+    }
+    const cacheKey = createCacheKey('/pathtrack/sequence/similar', {
+      job_id: jobId,
+      ...body,
     })
-
-    if (!response.ok) {
-      const errorText = await response.text()
-      // Check for auth error
-      if (response.status === 401 || response.status === 403) {
-        throw new Error(
-          `API Authentication Error (${response.status}). Please check your API Key.`
-        )
-      }
-      console.error(
-        `API Service: Error fetching similar sequences: ${response.status} - ${errorText}`
-      )
-      throw new Error(
-        `Failed to get similar sequences: ${response.status} - ${errorText}`
-      )
+    const cacheEnabled = useCache && isLiveData()
+    const cached = cacheEnabled ? await getCached(cacheKey) : undefined
+    if (cached) {
+      console.log('API Service: Similar sequences loaded from cache')
+      return cached
     }
 
-    const data = await response.json()
+    const data = await apiRequest('/pathtrack/sequence/similar', {
+      method: 'POST',
+      params: { job_id: jobId },
+      body,
+      apiKey,
+      signal,
+    })
     console.log('API Service: Similar sequences raw response:', data)
+    if (cacheEnabled && data?.result) {
+      setCached(cacheKey, data, { namespace: 'similar' })
+    }
     return data // Return full response object
   } catch (error) {
-    console.error('API Service: Error in getSimilarSequences:', error)
+    if (!isAbortError(error))
+      console.error('API Service: Error in getSimilarSequences:', error)
     throw error // Re-throw error
   }
 }
 
+/**
+ * Get the nucleotide sequence of a reference record (for pairwise alignment).
+ * @param {string} sequenceId - Record ID from the similarity results (sequence hash)
+ * @param {string} apiKey - The API key for authentication
+ * @param {Object} requestOptions - Request options
+ * @param {AbortSignal} requestOptions.signal - Signal to cancel the request
+ * @param {boolean} requestOptions.useCache - Read/write the persistent cache (default: true)
+ * @returns {Promise<Object|null>} { id, accession, sequence }, or null if the API has no sequence for the record
+ */
+async function fetchReferenceSequence(
+  sequenceId,
+  apiKey,
+  { signal, useCache = true } = {}
+) {
+  requireApiKey(apiKey, 'fetch reference sequence')
+  const endpoint = `/pathtrack/sequences/${encodeURIComponent(sequenceId)}`
+  const cacheKey = createCacheKey(endpoint)
+  const cacheEnabled = useCache && isLiveData()
+  const cached = cacheEnabled ? await getCached(cacheKey) : undefined
+  if (cached) return cached
+
+  try {
+    const data = await apiRequest(endpoint, { apiKey, signal })
+    if (!data?.sequence) return null
+    if (cacheEnabled) setCached(cacheKey, data, { namespace: 'sequence' })
+    return data
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      console.warn(`No sequence available for ${sequenceId}`)
+      return null
+    }
+    if (!isAbortError(error))
+      console.error('Error fetching reference sequence:', error)
+    throw error
+  }
+}
+
 /**
  * Toggles the visibility of similarity connections
  * @param {Object} scatterComponent - The scatter plot component
@@ -690,11 +868,17 @@ export {
   configureApiRequest,
   fetchApiData,
   fetchUmapData,
+  streamUmapData,
+  streamJsonl,
+  parseJsonlStream,
   transformUmapData,
   mockUmapData,
+  fetchEmbeddingModels,
+  validateApiKey,
   uploadSequence,
   checkJobStatus,
   getUmapProjection,
   getSimilarSequences,
+  fetchReferenceSequence,
   toggleSimilarityConnections,
 }
@@ -0,0 +1,252 @@
+/**
+ * Chunked, resumable uploads
+ * Large files are sent in chunks to an upload session:
+ *
+ *   POST /pathtrack/sequence/uploads              { file_name, size, model } → { upload_id, chunk_size, received_bytes }
+ *   GET  /pathtrack/sequence/uploads/:id          → { upload_id, size, received_bytes }
+ *   PUT  /pathtrack/sequence/uploads/:id?offset=  (raw bytes) → { received_bytes }
+ *   POST /pathtrack/sequence/uploads/:id/complete → { job_id, status }
+ *
+ * After a transient failure the upload asks the server how many bytes it has
+ * and continues from there. Sessions that still fail are kept, so uploading
+ * the same file again resumes where it stopped. Creating a session and
+ * completing it are never retried automatically: a repeated completion could
+ * start a second analysis job for the file.
+ */
+
+import { apiRequest } from './api-client.js'
+import { NotFoundError } from './api-errors.js'
+import { isAbortError } from './analysis-session.js'
+
+const UPLOADS_ENDPOINT = '/pathtrack/sequence/uploads'
+const CHUNKED_UPLOAD_THRESHOLD = 5 * 1024 * 1024 // Larger files are uploaded in chunks
+const DEFAULT_CHUNK_SIZE = 1024 * 1024 // Used if the server doesn't choose one
+const MAX_CONSECUTIVE_FAILURES = 5 // Per chunk, before the upload gives up
+const RESUME_BASE_DELAY_MS = 1000
+const RESUME_MAX_DELAY_MS = 15000
+
+// Unfinished upload sessions by file and model: { uploadId, bytesSent, totalBytes }
+const resumableUploads = new Map()
+
+/**
+ * Wait for a delay, rejecting if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function resumeDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+      },
+      { once: true }
+    )
+  })
+}
+
+/**
+ * Identify a file and model for resuming
+ * @param {File} file - File being uploaded
+ * @param {string} model - Embedding model
+ * @returns {string} Key into resumableUploads
+ */
+function uploadKey(file, model) {
+  return [file.name, file.size, file.lastModified, model].join('|')
+}
+
+/**
+ * Whether a failed chunk can be resumed (transient errors, or the server
+ * holding a different number of bytes than expected)
+ * @param {Error} error - Error from a chunk request
+ * @returns {boolean} True if the upload should resume
+ */
+function isResumable(error) {
+  return !!error.isRetryable || error.status === 409
+}
+
+/**
+ * Whether a file is large enough to be uploaded in chunks
+ * @param {File} file - File to upload
+ * @returns {boolean} True above CHUNKED_UPLOAD_THRESHOLD
+ */
+function shouldUploadInChunks(file) {
+  return file.size > CHUNKED_UPLOAD_THRESHOLD
+}
+
+/**
+ * Describe an unfinished upload of a file, if any
+ * @param {File} file - File
+ * @param {string} model - Embedding model
+ * @returns {Object|null} { uploadId, bytesSent, totalBytes } or null
+ */
+function getResumableUpload(file, model) {
+  return resumableUploads.get(uploadKey(file, model)) || null
+}
+
+/**
+ * Open an upload session, or reopen the unfinished one for this file
+ * @param {File} file - File to upload
+ * @param {string} model - Embedding model
+ * @param {Object} requestOptions - { apiKey, signal }
+ * @returns {Promise<Object|null>} { uploadId, chunkSize, receivedBytes, resumed }, or null if the API has no upload sessions
+ */
+async function openUploadSession(file, model, { apiKey, signal }) {
+  const previous = getResumableUpload(file, model)
+  if (previous) {
+    try {
+      const status = await apiRequest(
+        `${UPLOADS_ENDPOINT}/${encodeURIComponent(previous.uploadId)}`,
+        { apiKey, signal }
+      )
+      console.log(
+        `📤 Resuming upload ${previous.uploadId} at ${status.received_bytes} of ${file.size} bytes`
+      )
+      return {
+        uploadId: previous.uploadId,
+        chunkSize: previous.chunkSize,
+        receivedBytes: status.received_bytes,
+        resumed: true,
+      }
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error
+      resumableUploads.delete(uploadKey(file, model)) // Expired on the server
+    }
+  }
+
+  try {
+    const session = await apiRequest(UPLOADS_ENDPOINT, {
+      method: 'POST',
+      body: { file_name: file.name, size: file.size, model },
+      apiKey,
+      retries: 0, // A retried POST could open a second, orphaned session
+      signal,
+    })
+    return {
+      uploadId: session.upload_id,
+      chunkSize: session.chunk_size || DEFAULT_CHUNK_SIZE,
+      receivedBytes: session.received_bytes || 0,
+      resumed: false,
+    }
+  } catch (error) {
+    if (error instanceof NotFoundError) return null
+    throw error
+  }
+}
+
+/**
+ * Upload a file in chunks, resuming after transient failures
+ * @param {File} file - File to upload
+ * @param {string} model - Embedding model
+ * @param {Object} options - Upload options
+ * @param {string} options.apiKey - API key
+ * @param {AbortSignal} options.signal - Signal to cancel the upload
+ * @param {Function} options.onProgress - Called with { bytesSent, totalBytes, chunked, resumes }
+ * @returns {Promise<Object|null>} Job information including job_id, or null if the API has no upload sessions
+ * @throws {ApiError} If a chunk keeps failing or the completion fails (the session is kept for resuming)
+ */
+async function uploadInChunks(file, model, { apiKey, signal, onProgress }) {
+  const session = await openUploadSession(file, model, { apiKey, signal })
+  if (!session) {
+    console.warn('The API has no upload sessions; sending the file at once.')
+    return null
+  }
+
+  const key = uploadKey(file, model)
+  const sessionPath = `${UPLOADS_ENDPOINT}/${encodeURIComponent(
+    session.uploadId
+  )}`
+  const entry = {
+    uploadId: session.uploadId,
+    chunkSize: session.chunkSize,
+    bytesSent: session.receivedBytes,
+    totalBytes: file.size,
+  }
+  resumableUploads.set(key, entry)
+
+  let resumes = session.resumed ? 1 : 0
+  const report = (bytesSent) => {
+    if (onProgress) {
+      onProgress({
+        bytesSent: Math.min(bytesSent, file.size),
+        totalBytes: file.size,
+        chunked: true,
+        resumes,
+      })
+    }
+  }
+  report(entry.bytesSent)
+
+  let failures = 0
+  let needsSync = false
+  while (true) {
+    try {
+      // After a failure, continue from what the server actually received
+      if (needsSync) {
+        const status = await apiRequest(sessionPath, { apiKey, signal })
+        entry.bytesSent = status.received_bytes
+        needsSync = false
+        resumes++
+        console.log(
+          `📤 Resuming upload ${session.uploadId} at ${entry.bytesSent} of ${file.size} bytes`
+        )
+        report(entry.bytesSent)
+      }
+      if (entry.bytesSent >= file.size) break
+
+      const offset = entry.bytesSent
+      const result = await apiRequest(sessionPath, {
+        method: 'PUT',
+        params: { offset },
+        body: file.slice(offset, offset + session.chunkSize),
+        apiKey,
+        timeout: 'upload',
+        retries: 0, // Resumed below, from the server's offset
+        signal,
+        onUploadProgress: ({ loaded }) => report(offset + loaded),
+      })
+      entry.bytesSent = result.received_bytes
+      failures = 0
+      report(entry.bytesSent)
+    } catch (error) {
+      if (isAbortError(error) || signal?.aborted) throw error
+      if (!isResumable(error) || ++failures > MAX_CONSECUTIVE_FAILURES) {
+        throw error
+      }
+      const delay = Math.min(
+        RESUME_BASE_DELAY_MS * Math.pow(2, failures - 1),
+        RESUME_MAX_DELAY_MS
+      )
+      console.warn(
+        `${error.name} while uploading ${file.name}, resuming in ${delay}ms (${failures}/${MAX_CONSECUTIVE_FAILURES})`
+      )
+      needsSync = true
+      await resumeDelay(delay, signal)
+    }
+  }
+
+  // Sent once: a completion that timed out after the server accepted it
+  // would start a second job if it were retried
+  const data = await apiRequest(`${sessionPath}/complete`, {
+    method: 'POST',
+    apiKey,
+    retries: 0,
+    signal,
+  })
+  resumableUploads.delete(key)
+  return data
+}
+
+export {
+  CHUNKED_UPLOAD_THRESHOLD,
+  shouldUploadInChunks,
+  getResumableUpload,
+  uploadInChunks,
+}
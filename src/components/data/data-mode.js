@@ -0,0 +1,261 @@
+/**
+ * Data source mode
+ * Selects where dashboard data comes from: the live API, seeded mock data
+ * generated in the browser, or a recorded API session. The mode is always
+ * chosen explicitly (never inferred from the hostname or a missing API key).
+ */
+
+import { DEFAULT_SEED } from './mock-data.js'
+import { getApiConfig } from './api-config.js'
+import { getLoadedRecording } from './api-recorder.js'
+
+const DATA_MODES = {
+  live: {
+    label: 'Live',
+    description: 'Requests go to the selected API environment.',
+  },
+  mock: {
+    label: 'Mock',
+    description:
+      'Seeded mock data generated in the browser. Results are not real.',
+  },
+  recorded: {
+    label: 'Recorded',
+    description: 'Responses are replayed from a recorded API session.',
+  },
+}
+
+const DEFAULT_DATA_MODE = 'live'
+
+// Where each selection source lives
+const URL_PARAM_MODE = 'dataMode'
+const URL_PARAM_SEED = 'mockSeed'
+const URL_PARAM_DEMO = 'demo' // ?demo: mock data with slow jobs, see isDemoMode
+const META_MODE = 'data-mode' // <meta name="data-mode"> from observablehq.config.js
+const STORAGE_KEY = 'pathgen.dataMode' // Written by the settings panel
+
+let activeMode = null
+const modeChangeCallbacks = []
+
+/**
+ * Whether the URL asks for the demo (?demo or ?demo=1; ?demo=0 turns it off)
+ * @returns {boolean} True if requested
+ */
+function isDemoRequested() {
+  if (typeof window === 'undefined') return false
+  const value = new URLSearchParams(window.location.search).get(URL_PARAM_DEMO)
+  return value != null && value !== '0' && value !== 'false'
+}
+
+/**
+ * Resolve the mode from all selection sources.
+ * Priority: URL parameter > demo > settings panel (localStorage) > Observable config (meta) > default
+ * @returns {Object} { mode, seed, source }
+ */
+function resolveDataMode() {
+  const params =
+    typeof window !== 'undefined'
+      ? new URLSearchParams(window.location.search)
+      : new URLSearchParams()
+  const urlSeed = params.get(URL_PARAM_SEED)
+  const seedOverride = urlSeed != null ? Number(urlSeed) : null
+
+  const urlMode = params.get(URL_PARAM_MODE)
+  if (urlMode) {
+    return { mode: urlMode, seed: seedOverride, source: 'url' }
+  }
+  if (isDemoRequested()) {
+    return { mode: 'mock', seed: seedOverride, source: 'demo' }
+  }
+
+  try {
+    const stored = JSON.parse(window.localStorage?.getItem(STORAGE_KEY))
+    if (stored?.mode) {
+      return {
+        mode: stored.mode,
+        seed: seedOverride ?? stored.seed,
+        source: 'settings',
+      }
+    }
+  } catch (e) {
+    console.warn('Could not read stored data mode:', e)
+  }
+
+  const meta =
+    typeof document !== 'undefined'
+      ? document.querySelector(`meta[name="${META_MODE}"]`)?.content?.trim()
+      : null
+  if (meta) return { mode: meta, seed: seedOverride, source: 'config' }
+
+  return { mode: DEFAULT_DATA_MODE, seed: seedOverride, source: 'default' }
+}
+
+/**
+ * Build a mode object, falling back to the default for unknown modes
+ * @param {string} mode - Mode name
+ * @param {number} seed - Mock seed
+ * @param {string} source - Where the selection came from
+ * @returns {Object} { mode, label, description, seed, source }
+ */
+function buildDataMode(mode, seed, source) {
+  let name = mode
+  if (!DATA_MODES[name]) {
+    console.warn(
+      `Unknown data mode "${mode}", falling back to "${DEFAULT_DATA_MODE}".`
+    )
+    name = DEFAULT_DATA_MODE
+  }
+  return {
+    mode: name,
+    ...DATA_MODES[name],
+    seed: Number.isFinite(seed) ? seed : DEFAULT_SEED,
+    source,
+  }
+}
+
+/**
+ * Get the active data mode (resolved lazily on first use). A recording is
+ * only loaded from the page ("Replay Recording"), so a page that opens in the
+ * recorded mode starts on the default mode instead, with requestedMode set.
+ * @returns {Object} { mode, label, description, seed, source, requestedMode? }
+ */
+function getDataMode() {
+  if (!activeMode) {
+    const { mode, seed, source } = resolveDataMode()
+    if (mode === 'recorded' && !getLoadedRecording()) {
+      console.warn(
+        `No recording is loaded, falling back to the "${DEFAULT_DATA_MODE}" data mode.`
+      )
+      activeMode = {
+        ...buildDataMode(DEFAULT_DATA_MODE, seed, source),
+        requestedMode: mode,
+      }
+    } else {
+      activeMode = buildDataMode(mode, seed, source)
+    }
+    console.log(
+      `Data mode: ${activeMode.mode} (source: ${activeMode.source}${
+        activeMode.mode === 'mock' ? `, seed ${activeMode.seed}` : ''
+      })`
+    )
+  }
+  return activeMode
+}
+
+/**
+ * Switch the data mode at runtime
+ * @param {string} mode - 'live', 'mock' or 'recorded'
+ * @param {Object} options - Options
+ * @param {number} options.seed - Mock seed (default: keep the current one)
+ * @param {boolean} options.persist - Save the selection for future page loads (default: true)
+ * @returns {Object} The new active mode
+ */
+function setDataMode(mode, { seed, persist = true } = {}) {
+  activeMode = buildDataMode(mode, seed ?? getDataMode().seed, 'settings')
+
+  // A replay needs its recording loaded again after a reload, so it isn't saved
+  if (persist && activeMode.mode !== 'recorded') {
+    try {
+      window.localStorage?.setItem(
+        STORAGE_KEY,
+        JSON.stringify({ mode: activeMode.mode, seed: activeMode.seed })
+      )
+    } catch (e) {
+      console.warn('Could not persist data mode:', e)
+    }
+  }
+
+  console.log(`Data mode switched to ${activeMode.mode}`)
+  modeChangeCallbacks.forEach((callback) => callback(activeMode))
+  return activeMode
+}
+
+/**
+ * Register a callback for data mode changes
+ * @param {Function} callback - Receives the new mode
+ * @returns {Function} Function to unregister the callback
+ */
+function onDataModeChange(callback) {
+  modeChangeCallbacks.push(callback)
+  return () => {
+    const index = modeChangeCallbacks.indexOf(callback)
+    if (index !== -1) modeChangeCallbacks.splice(index, 1)
+  }
+}
+
+/**
+ * Whether responses are real API data
+ * @returns {boolean} True in live mode
+ */
+function isLiveData() {
+  return getDataMode().mode === 'live'
+}
+
+/**
+ * Whether the dashboard runs as a demo: mock data whose jobs take long enough
+ * to follow every stage in the job tracker. Selected with ?demo (implies
+ * ?dataMode=mock); it has no effect on live or recorded data.
+ * @returns {boolean} True in demo mode
+ */
+function isDemoMode() {
+  return isDemoRequested() && getDataMode().mode === 'mock'
+}
+
+/**
+ * Describe the data source for exported results
+ * @returns {Object} { mode, label, seed?, demo?, recording?, apiProfile, apiBaseUrl }
+ */
+function getDataSourceInfo() {
+  const { mode, label, seed } = getDataMode()
+  const { profile, baseUrl } = getApiConfig()
+  const recording = mode === 'recorded' ? getLoadedRecording() : null
+  return {
+    mode,
+    label,
+    ...(mode === 'mock' ? { seed } : {}),
+    ...(isDemoMode() ? { demo: true } : {}),
+    ...(recording
+      ? {
+          recording: {
+            label: recording.label,
+            recordedAt: recording.recordedAt,
+            dataSource: recording.dataSource,
+          },
+        }
+      : {}),
+    apiProfile: profile,
+    apiBaseUrl: baseUrl,
+  }
+}
+
+/**
+ * Whether two data sources serve the same jobs, so a job ID from one can be
+ * used with the other: same mode and, per mode, the same API base URL, mock
+ * seed or recording
+ * @param {Object} a - Data source (from getDataSourceInfo)
+ * @param {Object} b - Data source (from getDataSourceInfo)
+ * @returns {boolean} True if they match
+ */
+function isSameDataSource(a, b) {
+  if (!a || !b || a.mode !== b.mode) return false
+  if (a.mode === 'mock') return a.seed === b.seed
+  if (a.mode === 'recorded') {
+    return (
+      a.recording?.recordedAt === b.recording?.recordedAt &&
+      a.recording?.label === b.recording?.label
+    )
+  }
+  return a.apiBaseUrl === b.apiBaseUrl
+}
+
+export {
+  DATA_MODES,
+  DEFAULT_DATA_MODE,
+  getDataMode,
+  setDataMode,
+  onDataModeChange,
+  isLiveData,
+  isDemoMode,
+  getDataSourceInfo,
+  isSameDataSource,
+}
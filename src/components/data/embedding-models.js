@@ -0,0 +1,15 @@
+/**
+ * Embedding models
+ * Models offered when the API doesn't list its own (GET /pathtrack/models).
+ * Kept free of browser and Node dependencies so mock-data.js can use them in
+ * the mock API server too.
+ */
+
+const DEFAULT_EMBEDDING_MODELS = [
+  { name: 'DNABERT-S', label: 'DNABERT-S', default: true },
+  { name: 'DNABERT-2', label: 'DNABERT-2' },
+  { name: 'nucleotide-transformer', label: 'Nucleotide Transformer' },
+]
+const DEFAULT_EMBEDDING_MODEL = 'DNABERT-S'
+
+export { DEFAULT_EMBEDDING_MODELS, DEFAULT_EMBEDDING_MODEL }
@@ -0,0 +1,234 @@
+/**
+ * FASTA content validation
+ * Checks the records of a FASTA file before upload: missing headers,
+ * duplicate IDs, empty records, non-IUPAC characters, protein sequences and
+ * lengths outside configurable bounds. Each record gets its own list of issues
+ * so the upload modal can report them and drop the bad records.
+ */
+
+// Sequence length bounds in bases (override with validateFastaContent's limits)
+const DEFAULT_LENGTH_LIMITS = {
+  minLength: 50,
+  maxLength: 1000000,
+}
+
+// IUPAC nucleotide codes, plus gaps
+const IUPAC_NUCLEOTIDES = /^[ACGTURYSWKMBDHVN-]$/
+// A nucleotide sequence is mostly A/C/G/T/U/N; below this share it looks like protein
+const MIN_NUCLEOTIDE_FRACTION = 0.75
+// Letters that only occur in amino acid sequences
+const PROTEIN_ONLY_LETTERS = /[EFILPQZ]/
+
+const MAX_LISTED_CHARACTERS = 5
+
+/**
+ * Split FASTA content into records. ';' comment lines are skipped. Sequence
+ * lines before the first header and records without sequence are kept for the
+ * validation report; parseFastaContent (upload-component.js) drops them but
+ * otherwise uses this split, so what was validated is what gets uploaded.
+ * @param {string} content - FASTA file content
+ * @returns {Array<Object>} Records { header, sequence, line } (header is null for headerless lines)
+ */
+function splitFastaRecords(content) {
+  const records = []
+  let current = null
+
+  content.split(/\r?\n/).forEach((rawLine, lineIndex) => {
+    const line = rawLine.trim()
+    if (line.startsWith('>')) {
+      current = {
+        header: line.substring(1).trim(),
+        sequence: '',
+        line: lineIndex + 1,
+      }
+      records.push(current)
+    } else if (line && !line.startsWith(';')) {
+      // ';' starts a comment line in old-style FASTA
+      if (!current) {
+        current = { header: null, sequence: '', line: lineIndex + 1 }
+        records.push(current)
+      }
+      current.sequence += line.replace(/\s+/g, '')
+    }
+  })
+
+  return records
+}
+
+/**
+ * Describe the characters of a sequence that aren't IUPAC nucleotide codes
+ * @param {string} sequence - Upper-case sequence
+ * @returns {Object|null} { count, characters } or null if all characters are valid
+ */
+function findInvalidCharacters(sequence) {
+  const characters = new Set()
+  let count = 0
+  for (const char of sequence) {
+    if (!IUPAC_NUCLEOTIDES.test(char)) {
+      characters.add(char)
+      count++
+    }
+  }
+  return count > 0 ? { count, characters: [...characters] } : null
+}
+
+/**
+ * Whether a sequence looks like an amino acid sequence
+ * @param {string} sequence - Upper-case sequence
+ * @returns {boolean} True for protein-looking sequences
+ */
+function looksLikeProtein(sequence) {
+  const letters = sequence.replace(/[^A-Z]/g, '')
+  if (letters.length === 0) return false
+  const nucleotides = letters.replace(/[^ACGTUN]/g, '').length
+  return (
+    nucleotides / letters.length < MIN_NUCLEOTIDE_FRACTION &&
+    PROTEIN_ONLY_LETTERS.test(letters)
+  )
+}
+
+/**
+ * Validate FASTA content record by record
+ * @param {string} content - FASTA file content
+ * @param {Object} limits - Length bounds (default: DEFAULT_LENGTH_LIMITS)
+ * @param {number} limits.minLength - Minimum sequence length in bases
+ * @param {number} limits.maxLength - Maximum sequence length in bases
+ * @returns {Object} Report { records, fileIssues, validCount, invalidCount, ok }.
+ *   Each record is { index, line, header, id, sequence, length, issues: [{ code, message }] }.
+ */
+function validateFastaContent(content, limits = {}) {
+  const { minLength, maxLength } = { ...DEFAULT_LENGTH_LIMITS, ...limits }
+  const fileIssues = []
+
+  // Binary files (e.g. a renamed PDF) contain NUL bytes or decode to U+FFFD
+  if (/[\u0000\uFFFD]/.test(content)) {
+    fileIssues.push({
+      code: 'binary',
+      message: 'The file is not a text file.',
+    })
+    return {
+      records: [],
+      fileIssues,
+      validCount: 0,
+      invalidCount: 0,
+      ok: false,
+    }
+  }
+
+  const seenIds = new Map()
+  const records = splitFastaRecords(content).map((record, index) => {
+    const sequence = record.sequence.toUpperCase()
+    const id = record.header ? record.header.split(/\s+/)[0] : null
+    const issues = []
+
+    if (record.header == null) {
+      issues.push({
+        code: 'missing-header',
+        message: `Sequence data on line ${record.line} has no ">" header line.`,
+      })
+    } else if (!id) {
+      issues.push({
+        code: 'missing-header',
+        message: `The header on line ${record.line} is empty.`,
+      })
+    } else if (seenIds.has(id)) {
+      issues.push({
+        code: 'duplicate-id',
+        message: `ID "${id}" is already used by record ${seenIds.get(id) + 1}.`,
+      })
+    } else {
+      seenIds.set(id, index)
+    }
+
+    if (sequence.length === 0) {
+      issues.push({ code: 'empty', message: 'The record has no sequence.' })
+    } else if (looksLikeProtein(sequence)) {
+      issues.push({
+        code: 'protein',
+        message:
+          'This looks like a protein sequence; only nucleotide sequences can be analyzed.',
+      })
+    } else {
+      const invalid = findInvalidCharacters(sequence)
+      if (invalid) {
+        const listed = invalid.characters
+          .slice(0, MAX_LISTED_CHARACTERS)
+          .map((char) => `"${char}"`)
+          .join(', ')
+        issues.push({
+          code: 'invalid-characters',
+          message: `${invalid.count} non-IUPAC character${
+            invalid.count === 1 ? '' : 's'
+          } (${listed}${
+            invalid.characters.length > MAX_LISTED_CHARACTERS ? ', ...' : ''
+          }).`,
+        })
+      }
+      if (sequence.length < minLength) {
+        issues.push({
+          code: 'too-short',
+          message: `${sequence.length} bases; at least ${minLength} are required.`,
+        })
+      } else if (sequence.length > maxLength) {
+        issues.push({
+          code: 'too-long',
+          message: `${sequence.length.toLocaleString()} bases; at most ${maxLength.toLocaleString()} are allowed.`,
+        })
+      }
+    }
+
+    return {
+      index,
+      line: record.line,
+      header: record.header,
+      id,
+      sequence,
+      length: sequence.length,
+      issues,
+    }
+  })
+
+  if (records.length === 0) {
+    fileIssues.push({
+      code: 'no-records',
+      message: 'The file contains no sequences.',
+    })
+  }
+
+  const invalidCount = records.filter(
+    (record) => record.issues.length > 0
+  ).length
+  return {
+    records,
+    fileIssues,
+    validCount: records.length - invalidCount,
+    invalidCount,
+    ok: fileIssues.length === 0 && invalidCount === 0,
+  }
+}
+
+/**
+ * Write records back into FASTA format (e.g. after dropping invalid records)
+ * @param {Array<Object>} records - Records { header, sequence }
+ * @param {number} lineWidth - Bases per sequence line (default: 80)
+ * @returns {string} FASTA content
+ */
+function formatFasta(records, lineWidth = 80) {
+  return records
+    .map((record) => {
+      const lines = [`>${record.header}`]
+      for (let i = 0; i < record.sequence.length; i += lineWidth) {
+        lines.push(record.sequence.slice(i, i + lineWidth))
+      }
+      return lines.join('\n')
+    })
+    .join('\n')
+    .concat('\n')
+}
+
+export {
+  DEFAULT_LENGTH_LIMITS,
+  splitFastaRecords,
+  validateFastaContent,
+  formatFasta,
+}
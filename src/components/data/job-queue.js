@@ -0,0 +1,273 @@
+/**
+ * Job queue
+ * Every analysis job submitted in this page (one per batch record, and the
+ * second model's job of a comparison), with its file, model, status and
+ * timings, so several jobs can run at once and the user can switch between
+ * their results. Files are kept in memory so a failed or
+ * cancelled job can be submitted again. Submitted live jobs are also saved in
+ * localStorage with their submission context, so they can be resumed after a
+ * reload (restoreQueuedJobs). Unfinished jobs are restored "suspended" and
+ * keep their saved status until the page follows them again, so a visit with
+ * another API or data source doesn't lose them.
+ */
+
+const JOB_QUEUE_STATUSES = {
+  uploading: { label: 'Uploading', active: true },
+  pending: { label: 'Pending', active: true },
+  running: { label: 'Running', active: true },
+  completed: { label: 'Completed', active: false },
+  failed: { label: 'Failed', active: false },
+  cancelled: { label: 'Cancelled', active: false },
+}
+
+const STORAGE_KEY = 'pathgen.jobQueue'
+
+const JOB_QUEUE_STORAGE_LIMITS = {
+  maxEntries: 20, // Most recently submitted jobs kept across reloads
+  maxAgeMs: 7 * 24 * 60 * 60 * 1000, // Older jobs aren't restored (the API may have dropped their results)
+  maxSequenceLength: 50000, // Longer uploaded sequences aren't saved (no profile/alignment after a reload)
+}
+
+let entryCounter = 0
+const entries = new Map() // Queue entry ID -> entry, in submission order
+const changeCallbacks = []
+
+/**
+ * Save the jobs that can be resumed after a reload: live jobs with a job ID.
+ * Mock and recorded jobs only exist in this page.
+ */
+function persistQueue() {
+  const stored = [...entries.values()]
+    .filter((entry) => entry.jobId && entry.dataSource?.mode === 'live')
+    .slice(-JOB_QUEUE_STORAGE_LIMITS.maxEntries)
+    .map((entry) => ({
+      id: entry.id,
+      jobId: entry.jobId,
+      fileName: entry.fileName,
+      model: entry.model,
+      record:
+        entry.record?.sequence?.length <=
+        JOB_QUEUE_STORAGE_LIMITS.maxSequenceLength
+          ? entry.record
+          : null,
+      metadata: entry.metadata,
+      options: {
+        compareModel: entry.options?.compareModel || null,
+        batch: entry.options?.batch || null, // { fileName, index } of a batch record
+      },
+      dataSource: entry.dataSource,
+      status: entry.status,
+      stage: entry.stage,
+      progress: entry.progress,
+      error: entry.error,
+      result: entry.result,
+      viewed: entry.viewed,
+      submittedAt: entry.submittedAt,
+      startedAt: entry.startedAt,
+      finishedAt: entry.finishedAt,
+    }))
+  try {
+    window.localStorage?.setItem(STORAGE_KEY, JSON.stringify(stored))
+  } catch (e) {
+    console.warn('Could not persist the job queue:', e)
+  }
+}
+
+/**
+ * Notify listeners that the queue changed
+ * @param {Object|null} entry - Changed entry (null when several changed)
+ * @param {boolean} persist - Save the queue (default: true)
+ */
+function notifyChange(entry, persist = true) {
+  if (persist && typeof window !== 'undefined') persistQueue()
+  changeCallbacks.forEach((callback) => {
+    try {
+      callback(entry)
+    } catch (error) {
+      console.error('Job queue listener failed:', error)
+    }
+  })
+}
+
+/**
+ * Whether a job is still uploading, waiting or running
+ * @param {Object} entry - Queue entry
+ * @returns {boolean} True while the job isn't finished
+ */
+function isQueuedJobActive(entry) {
+  return Boolean(JOB_QUEUE_STATUSES[entry?.status]?.active)
+}
+
+/**
+ * Add a job that is about to be uploaded
+ * @param {Object} job - Submission details
+ * @param {string} job.fileName - Uploaded file name
+ * @param {string} job.model - Embedding model
+ * @param {File} job.file - Uploaded file (for retries)
+ * @param {Object} job.record - Parsed FASTA record ({ header, sequence }), optional
+ * @param {Object} job.metadata - GenBank metadata of the sequence, optional
+ * @param {Object} job.options - Analysis options the job was started with (e.g. compareModel)
+ * @param {Object} job.dataSource - Data source (from getDataSourceInfo)
+ * @returns {Object} The new entry ({ id, status: 'uploading', submittedAt, ... })
+ */
+function addQueuedJob(job) {
+  const entry = {
+    id: `queue-${Date.now().toString(36)}-${++entryCounter}`, // Unique across reloads
+    jobId: null,
+    fileName: job.fileName || null,
+    model: job.model || null,
+    file: job.file || null,
+    record: job.record || null,
+    metadata: job.metadata || null,
+    options: job.options || {},
+    dataSource: job.dataSource || null,
+    status: 'uploading',
+    stage: null,
+    progress: null,
+    error: null,
+    result: null, // Final job status payload once completed
+    viewed: false, // Whether its results were displayed
+    restored: false, // Submitted before the page was reloaded
+    suspended: false, // Restored unfinished job nothing follows yet
+    submittedAt: Date.now(),
+    startedAt: null, // When the upload returned a job ID
+    finishedAt: null,
+  }
+  entries.set(entry.id, entry)
+  console.log(`📋 Queued ${entry.fileName || 'sequence'} (${entry.id})`)
+  notifyChange(entry)
+  return entry
+}
+
+/**
+ * Update a queue entry (finishedAt is set when it reaches a final status)
+ * @param {string} id - Queue entry ID
+ * @param {Object} updates - Fields to change
+ * @returns {Object|null} The updated entry, or null if it was removed
+ */
+function updateQueuedJob(id, updates) {
+  const entry = entries.get(id)
+  if (!entry) return null
+  // Progress arrives often and is stale after a reload anyway, so it alone isn't saved
+  const persist = Object.keys(updates).some(
+    (key) =>
+      key !== 'stage' && key !== 'progress' && entry[key] !== updates[key]
+  )
+  Object.assign(entry, updates)
+  if (updates.jobId && !entry.startedAt) entry.startedAt = Date.now()
+  if (!isQueuedJobActive(entry) && !entry.finishedAt) {
+    entry.finishedAt = Date.now()
+  }
+  notifyChange(entry, persist)
+  return entry
+}
+
+/**
+ * Get a queue entry
+ * @param {string} id - Queue entry ID
+ * @returns {Object|null} Entry, or null if unknown
+ */
+function getQueuedJob(id) {
+  return entries.get(id) || null
+}
+
+/**
+ * Find the queue entry of a job
+ * @param {string} jobId - Job ID from the API
+ * @returns {Object|null} Entry, or null if the job wasn't queued here
+ */
+function findQueuedJobByJobId(jobId) {
+  return [...entries.values()].find((entry) => entry.jobId === jobId) || null
+}
+
+/**
+ * List the queue
+ * @returns {Array<Object>} Entries, most recently submitted first
+ */
+function listQueuedJobs() {
+  return [...entries.values()].reverse()
+}
+
+/**
+ * Remove an entry from the queue (stopping its job is up to the caller)
+ * @param {string} id - Queue entry ID
+ */
+function removeQueuedJob(id) {
+  if (entries.delete(id)) notifyChange(null)
+}
+
+/**
+ * Remove every finished entry
+ * @returns {number} Number of entries removed
+ */
+function clearFinishedJobs() {
+  const finished = [...entries.values()].filter(
+    (entry) => !isQueuedJobActive(entry)
+  )
+  finished.forEach((entry) => entries.delete(entry.id))
+  if (finished.length) notifyChange(null)
+  return finished.length
+}
+
+/**
+ * Load the jobs saved before the page was reloaded into the queue. Jobs that
+ * were still running keep their last known status and are marked suspended
+ * until the caller resumes them (updating them with { suspended: false }).
+ * Suspended jobs are saved again unchanged, so a visit that can't resume them
+ * (e.g. with another API) keeps them for the next one.
+ * @returns {Array<Object>} The restored entries (without files)
+ */
+function restoreQueuedJobs() {
+  let stored = []
+  try {
+    stored = JSON.parse(window.localStorage?.getItem(STORAGE_KEY)) || []
+  } catch (e) {
+    console.warn('Could not read the saved job queue:', e)
+  }
+
+  const oldest = Date.now() - JOB_QUEUE_STORAGE_LIMITS.maxAgeMs
+  const restored = stored
+    .filter((entry) => entry?.jobId && entry.submittedAt >= oldest)
+    .filter((entry) => !entries.has(entry.id))
+    .map((entry) => ({
+      ...entry,
+      file: null,
+      restored: true,
+      suspended: isQueuedJobActive(entry),
+    }))
+  restored.forEach((entry) => entries.set(entry.id, entry))
+
+  if (restored.length) {
+    console.log(`📋 Restored ${restored.length} jobs from an earlier visit`)
+    notifyChange(null)
+  }
+  return restored
+}
+
+/**
+ * Register a callback for queue changes
+ * @param {Function} callback - Receives the changed entry (null when several changed)
+ * @returns {Function} Unsubscribe function
+ */
+function onJobQueueChange(callback) {
+  changeCallbacks.push(callback)
+  return () => {
+    const index = changeCallbacks.indexOf(callback)
+    if (index !== -1) changeCallbacks.splice(index, 1)
+  }
+}
+
+export {
+  JOB_QUEUE_STATUSES,
+  JOB_QUEUE_STORAGE_LIMITS,
+  isQueuedJobActive,
+  addQueuedJob,
+  updateQueuedJob,
+  getQueuedJob,
+  findQueuedJobByJobId,
+  listQueuedJobs,
+  removeQueuedJob,
+  clearFinishedJobs,
+  restoreQueuedJobs,
+  onJobQueueChange,
+}
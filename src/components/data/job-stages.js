@@ -0,0 +1,97 @@
+/**
+ * Job stages
+ * The stages an analysis job goes through on the server and helpers that turn
+ * a job status payload ({ status, stage, progress, eta_seconds, created_at })
+ * into what the job tracker shows: stage, progress, elapsed and remaining time
+ */
+
+const JOB_STAGES = [
+  { id: 'queued', label: 'Queued' },
+  { id: 'embedding', label: 'Embedding' },
+  { id: 'projecting', label: 'Projecting' },
+  { id: 'similarity_search', label: 'Similarity search' },
+  { id: 'done', label: 'Done' },
+]
+
+// Below this progress an extrapolated estimate is mostly noise
+const MIN_PROGRESS_FOR_ESTIMATE = 0.05
+
+/**
+ * Find the stage a job is in
+ * @param {Object} job - Job status payload
+ * @returns {number} Index into JOB_STAGES, or -1 if the payload doesn't say
+ */
+function getJobStageIndex(job = {}) {
+  const stageIndex = JOB_STAGES.findIndex((stage) => stage.id === job.stage)
+  if (stageIndex !== -1) return stageIndex
+
+  // Servers that only report a status
+  switch (job.status) {
+    case 'pending':
+    case 'queued':
+      return 0
+    case 'completed':
+      return JOB_STAGES.length - 1
+    default:
+      return -1
+  }
+}
+
+/**
+ * Describe the progress of a job
+ * @param {Object} job - Job status payload
+ * @param {Object} options - Options
+ * @param {number} options.startedAt - Fallback start time (ms) when the payload has no created_at
+ * @param {number} options.now - Current time in ms (default: Date.now())
+ * @returns {Object} { stage, stageIndex, progress, elapsedMs, remainingMs } (stage is null, progress and remainingMs are null when unknown)
+ */
+function describeJobProgress(job = {}, { startedAt, now = Date.now() } = {}) {
+  const stageIndex = getJobStageIndex(job)
+  const stage = stageIndex === -1 ? null : JOB_STAGES[stageIndex]
+  const isDone = stage?.id === 'done'
+
+  const progress = Number.isFinite(job.progress)
+    ? Math.min(1, Math.max(0, job.progress))
+    : isDone
+      ? 1
+      : null
+
+  const createdAt = job.created_at ? Date.parse(job.created_at) : NaN
+  const start = Number.isFinite(createdAt) ? createdAt : startedAt
+  const elapsedMs = Number.isFinite(start) ? Math.max(0, now - start) : null
+
+  let remainingMs = null
+  if (isDone) {
+    remainingMs = 0
+  } else if (Number.isFinite(job.eta_seconds)) {
+    remainingMs = Math.max(0, job.eta_seconds * 1000)
+  } else if (
+    elapsedMs != null &&
+    progress != null &&
+    progress >= MIN_PROGRESS_FOR_ESTIMATE &&
+    progress < 1
+  ) {
+    // Assume the rest of the job runs at the rate seen so far
+    remainingMs = (elapsedMs * (1 - progress)) / progress
+  }
+
+  return { stage, stageIndex, progress, elapsedMs, remainingMs }
+}
+
+/**
+ * Format a duration for display
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} e.g. "45s", "2m 05s" or "1h 02m"
+ */
+function formatDuration(ms) {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000))
+  const hours = Math.floor(totalSeconds / 3600)
+  const minutes = Math.floor((totalSeconds % 3600) / 60)
+  const seconds = totalSeconds % 60
+  const pad = (value) => String(value).padStart(2, '0')
+  if (hours > 0) return `${hours}h ${pad(minutes)}m`
+  if (minutes > 0) return `${minutes}m ${pad(seconds)}s`
+  return `${seconds}s`
+}
+
+export { JOB_STAGES, getJobStageIndex, describeJobProgress, formatDuration }
@@ -0,0 +1,418 @@
+/**
+ * Job watcher
+ * Follows an analysis job until it completes or fails. Uses server push
+ * (server-sent events or a WebSocket) when the live API offers it, and
+ * otherwise polls checkJobStatus with adaptive intervals: fast at first,
+ * backing off while nothing changes. Polls never overlap, and an overall
+ * timeout ends the watch.
+ */
+
+import { getApiConfig, buildApiUrl } from './api-config.js'
+import { apiRequest } from './api-client.js'
+import { checkJobStatus } from './api-service.js'
+import { isLiveData } from './data-mode.js'
+import { getRecorderStatus } from './api-recorder.js'
+import { AuthError, NotFoundError, RateLimitError } from './api-errors.js'
+import { isAbortError } from './analysis-session.js'
+
+const TERMINAL_STATUSES = new Set(['completed', 'failed'])
+
+// Used when the API profile has no jobUpdates settings
+const DEFAULT_JOB_WATCH_OPTIONS = {
+  transport: 'auto', // 'auto' (SSE, then polling) | 'sse' | 'websocket' | 'poll'
+  initialIntervalMs: 1000,
+  maxIntervalMs: 15000,
+  backoffFactor: 1.5,
+  timeoutMs: 30 * 60 * 1000,
+  maxFailures: 3, // Consecutive transient polling failures tolerated
+  idleTimeoutMs: null, // Push with no status event for this long falls back to polling (default: 3 × maxIntervalMs)
+}
+
+// Push transports a base URL answered as unsupported (404, 405 or not an event
+// stream); not tried again for later jobs. Transient failures don't count.
+const unsupportedPush = new Set()
+
+/** The job did not finish within the watch timeout */
+class JobTimeoutError extends Error {
+  /**
+   * @param {string} jobId - Job that was watched
+   * @param {number} timeoutMs - The exceeded timeout
+   */
+  constructor(jobId, timeoutMs) {
+    super(
+      `Job ${jobId} did not finish within ${Math.round(timeoutMs / 60000)} minutes`
+    )
+    this.name = 'JobTimeoutError'
+    this.jobId = jobId
+    this.timeoutMs = timeoutMs
+  }
+}
+
+/**
+ * Delay before the next poll
+ * @param {number} previousMs - Previous delay (null for the first poll)
+ * @param {Object} options - { initialIntervalMs, maxIntervalMs, backoffFactor }
+ * @returns {number} Delay in milliseconds
+ */
+function getNextPollInterval(previousMs, options) {
+  if (previousMs == null) return options.initialIntervalMs
+  return Math.min(previousMs * options.backoffFactor, options.maxIntervalMs)
+}
+
+/**
+ * Wait for a delay, rejecting early if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Abort signal
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    function onAbort() {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Parse one server-sent event block
+ * @param {string} block - Lines of one event (without the blank separator line)
+ * @returns {Object|null} { event, data } or null for comments/keep-alives
+ */
+function parseSseEvent(block) {
+  let event = 'message'
+  const data = []
+  block.split(/\r?\n/).forEach((line) => {
+    if (line.startsWith('event:')) event = line.slice(6).trim()
+    else if (line.startsWith('data:'))
+      data.push(line.slice(5).replace(/^ /, ''))
+  })
+  return data.length ? { event, data: data.join('\n') } : null
+}
+
+/**
+ * Whether a failed push request means the API has no such endpoint (as
+ * opposed to a transient failure, after which push is tried again next time)
+ * @param {Error} error - Error of the connection request
+ * @returns {boolean} True for 404 and 405 responses
+ */
+function isPushUnsupported(error) {
+  return error instanceof NotFoundError || error?.status === 405
+}
+
+/**
+ * Follow a job through GET /pathtrack/jobs/:id/events (server-sent events).
+ * A stream that sends no status event for idleTimeoutMs (e.g. connected
+ * through a proxy that buffers it) is closed so the caller polls instead.
+ * @param {string} jobId - Job ID
+ * @param {string} apiKey - API key
+ * @param {Function} onStatus - Called with each job status payload
+ * @param {Object} options - { signal, timeoutMs, idleTimeoutMs }
+ * @returns {Promise<Object>} { status, unsupported }: the terminal status, or
+ *   null if the stream is unavailable, idle or ended early (the caller falls
+ *   back to polling); unsupported is true if the API has no event stream
+ */
+async function watchWithServerSentEvents(jobId, apiKey, onStatus, options) {
+  // Aborted by the caller, or when the stream stays idle
+  const controller = new AbortController()
+  const onAbort = () => controller.abort(options.signal.reason)
+  if (options.signal.aborted) onAbort()
+  else options.signal.addEventListener('abort', onAbort, { once: true })
+  let reader = null
+  let idleTimer = null
+  const resetIdleTimer = () => {
+    clearTimeout(idleTimer)
+    idleTimer = setTimeout(() => {
+      console.warn(
+        `No status event for job ${jobId} in ${options.idleTimeoutMs}ms`
+      )
+      controller.abort(
+        new DOMException(`No status event for job ${jobId}`, 'AbortError')
+      )
+      reader?.cancel().catch(() => {}) // Ends a pending read
+    }, options.idleTimeoutMs)
+  }
+  resetIdleTimer()
+
+  try {
+    let response
+    try {
+      response = await apiRequest(`/pathtrack/jobs/${jobId}/events`, {
+        apiKey,
+        signal: controller.signal,
+        headers: { accept: 'text/event-stream' },
+        responseType: 'response',
+        timeout: options.timeoutMs,
+        retries: 0,
+      })
+    } catch (error) {
+      if (options.signal.aborted) throw options.signal.reason || error
+      if (error instanceof AuthError) throw error
+      return { status: null, unsupported: isPushUnsupported(error) }
+    }
+    if (
+      !response.body ||
+      !response.headers.get('content-type')?.includes('text/event-stream')
+    ) {
+      response.body?.cancel()
+      return { status: null, unsupported: true }
+    }
+
+    reader = response.body.pipeThrough(new TextDecoderStream()).getReader()
+    let buffer = ''
+    for (;;) {
+      const { value, done } = await reader.read()
+      if (done) return { status: null, unsupported: false }
+      buffer += value
+      const blocks = buffer.split(/\r?\n\r?\n/)
+      buffer = blocks.pop()
+      for (const block of blocks) {
+        const event = parseSseEvent(block)
+        if (!event || (event.event !== 'message' && event.event !== 'status')) {
+          continue
+        }
+        const status = JSON.parse(event.data)
+        resetIdleTimer()
+        onStatus(status)
+        if (TERMINAL_STATUSES.has(status.status)) {
+          return { status, unsupported: false }
+        }
+      }
+    }
+  } catch (error) {
+    if (options.signal.aborted) throw options.signal.reason || error
+    console.warn(`Job ${jobId} event stream failed, polling instead:`, error)
+    return { status: null, unsupported: false }
+  } finally {
+    clearTimeout(idleTimer)
+    options.signal.removeEventListener('abort', onAbort)
+    reader?.cancel().catch(() => {})
+  }
+}
+
+/**
+ * Follow a job through a WebSocket (/pathtrack/jobs/:id/ws). Browsers can't send
+ * headers on WebSocket connections, so the API key is sent in the first message.
+ * @param {string} jobId - Job ID
+ * @param {string} apiKey - API key
+ * @param {Function} onStatus - Called with each job status payload
+ * @param {Object} options - { signal, idleTimeoutMs }
+ * @returns {Promise<Object>} { status, unsupported }: the terminal status, or
+ *   null if the socket is unavailable, idle or closed early (the caller falls
+ *   back to polling). Browsers don't expose why a WebSocket failed, so
+ *   unsupported is only true when there is no WebSocket support at all.
+ */
+function watchWithWebSocket(jobId, apiKey, onStatus, options) {
+  if (typeof WebSocket === 'undefined') {
+    return Promise.resolve({ status: null, unsupported: true })
+  }
+  const url = buildApiUrl(`/pathtrack/jobs/${jobId}/ws`).replace(/^http/, 'ws')
+
+  return new Promise((resolve, reject) => {
+    const socket = new WebSocket(url)
+    let settled = false
+    let idleTimer = null
+    const finish = (status, error) => {
+      if (settled) return
+      settled = true
+      clearTimeout(idleTimer)
+      options.signal.removeEventListener('abort', onAbort)
+      if (socket.readyState <= 1) socket.close()
+      if (error) reject(error)
+      else resolve({ status, unsupported: false })
+    }
+    const resetIdleTimer = () => {
+      clearTimeout(idleTimer)
+      idleTimer = setTimeout(() => finish(null), options.idleTimeoutMs)
+    }
+    resetIdleTimer()
+    function onAbort() {
+      finish(null, options.signal.reason)
+    }
+    options.signal.addEventListener('abort', onAbort, { once: true })
+
+    socket.onopen = () => {
+      socket.send(
+        JSON.stringify({
+          type: 'subscribe',
+          job_id: jobId,
+          api_key: apiKey || undefined,
+        })
+      )
+    }
+    socket.onmessage = (message) => {
+      let status
+      try {
+        status = JSON.parse(message.data)
+      } catch (error) {
+        return // Not a status payload
+      }
+      if (!status?.status) return
+      resetIdleTimer()
+      onStatus(status)
+      if (TERMINAL_STATUSES.has(status.status)) finish(status)
+    }
+    socket.onerror = () => finish(null)
+    socket.onclose = () => finish(null)
+  })
+}
+
+/**
+ * Follow a job by polling checkJobStatus. The delay grows while the status and stage stay
+ * the same and resets when either changes; the next poll starts only after the previous one returned.
+ * @param {string} jobId - Job ID
+ * @param {Function} getApiKey - Returns the current API key (it may change while polling)
+ * @param {Function} onStatus - Called with each job status payload
+ * @param {Object} options - Watch options plus { signal }
+ * @returns {Promise<Object>} Terminal status
+ * @throws {ApiError} AuthError, NotFoundError, or the last transient error after maxFailures in a row
+ */
+async function watchWithPolling(jobId, getApiKey, onStatus, options) {
+  let intervalMs = null
+  let lastStage = null
+  let consecutiveFailures = 0
+
+  for (;;) {
+    let status
+    try {
+      status = await checkJobStatus(jobId, getApiKey(), {
+        signal: options.signal,
+      })
+      consecutiveFailures = 0
+    } catch (error) {
+      if (isAbortError(error) || options.signal.aborted)
+        throw options.signal.reason || error
+      if (error instanceof AuthError || error instanceof NotFoundError)
+        throw error
+      if (error instanceof RateLimitError) {
+        // Back off at least as long as the API asks
+        intervalMs = Math.max(
+          getNextPollInterval(intervalMs, options),
+          error.retryAfterMs || 0
+        )
+        console.warn(
+          `🕒 Job ${jobId} status check rate-limited, next poll in ${Math.round(intervalMs)}ms.`
+        )
+        await sleep(intervalMs, options.signal)
+        continue
+      }
+      if (!error.isRetryable || ++consecutiveFailures >= options.maxFailures)
+        throw error
+      console.warn(
+        `🕒 Job ${jobId} status check failed (${consecutiveFailures}/${options.maxFailures}): ${error.message}`
+      )
+      intervalMs = getNextPollInterval(intervalMs, options)
+      await sleep(intervalMs, options.signal)
+      continue
+    }
+
+    onStatus(status)
+    if (TERMINAL_STATUSES.has(status?.status)) return status
+    const stage = `${status?.status}/${status?.stage}`
+    intervalMs =
+      stage !== lastStage
+        ? options.initialIntervalMs
+        : getNextPollInterval(intervalMs, options)
+    lastStage = stage
+    await sleep(intervalMs, options.signal)
+  }
+}
+
+/**
+ * Watch a job until it completes or fails
+ * @param {string} jobId - Job ID
+ * @param {Object} options - Watch options (defaults come from the API profile's jobUpdates)
+ * @param {string|Function} options.apiKey - API key, or a function returning the current key
+ * @param {AbortSignal} options.signal - Stops watching (rejects with the abort reason)
+ * @param {Function} options.onUpdate - Called with each status payload and { transport }
+ * @param {string} options.transport - 'auto', 'sse', 'websocket' or 'poll'
+ * @param {number} options.initialIntervalMs - First polling delay
+ * @param {number} options.maxIntervalMs - Longest polling delay
+ * @param {number} options.backoffFactor - Growth of the polling delay while the status and stage are unchanged
+ * @param {number} options.timeoutMs - Overall time limit
+ * @param {number} options.maxFailures - Consecutive transient polling failures tolerated
+ * @param {number} options.idleTimeoutMs - Longest wait for a push status event before polling instead
+ * @returns {Promise<Object>} Final job status ('completed' or 'failed')
+ * @throws {JobTimeoutError} If the job doesn't finish within timeoutMs
+ */
+async function watchJob(jobId, options = {}) {
+  const config = {
+    ...DEFAULT_JOB_WATCH_OPTIONS,
+    ...getApiConfig().jobUpdates,
+    ...Object.fromEntries(
+      Object.entries(options).filter(([, value]) => value !== undefined)
+    ),
+  }
+  config.idleTimeoutMs ??= 3 * config.maxIntervalMs
+  const getApiKey =
+    typeof config.apiKey === 'function' ? config.apiKey : () => config.apiKey
+
+  // One signal for the caller's cancellation and the overall timeout
+  const controller = new AbortController()
+  const timeoutError = new JobTimeoutError(jobId, config.timeoutMs)
+  const timer = setTimeout(
+    () => controller.abort(timeoutError),
+    config.timeoutMs
+  )
+  const onAbort = () => controller.abort(options.signal.reason)
+  if (options.signal?.aborted) onAbort()
+  else options.signal?.addEventListener('abort', onAbort, { once: true })
+  const watchOptions = { ...config, signal: controller.signal }
+
+  // Push only reaches a live API, and recordings need the individual status requests
+  const baseUrl = getApiConfig().baseUrl
+  const pushTransport = config.transport === 'auto' ? 'sse' : config.transport
+  const canPush =
+    pushTransport !== 'poll' &&
+    isLiveData() &&
+    !getRecorderStatus().recording &&
+    !unsupportedPush.has(`${pushTransport}|${baseUrl}`)
+
+  let transport = canPush ? pushTransport : 'poll'
+  const onStatus = (status) => config.onUpdate?.(status, { transport })
+
+  try {
+    if (canPush) {
+      console.log(`🕒 Watching job ${jobId} via ${pushTransport}`)
+      const watchWithPush =
+        pushTransport === 'websocket'
+          ? watchWithWebSocket
+          : watchWithServerSentEvents
+      const { status, unsupported } = await watchWithPush(
+        jobId,
+        getApiKey(),
+        onStatus,
+        watchOptions
+      )
+      if (status) return status
+      if (unsupported) unsupportedPush.add(`${pushTransport}|${baseUrl}`)
+      console.log(
+        `🕒 No ${pushTransport} updates for job ${jobId}, polling instead.`
+      )
+      transport = 'poll'
+    }
+    return await watchWithPolling(jobId, getApiKey, onStatus, watchOptions)
+  } catch (error) {
+    if (controller.signal.reason === timeoutError) throw timeoutError
+    throw error
+  } finally {
+    clearTimeout(timer)
+    options.signal?.removeEventListener('abort', onAbort)
+  }
+}
+
+export {
+  DEFAULT_JOB_WATCH_OPTIONS,
+  JobTimeoutError,
+  getNextPollInterval,
+  watchJob,
+}
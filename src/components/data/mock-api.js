@@ -0,0 +1,193 @@
+/**
+ * In-browser mock API
+ * Answers apiRequest calls in the 'mock' data mode using the seeded mock
+ * backend, with the same response shapes and typed errors as the live API.
+ * Nothing leaves the browser.
+ */
+
+import { createMockBackend } from './mock-data.js'
+import { getDataMode, isDemoMode } from './data-mode.js'
+import { createApiError } from './api-errors.js'
+import { splitApiEndpoint } from './api-config.js'
+
+const MOCK_RESPONSE_DELAY_MS = 150 // Keeps loading states visible
+const MOCK_JOB_LATENCY_MS = 4000 // Time from upload until a job completes
+const MOCK_DEMO_JOB_LATENCY_MS = 120000 // Same in demo mode, slow enough to follow each stage
+const MOCK_REFERENCE_SIZE = 2000
+
+let backend = null
+
+/**
+ * Get the mock backend for the active seed (recreated data if the seed changed)
+ * @returns {Object} Mock backend from createMockBackend
+ */
+function getMockBackend() {
+  const { seed } = getDataMode()
+  if (!backend) {
+    backend = createMockBackend({
+      seed,
+      referenceSize: MOCK_REFERENCE_SIZE,
+      jobLatencyMs: isDemoMode()
+        ? MOCK_DEMO_JOB_LATENCY_MS
+        : MOCK_JOB_LATENCY_MS,
+    })
+  } else if (backend.settings.seed !== seed) {
+    backend.configure({ seed })
+  }
+  return backend
+}
+
+/**
+ * Wait for a delay, rejecting if the signal is aborted
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal} signal - Optional abort signal
+ * @returns {Promise<void>}
+ */
+function mockDelay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const timer = setTimeout(resolve, ms)
+    signal?.addEventListener(
+      'abort',
+      () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+      },
+      { once: true }
+    )
+  })
+}
+
+/**
+ * Route a request to the mock backend
+ * @param {string} method - HTTP method
+ * @param {string} path - API path (e.g. '/pathtrack/jobs/123')
+ * @param {Object} params - Query parameters
+ * @param {Object|FormData|Blob} body - Request body
+ * @returns {Promise<Object>} { status, body, contentType }
+ */
+async function routeMockRequest(method, path, params, body) {
+  const mock = getMockBackend()
+  const jobMatch = path.match(/^\/pathtrack\/jobs\/([^/]+)$/)
+  const sequenceMatch = path.match(/^\/pathtrack\/sequences\/([^/]+)$/)
+  const uploadMatch = path.match(
+    /^\/pathtrack\/sequence\/uploads\/([^/]+)(\/complete)?$/
+  )
+
+  if (method === 'POST' && path === '/pathtrack/sequence/embed') {
+    const file = body instanceof FormData ? body.get('file') : null
+    if (!file || typeof file === 'string') {
+      return { status: 422, body: { detail: 'Missing file' } }
+    }
+    return mock.createJob(await file.text(), {
+      model: body.get('model') || 'DNABERT-S',
+      fileName: file.name,
+    })
+  }
+  if (method === 'POST' && path === '/pathtrack/sequence/uploads') {
+    return mock.createUpload(body || {})
+  }
+  if (uploadMatch) {
+    const uploadId = decodeURIComponent(uploadMatch[1])
+    if (method === 'POST' && uploadMatch[2]) {
+      return mock.completeUpload(uploadId)
+    }
+    if (method === 'GET' && !uploadMatch[2]) return mock.getUpload(uploadId)
+    if (method === 'PUT' && !uploadMatch[2] && body instanceof Blob) {
+      const bytes = new Uint8Array(await body.arrayBuffer())
+      return mock.appendUpload(uploadId, Number(params.offset), bytes)
+    }
+  }
+  if (method === 'GET' && path === '/pathtrack/models') {
+    return mock.listModels()
+  }
+  if (method === 'GET' && jobMatch) {
+    return mock.getJobStatus(decodeURIComponent(jobMatch[1]))
+  }
+  if (method === 'GET' && sequenceMatch) {
+    return mock.getReferenceSequence(decodeURIComponent(sequenceMatch[1]))
+  }
+  if (method === 'POST' && path === '/pathtrack/sequence/umap') {
+    return mock.getProjection(params.job_id)
+  }
+  if (method === 'POST' && path === '/pathtrack/sequence/similar') {
+    return mock.getSimilar(params.job_id, body || {})
+  }
+  if (method === 'GET' && path === '/pathtrack/umap/all') {
+    return {
+      status: 200,
+      body: mock.getReferenceNdjson(params.embedding_model || undefined),
+      contentType: 'application/x-ndjson',
+    }
+  }
+  return { status: 404, body: { detail: `No mock for ${method} ${path}` } }
+}
+
+/**
+ * Size of a request body in bytes, for upload progress
+ * @param {Object|FormData|Blob} body - Request body
+ * @returns {number} Bytes (files only; 0 for JSON bodies)
+ */
+function getUploadSize(body) {
+  if (body instanceof Blob) return body.size
+  if (!(body instanceof FormData)) return 0
+  return [...body.values()].reduce(
+    (sum, value) => sum + (typeof value === 'string' ? 0 : value.size),
+    0
+  )
+}
+
+/**
+ * Answer a request with mock data (same options and results as apiRequest)
+ * @param {string} endpoint - Endpoint path or absolute URL
+ * @param {Object} options - apiRequest options (method, params, body, responseType, signal, onUploadProgress)
+ * @returns {Promise<*>} Parsed body, text or Response depending on responseType
+ * @throws {ApiError} Typed error for 4xx mock responses
+ */
+async function mockApiRequest(endpoint, options = {}) {
+  const {
+    method = 'GET',
+    body,
+    responseType = 'json',
+    signal,
+    onUploadProgress,
+  } = options
+  const { path, params } = splitApiEndpoint(endpoint, options.params)
+
+  await mockDelay(MOCK_RESPONSE_DELAY_MS, signal)
+  const uploadSize = getUploadSize(body)
+  if (onUploadProgress && uploadSize > 0) {
+    onUploadProgress({ loaded: uploadSize, total: uploadSize })
+  }
+  const result = await routeMockRequest(method, path, params, body)
+  console.log(`🧪 Mock ${method} ${path} → ${result.status}`)
+
+  if (result.status >= 400) {
+    throw createApiError(
+      new Response(null, { status: result.status }),
+      endpoint,
+      result.body
+    )
+  }
+
+  const text =
+    typeof result.body === 'string'
+      ? result.body
+      : JSON.stringify(result.body)
+  if (responseType === 'response') {
+    return new Response(text, {
+      status: result.status,
+      headers: {
+        'content-type': result.contentType || 'application/json',
+        'content-length': String(new TextEncoder().encode(text).length),
+      },
+    })
+  }
+  if (responseType === 'text') return text
+  return result.body
+}
+
+export { mockApiRequest }
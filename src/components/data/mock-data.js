@@ -0,0 +1,716 @@
+/**
+ * Seeded mock data
+ * Deterministic generators for the reference set, UMAP projections,
+ * similarity results and reference sequences, plus an in-memory job backend. Shared by the local mock
+ * API server (mock-server/) and the in-browser mock data mode, so the same
+ * seed always yields the same data. Has no browser or Node dependencies.
+ */
+
+import {
+  DEFAULT_EMBEDDING_MODELS,
+  DEFAULT_EMBEDDING_MODEL,
+} from './embedding-models.js'
+
+const DEFAULT_SEED = 42
+const MOCK_SEQUENCE_LENGTH = 3000 // Reference sequences before anything was uploaded
+const MOCK_MAX_DIVERGENCE = 0.3 // Mutation rate of the most distant reference sequence
+// Stages a mock job reports, each lasting until the given fraction of the job latency
+const MOCK_JOB_STAGES = [
+  { id: 'queued', until: 0.15 },
+  { id: 'embedding', until: 0.6 },
+  { id: 'projecting', until: 0.8 },
+  { id: 'similarity_search', until: 1 },
+]
+
+// Sampling locations used for generated metadata ("lat,lon" like the API)
+const MOCK_LOCATIONS = [
+  { country: 'USA', latLon: '38.9,-77.04' },
+  { country: 'Brazil', latLon: '-15.79,-47.88' },
+  { country: 'Colombia', latLon: '4.71,-74.07' },
+  { country: 'Mexico', latLon: '19.43,-99.13' },
+  { country: 'India', latLon: '28.61,77.21' },
+  { country: 'China', latLon: '39.9,116.4' },
+  { country: 'Thailand', latLon: '13.76,100.5' },
+  { country: 'Nigeria', latLon: '9.08,7.4' },
+  { country: 'Kenya', latLon: '-1.29,36.82' },
+  { country: 'France', latLon: '48.86,2.35' },
+  { country: 'Germany', latLon: '52.52,13.4' },
+  { country: 'Australia', latLon: '-35.28,149.13' },
+]
+
+const MOCK_HOSTS = [
+  'Homo sapiens',
+  'Aedes aegypti',
+  'Aedes albopictus',
+  'Macaca mulatta',
+]
+const MOCK_SOURCES = [
+  'serum',
+  'blood',
+  'urine',
+  'mosquito pool',
+  'cell culture',
+]
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning a float in [0, 1), like Math.random
+ */
+function createSeededRandom(seed = DEFAULT_SEED) {
+  let state = seed >>> 0
+  return function () {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Hash a string to a 32-bit integer seed (FNV-1a)
+ * @param {string} text - Input text (e.g. a sequence)
+ * @returns {number} Unsigned 32-bit hash
+ */
+function hashSeed(text) {
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+/**
+ * Draw from a normal distribution (Box-Muller)
+ * @param {Function} random - Seeded random function
+ * @returns {number} Standard normal sample
+ */
+function gaussian(random) {
+  const u = 1 - random() // Avoid log(0)
+  const v = random()
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v)
+}
+
+/**
+ * Pick an element from an array
+ * @param {Function} random - Seeded random function
+ * @param {Array} items - Items to pick from
+ * @returns {*} Picked item
+ */
+function pick(random, items) {
+  return items[Math.floor(random() * items.length)]
+}
+
+/**
+ * Generate cluster centres for the reference set
+ * @param {Function} random - Seeded random function
+ * @param {number} count - Number of clusters
+ * @returns {Array<Object>} Cluster centres { x, y, spread, location, baseYear }
+ */
+function generateClusters(random, count) {
+  const clusters = []
+  for (let i = 0; i < count; i++) {
+    clusters.push({
+      x: (random() * 2 - 1) * 8,
+      y: (random() * 2 - 1) * 8,
+      spread: 0.5 + random() * 1.5,
+      location: pick(random, MOCK_LOCATIONS),
+      baseYear: 1995 + Math.floor(random() * 25),
+    })
+  }
+  return clusters
+}
+
+/**
+ * Generate a deterministic reference set in the /pathtrack/umap/all record format
+ * @param {number} count - Number of records (default: 500)
+ * @param {Object} options - Options
+ * @param {number} options.seed - Seed (default: 42)
+ * @param {number} options.clusters - Number of UMAP clusters (default: 8)
+ * @param {number} options.unknownDateRate - Fraction of records without a date (default: 0.05)
+ * @returns {Array<Object>} Records { type, sequence_hash, accession, coordinates, first_country, first_date, ... }
+ */
+function generateReferenceSet(
+  count = 500,
+  { seed = DEFAULT_SEED, clusters = 8, unknownDateRate = 0.05 } = {}
+) {
+  const random = createSeededRandom(seed)
+  const centres = generateClusters(random, clusters)
+  const records = []
+
+  for (let i = 0; i < count; i++) {
+    const cluster = centres[i % centres.length]
+    // Most records share their cluster's location; some were sampled elsewhere
+    const location =
+      random() < 0.8 ? cluster.location : pick(random, MOCK_LOCATIONS)
+    const year = Math.min(
+      2023,
+      cluster.baseYear + Math.floor(Math.abs(gaussian(random)) * 4)
+    )
+    const month = String(1 + Math.floor(random() * 12)).padStart(2, '0')
+    const hasDate = random() >= unknownDateRate
+
+    records.push({
+      type: 'record',
+      sequence_hash: `mock-${seed}-${i}`,
+      accession: `MK${String(100000 + i).padStart(6, '0')}`,
+      coordinates: [
+        cluster.x + gaussian(random) * cluster.spread,
+        cluster.y + gaussian(random) * cluster.spread,
+      ],
+      first_country: location.country,
+      first_date: hasDate ? `${year}-${month}-01` : 'Unknown',
+      lat_lon: location.latLon,
+      host: pick(random, MOCK_HOSTS),
+      isolation_source: pick(random, MOCK_SOURCES),
+    })
+  }
+
+  return records
+}
+
+/**
+ * Generate a deterministic UMAP projection for an uploaded sequence.
+ * The same sequence always lands at the same place, near one of the reference clusters.
+ * @param {string} sequence - Sequence text (or any identifying content)
+ * @param {Array<Object>} referenceSet - Records from generateReferenceSet
+ * @returns {Array<number>} Coordinates [x, y]
+ */
+function generateProjection(sequence, referenceSet) {
+  const random = createSeededRandom(hashSeed(sequence))
+  if (!referenceSet || referenceSet.length === 0) {
+    return [(random() * 2 - 1) * 8, (random() * 2 - 1) * 8]
+  }
+  const anchor = pick(random, referenceSet).coordinates
+  return [
+    anchor[0] + gaussian(random) * 0.3,
+    anchor[1] + gaussian(random) * 0.3,
+  ]
+}
+
+/**
+ * Re-embed a reference set for another model: same records, with the UMAP
+ * layout rotated and locally shuffled, so two models agree on some neighbours
+ * but not all of them
+ * @param {Array<Object>} referenceSet - Records from generateReferenceSet
+ * @param {string} model - Model name (the default model keeps the original layout)
+ * @param {number} seed - Reference set seed
+ * @returns {Array<Object>} Records with model-specific coordinates
+ */
+function embedForModel(referenceSet, model, seed = DEFAULT_SEED) {
+  if (model === DEFAULT_EMBEDDING_MODEL) return referenceSet
+  const random = createSeededRandom(seed ^ hashSeed(model))
+  const angle = random() * 2 * Math.PI
+  const cos = Math.cos(angle)
+  const sin = Math.sin(angle)
+  return referenceSet.map((record) => {
+    const [x, y] = record.coordinates
+    return {
+      ...record,
+      coordinates: [
+        x * cos - y * sin + gaussian(random) * 0.8,
+        x * sin + y * cos + gaussian(random) * 0.8,
+      ],
+    }
+  })
+}
+
+/**
+ * Map the UMAP distance between two points onto a 0-1 embedding distance
+ * @param {Array<number>} from - Coordinates [x, y]
+ * @param {Array<number>} to - Coordinates [x, y]
+ * @returns {number} Distance between 0 and 1
+ */
+function embeddingDistance(from, to) {
+  const dx = to[0] - from[0]
+  const dy = to[1] - from[1]
+  return 1 - Math.exp(-Math.sqrt(dx * dx + dy * dy) / 4)
+}
+
+/**
+ * Generate a random nucleotide sequence
+ * @param {number} length - Length in bases
+ * @param {Function} random - Seeded random function
+ * @returns {string} Sequence
+ */
+function generateSequence(length, random) {
+  let sequence = ''
+  for (let i = 0; i < length; i++) sequence += 'ACGT'[Math.floor(random() * 4)]
+  return sequence
+}
+
+/**
+ * Mutate a sequence with substitutions, insertions and deletions
+ * @param {string} sequence - Original sequence
+ * @param {number} rate - Fraction of positions that change (8 in 10 are substitutions)
+ * @param {Function} random - Seeded random function
+ * @returns {string} Mutated sequence
+ */
+function mutateSequence(sequence, rate, random) {
+  const bases = []
+  for (const base of sequence.toUpperCase()) {
+    const roll = random()
+    if (roll >= rate) bases.push(base)
+    else if (roll < rate * 0.8) {
+      const others = 'ACGT'.replace(base, '')
+      bases.push(others[Math.floor(random() * others.length)])
+    } else if (roll < rate * 0.9) {
+      bases.push(base, 'ACGT'[Math.floor(random() * 4)])
+    }
+    // Otherwise deleted
+  }
+  return bases.join('')
+}
+
+/**
+ * Build a similarity result (the /pathtrack/sequence/similar format) by distance in UMAP space
+ * @param {Array<number>} coordinates - Query coordinates [x, y]
+ * @param {Array<Object>} referenceSet - Records from generateReferenceSet
+ * @param {Object} options - Query options (same as the API body)
+ * @param {number} options.n_results - Number of results (default: 10)
+ * @param {number} options.min_distance - Skip results closer than this (-1: no limit)
+ * @param {number} options.max_year - Skip results after this year (0: no limit)
+ * @param {boolean} options.include_unknown_dates - Keep records without a date
+ * @returns {Array<Object>} Results { id, similarity, distance, metadata, umap_coords }
+ */
+function findMockSimilar(coordinates, referenceSet, options = {}) {
+  const {
+    n_results = 10,
+    min_distance = -1,
+    max_year = 0,
+    include_unknown_dates = false,
+  } = options
+  return referenceSet
+    .map((record) => ({
+      record,
+      distance: embeddingDistance(coordinates, record.coordinates),
+    }))
+    .filter(({ record, distance }) => {
+      if (min_distance >= 0 && distance < min_distance) return false
+      if (record.first_date === 'Unknown') return include_unknown_dates
+      return !max_year || parseInt(record.first_date) <= max_year
+    })
+    .sort((a, b) => a.distance - b.distance)
+    .slice(0, n_results)
+    .map(({ record, distance }) => {
+      const year =
+        record.first_date === 'Unknown' ? null : parseInt(record.first_date)
+      return {
+        id: record.sequence_hash,
+        similarity: 1 - distance,
+        distance,
+        metadata: {
+          accessions: [record.accession],
+          country: record.first_country,
+          first_country: record.first_country,
+          first_year: year,
+          years: year ? [year] : [],
+          host: record.host,
+          isolation_source: record.isolation_source,
+          lat_lon: [record.lat_lon],
+        },
+        umap_coords: { x: record.coordinates[0], y: record.coordinates[1] },
+      }
+    })
+}
+
+/**
+ * Extract the sequence from uploaded file text (FASTA headers dropped)
+ * @param {string} text - Uploaded file content
+ * @returns {string} Concatenated sequence
+ */
+function extractSequence(text) {
+  return text
+    .split(/\r?\n/)
+    .filter((line) => !line.startsWith('>'))
+    .join('')
+    .trim()
+}
+
+/**
+ * Create an in-memory backend that behaves like the pathtrack job endpoints.
+ * Every method returns { status, body } like an HTTP response.
+ * @param {Object} options - Backend options
+ * @param {number} options.seed - Seed for the reference set and job failures (default: 42)
+ * @param {number} options.referenceSize - Number of reference records (default: 2000)
+ * @param {number} options.jobLatencyMs - Time from upload until a job completes (default: 8000)
+ * @param {number} options.jobFailureRate - Fraction of jobs that end as 'failed' (default: 0)
+ * @param {number} options.uploadChunkSize - Chunk size offered to chunked uploads in bytes (default: 1 MB)
+ * @returns {Object} Mock backend
+ */
+function createMockBackend(options = {}) {
+  const settings = {
+    seed: DEFAULT_SEED,
+    referenceSize: 2000,
+    jobLatencyMs: 8000,
+    jobFailureRate: 0,
+    uploadChunkSize: 1024 * 1024,
+    ...options,
+  }
+  const jobs = new Map()
+  const uploads = new Map() // Chunked upload sessions
+  const modelNames = DEFAULT_EMBEDDING_MODELS.map((model) => model.name)
+  let jobCounter = 0
+  let uploadCounter = 0
+  let referenceSet = []
+  let modelReferenceSets = new Map()
+  let jobRandom = null
+
+  /**
+   * (Re)generate the seeded reference set and reset the job failure sequence
+   */
+  function reseed() {
+    referenceSet = generateReferenceSet(settings.referenceSize, {
+      seed: settings.seed,
+    })
+    modelReferenceSets = new Map()
+    jobRandom = createSeededRandom(settings.seed + 1)
+  }
+
+  /**
+   * Get the reference set as embedded by a model (generated on first use)
+   * @param {string} model - Model name
+   * @returns {Array<Object>} Records with the model's coordinates
+   */
+  function referenceSetFor(model = DEFAULT_EMBEDDING_MODEL) {
+    if (!modelReferenceSets.has(model)) {
+      modelReferenceSets.set(
+        model,
+        embedForModel(referenceSet, model, settings.seed)
+      )
+    }
+    return modelReferenceSets.get(model)
+  }
+
+  /**
+   * Get the current state of a job from its age
+   * @param {Object} job - Stored job
+   * @returns {Object} Job status body
+   */
+  function describeJob(job) {
+    const elapsed = Date.now() - job.createdAt
+    const progress = Math.min(1, elapsed / Math.max(1, settings.jobLatencyMs))
+    const base = {
+      job_id: job.id,
+      model: job.model,
+      created_at: new Date(job.createdAt).toISOString(),
+    }
+
+    const etaSeconds = Math.ceil(
+      Math.max(0, settings.jobLatencyMs - elapsed) / 1000
+    )
+
+    if (progress < 1) {
+      const stage = MOCK_JOB_STAGES.find(({ until }) => progress < until).id
+      return {
+        ...base,
+        status: stage === 'queued' ? 'pending' : 'running',
+        stage,
+        progress,
+        eta_seconds: etaSeconds,
+      }
+    }
+    if (job.willFail) {
+      return {
+        ...base,
+        status: 'failed',
+        stage: 'embedding',
+        progress: 1,
+        error: 'Embedding failed (injected by mock backend)',
+      }
+    }
+    return {
+      ...base,
+      status: 'completed',
+      stage: 'done',
+      progress: 1,
+      eta_seconds: 0,
+      result: { embedding_id: `emb-${job.id}` },
+    }
+  }
+
+  /**
+   * Look up a job that must be completed
+   * @param {string} jobId - Job ID
+   * @returns {Object} { job } or an error { status, body }
+   */
+  function findCompletedJob(jobId) {
+    const job = jobs.get(jobId)
+    if (!job) return { status: 404, body: { detail: 'Job not found' } }
+    const { status } = describeJob(job)
+    if (status !== 'completed') {
+      return { status: 409, body: { detail: `Job is ${status}` } }
+    }
+    return { job }
+  }
+
+  reseed()
+
+  return {
+    settings,
+    get referenceSet() {
+      return referenceSet
+    },
+
+    /**
+     * Change settings; regenerates data if the seed or reference size changed
+     * @param {Object} updates - Partial settings
+     */
+    configure(updates = {}) {
+      Object.keys(updates).forEach((key) => {
+        if (key in settings) settings[key] = updates[key]
+      })
+      if ('seed' in updates || 'referenceSize' in updates) reseed()
+    },
+
+    /**
+     * GET /pathtrack/models
+     */
+    listModels() {
+      return { status: 200, body: { models: DEFAULT_EMBEDDING_MODELS } }
+    },
+
+    /**
+     * POST /pathtrack/sequence/embed
+     * @param {string} text - Uploaded file content
+     * @param {Object} upload - { model, fileName }
+     */
+    createJob(text, { model = DEFAULT_EMBEDDING_MODEL, fileName = '' } = {}) {
+      if (!modelNames.includes(model)) {
+        return { status: 422, body: { detail: `Unknown model: ${model}` } }
+      }
+      const sequence = extractSequence(text || '')
+      if (!sequence) {
+        return {
+          status: 422,
+          body: { detail: 'File contains no sequence data' },
+        }
+      }
+      const id = `mock-job-${++jobCounter}`
+      const job = {
+        id,
+        model,
+        fileName,
+        length: sequence.length,
+        sequence,
+        createdAt: Date.now(),
+        coordinates: generateProjection(sequence, referenceSetFor(model)),
+        willFail: jobRandom() < settings.jobFailureRate,
+      }
+      jobs.set(id, job)
+      return { status: 200, body: { job_id: id, status: 'pending' }, job }
+    },
+
+    /**
+     * POST /pathtrack/sequence/uploads
+     * @param {Object} upload - { file_name, size, model }
+     */
+    createUpload({ file_name: fileName = '', size, model } = {}) {
+      if (!Number.isInteger(size) || size <= 0) {
+        return {
+          status: 422,
+          body: { detail: 'size must be a positive integer' },
+        }
+      }
+      const id = `mock-upload-${++uploadCounter}`
+      uploads.set(id, { id, fileName, size, model, chunks: [], received: 0 })
+      return {
+        status: 200,
+        body: {
+          upload_id: id,
+          chunk_size: settings.uploadChunkSize,
+          received_bytes: 0,
+        },
+      }
+    },
+
+    /**
+     * GET /pathtrack/sequence/uploads/:id
+     * @param {string} uploadId - Upload session ID
+     */
+    getUpload(uploadId) {
+      const upload = uploads.get(uploadId)
+      if (!upload) return { status: 404, body: { detail: 'Upload not found' } }
+      return {
+        status: 200,
+        body: {
+          upload_id: upload.id,
+          size: upload.size,
+          received_bytes: upload.received,
+        },
+      }
+    },
+
+    /**
+     * PUT /pathtrack/sequence/uploads/:id?offset=
+     * @param {string} uploadId - Upload session ID
+     * @param {number} offset - Byte offset of the chunk
+     * @param {Uint8Array} bytes - Chunk content
+     */
+    appendUpload(uploadId, offset, bytes) {
+      const upload = uploads.get(uploadId)
+      if (!upload) return { status: 404, body: { detail: 'Upload not found' } }
+      if (offset !== upload.received) {
+        return {
+          status: 409,
+          body: {
+            detail: `Expected offset ${upload.received}`,
+            received_bytes: upload.received,
+          },
+        }
+      }
+      if (upload.received + bytes.length > upload.size) {
+        return {
+          status: 422,
+          body: { detail: 'Chunk exceeds the upload size' },
+        }
+      }
+      upload.chunks.push(bytes)
+      upload.received += bytes.length
+      return { status: 200, body: { received_bytes: upload.received } }
+    },
+
+    /**
+     * POST /pathtrack/sequence/uploads/:id/complete
+     * @param {string} uploadId - Upload session ID
+     */
+    completeUpload(uploadId) {
+      const upload = uploads.get(uploadId)
+      if (!upload) return { status: 404, body: { detail: 'Upload not found' } }
+      if (upload.received !== upload.size) {
+        return {
+          status: 409,
+          body: {
+            detail: `Received ${upload.received} of ${upload.size} bytes`,
+            received_bytes: upload.received,
+          },
+        }
+      }
+      const content = new Uint8Array(upload.size)
+      let position = 0
+      upload.chunks.forEach((chunk) => {
+        content.set(chunk, position)
+        position += chunk.length
+      })
+      uploads.delete(uploadId)
+      return this.createJob(new TextDecoder().decode(content), {
+        model: upload.model,
+        fileName: upload.fileName,
+      })
+    },
+
+    /**
+     * GET /pathtrack/jobs/:id
+     * @param {string} jobId - Job ID
+     */
+    getJobStatus(jobId) {
+      const job = jobs.get(jobId)
+      if (!job) return { status: 404, body: { detail: 'Job not found' } }
+      return { status: 200, body: describeJob(job) }
+    },
+
+    /**
+     * POST /pathtrack/sequence/umap?job_id=
+     * @param {string} jobId - Job ID
+     */
+    getProjection(jobId) {
+      const { job, ...error } = findCompletedJob(jobId)
+      if (!job) return error
+      return {
+        status: 200,
+        body: { job_id: job.id, result: { coordinates: job.coordinates } },
+      }
+    },
+
+    /**
+     * POST /pathtrack/sequence/similar?job_id=
+     * @param {string} jobId - Job ID
+     * @param {Object} query - Similarity query (n_results, min_distance, ...)
+     */
+    getSimilar(jobId, query = {}) {
+      const { job, ...error } = findCompletedJob(jobId)
+      if (!job) return error
+      return {
+        status: 200,
+        body: {
+          job_id: job.id,
+          result: findMockSimilar(
+            job.coordinates,
+            referenceSetFor(job.model),
+            query
+          ),
+        },
+      }
+    },
+
+    /**
+     * GET /pathtrack/sequences/:id
+     * Reference sequences are the latest uploaded sequence, mutated in proportion
+     * to the record's embedding distance from it, so alignments of the top
+     * matches look plausible
+     * @param {string} sequenceId - Record ID (sequence hash)
+     */
+    getReferenceSequence(sequenceId) {
+      const index = referenceSet.findIndex(
+        (record) => record.sequence_hash === sequenceId
+      )
+      if (index < 0) {
+        return { status: 404, body: { detail: 'Sequence not found' } }
+      }
+      const random = createSeededRandom(hashSeed(sequenceId))
+      const job = [...jobs.values()].pop()
+      let sequence
+      if (job) {
+        const record = referenceSetFor(job.model)[index]
+        const distance = embeddingDistance(job.coordinates, record.coordinates)
+        sequence = mutateSequence(
+          job.sequence,
+          distance * MOCK_MAX_DIVERGENCE,
+          random
+        )
+      } else {
+        sequence = generateSequence(MOCK_SEQUENCE_LENGTH, random)
+      }
+      return {
+        status: 200,
+        body: {
+          id: sequenceId,
+          accession: referenceSet[index].accession,
+          sequence,
+        },
+      }
+    },
+
+    /**
+     * GET /pathtrack/umap/all as NDJSON text (metadata line, then records)
+     * @param {string} model - Embedding model (default: DNABERT-S)
+     * @returns {string} NDJSON body
+     */
+    getReferenceNdjson(model = DEFAULT_EMBEDDING_MODEL) {
+      const records = referenceSetFor(model)
+      const metadata = {
+        type: 'metadata',
+        total: records.length,
+        model,
+        seed: settings.seed,
+        mock: true,
+      }
+      const lines = [metadata, ...records].map((obj) => JSON.stringify(obj))
+      return lines.join('\n') + '\n'
+    },
+  }
+}
+
+export {
+  DEFAULT_SEED,
+  createSeededRandom,
+  hashSeed,
+  generateReferenceSet,
+  generateProjection,
+  findMockSimilar,
+  embedForModel,
+  mutateSequence,
+  createMockBackend,
+}
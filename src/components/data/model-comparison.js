@@ -0,0 +1,85 @@
+/**
+ * Model comparison
+ * Overlap statistics between the similar-sequence result sets that two
+ * embedding models return for the same uploaded sequence
+ */
+
+const DEFAULT_OVERLAP_CUTOFFS = [10, 25, 50, 100]
+
+/**
+ * Identify a similarity result across models
+ * @param {Object} result - Result from /pathtrack/sequence/similar
+ * @returns {string} Sequence ID (first accession if the ID is missing)
+ */
+function resultKey(result) {
+  return String(result.id ?? result.metadata?.accessions?.[0] ?? '')
+}
+
+/**
+ * Spearman rank correlation of the shared results' positions in both lists
+ * @param {Array<string>} shared - Keys present in both lists
+ * @param {Map<string, number>} ranksA - Key → rank in list A
+ * @param {Map<string, number>} ranksB - Key → rank in list B
+ * @returns {number|null} Correlation in [-1, 1], or null for fewer than 2 shared results
+ */
+function spearmanCorrelation(shared, ranksA, ranksB) {
+  const n = shared.length
+  if (n < 2) return null
+  // Re-rank within the shared subset so both rankings run 0..n-1
+  const rerank = (ranks) => {
+    const order = [...shared].sort((a, b) => ranks.get(a) - ranks.get(b))
+    return new Map(order.map((key, index) => [key, index]))
+  }
+  const subA = rerank(ranksA)
+  const subB = rerank(ranksB)
+  const sumSquares = shared.reduce(
+    (sum, key) => sum + (subA.get(key) - subB.get(key)) ** 2,
+    0
+  )
+  return 1 - (6 * sumSquares) / (n * (n * n - 1))
+}
+
+/**
+ * Compare two ranked similarity result lists
+ * @param {Array<Object>} resultsA - Results of the first model (best first)
+ * @param {Array<Object>} resultsB - Results of the second model (best first)
+ * @param {Object} options - Options
+ * @param {Array<number>} options.cutoffs - Top-k sizes to report overlap for (default: 10, 25, 50, 100)
+ * @returns {Object} { sizeA, sizeB, shared, onlyA, onlyB, jaccard, overlapAtK, rankCorrelation, sharedKeys }
+ */
+function compareSimilarityResults(
+  resultsA = [],
+  resultsB = [],
+  { cutoffs = DEFAULT_OVERLAP_CUTOFFS } = {}
+) {
+  const keysA = resultsA.map(resultKey)
+  const keysB = resultsB.map(resultKey)
+  const ranksA = new Map(keysA.map((key, index) => [key, index]))
+  const ranksB = new Map(keysB.map((key, index) => [key, index]))
+  const sharedKeys = keysA.filter((key) => ranksB.has(key))
+  const union = ranksA.size + ranksB.size - sharedKeys.length
+
+  const maxSize = Math.max(keysA.length, keysB.length)
+  const overlapAtK = cutoffs
+    .filter((k) => k <= maxSize || k === cutoffs[0])
+    .map((k) => {
+      const topB = new Set(keysB.slice(0, k))
+      const shared = keysA.slice(0, k).filter((key) => topB.has(key)).length
+      const size = Math.min(k, keysA.length, keysB.length)
+      return { k, shared, fraction: size > 0 ? shared / size : 0 }
+    })
+
+  return {
+    sizeA: keysA.length,
+    sizeB: keysB.length,
+    shared: sharedKeys.length,
+    onlyA: keysA.length - sharedKeys.length,
+    onlyB: keysB.length - sharedKeys.length,
+    jaccard: union > 0 ? sharedKeys.length / union : 0,
+    overlapAtK,
+    rankCorrelation: spearmanCorrelation(sharedKeys, ranksA, ranksB),
+    sharedKeys,
+  }
+}
+
+export { DEFAULT_OVERLAP_CUTOFFS, resultKey, compareSimilarityResults }
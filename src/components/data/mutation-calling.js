@@ -0,0 +1,224 @@
+/**
+ * Mutation calling
+ * Lists the SNPs, insertions and deletions of the uploaded sequence relative
+ * to a reference, from a pairwise alignment (pairwise-alignment.js), and
+ * exports them as VCF-like TSV. Positions follow VCF: 1-based reference
+ * coordinates, with indels anchored to the preceding reference base.
+ */
+
+import { alignInWorker } from './pairwise-alignment.js'
+
+const TRANSITIONS = new Set(['AG', 'GA', 'CT', 'TC'])
+const TSV_COLUMNS = [
+  '#CHROM',
+  'POS',
+  'ID',
+  'REF',
+  'ALT',
+  'TYPE',
+  'LENGTH',
+  'QUERY_POS',
+]
+
+/**
+ * Whether a character is an unambiguous base
+ * @param {string} char - Sequence character
+ * @returns {boolean} True for A, C, G and T
+ */
+function isBase(char) {
+  return char === 'A' || char === 'C' || char === 'G' || char === 'T'
+}
+
+/**
+ * Call mutations from an alignment of the uploaded sequence (query) with a reference
+ * @param {Object} alignment - Result of alignSequences (query = uploaded sequence)
+ * @returns {Object} { mutations, noCalls, referenceStart, referenceEnd, referenceLength, identity }.
+ *   Each mutation is { type: 'SNP'|'INS'|'DEL', position, ref, alt, length, queryPosition }.
+ *   Columns with an ambiguous base are not called; noCalls counts them.
+ */
+function callMutations(alignment) {
+  const { alignedQuery, alignedReference } = alignment
+  const mutations = []
+  let noCalls = 0
+  let referencePosition = alignment.referenceStart // Reference bases before this column
+  let queryPosition = alignment.queryStart
+  let previousReferenceBase = null // Anchor for indels
+  let previousQueryBase = null
+  let column = 0
+
+  while (column < alignedQuery.length) {
+    const q = alignedQuery[column]
+    const r = alignedReference[column]
+
+    if (q === '-' || r === '-') {
+      // Merge the whole gap into one event
+      const gapInReference = r === '-'
+      let end = column
+      while (
+        end < alignedQuery.length &&
+        (gapInReference ? alignedReference[end] : alignedQuery[end]) === '-'
+      ) {
+        end++
+      }
+      const bases = (gapInReference ? alignedQuery : alignedReference).slice(
+        column,
+        end
+      )
+      const length = end - column
+      // Anchor to the preceding base, or the following one at the alignment start
+      const anchorBefore = previousReferenceBase != null
+      const anchor = anchorBefore
+        ? previousReferenceBase
+        : alignedReference[end] || 'N'
+      const queryAnchor = anchorBefore
+        ? previousQueryBase || anchor
+        : alignedQuery[end] || anchor
+      const position = anchorBefore ? referencePosition : referencePosition + 1
+
+      mutations.push(
+        gapInReference
+          ? {
+              type: 'INS',
+              position,
+              ref: anchor,
+              alt: anchorBefore ? queryAnchor + bases : bases + queryAnchor,
+              length,
+              queryPosition: anchorBefore ? queryPosition : queryPosition + 1,
+            }
+          : {
+              type: 'DEL',
+              position,
+              ref: anchorBefore ? anchor + bases : bases + anchor,
+              alt: queryAnchor,
+              length,
+              queryPosition: anchorBefore ? queryPosition : queryPosition + 1,
+            }
+      )
+
+      if (gapInReference) {
+        queryPosition += length
+        previousQueryBase = bases[bases.length - 1]
+      } else {
+        referencePosition += length
+        previousReferenceBase = bases[bases.length - 1]
+      }
+      column = end
+      continue
+    }
+
+    referencePosition++
+    queryPosition++
+    if (!isBase(q) || !isBase(r)) noCalls++
+    else if (q !== r) {
+      mutations.push({
+        type: 'SNP',
+        position: referencePosition,
+        ref: r,
+        alt: q,
+        length: 1,
+        queryPosition,
+      })
+    }
+    previousReferenceBase = r
+    previousQueryBase = q
+    column++
+  }
+
+  return {
+    mutations,
+    noCalls,
+    referenceStart: alignment.referenceStart,
+    referenceEnd: alignment.referenceEnd,
+    referenceLength: alignment.referenceLength,
+    identity: alignment.identity,
+  }
+}
+
+/**
+ * Count mutations by type
+ * @param {Array<Object>} mutations - Mutations from callMutations
+ * @returns {Object} { total, snps, insertions, deletions, indelBases, transitions, transversions, tiTv }
+ */
+function summarizeMutations(mutations) {
+  const summary = {
+    total: mutations.length,
+    snps: 0,
+    insertions: 0,
+    deletions: 0,
+    indelBases: 0,
+    transitions: 0,
+    transversions: 0,
+    tiTv: null,
+  }
+  mutations.forEach((mutation) => {
+    if (mutation.type === 'SNP') {
+      summary.snps++
+      if (TRANSITIONS.has(mutation.ref + mutation.alt)) summary.transitions++
+      else summary.transversions++
+    } else {
+      if (mutation.type === 'INS') summary.insertions++
+      else summary.deletions++
+      summary.indelBases += mutation.length
+    }
+  })
+  if (summary.transversions > 0) {
+    summary.tiTv = summary.transitions / summary.transversions
+  }
+  return summary
+}
+
+/**
+ * Format mutations as VCF-like TSV
+ * @param {Array<Object>} mutations - Mutations from callMutations
+ * @param {Object} context - Header information
+ * @param {string} context.referenceName - Reference name (CHROM column)
+ * @param {string} context.sampleName - Name of the uploaded sequence
+ * @param {number} context.identity - Alignment identity (0-1)
+ * @returns {string} TSV with ## header lines
+ */
+function mutationsToTsv(
+  mutations,
+  { referenceName = 'reference', sampleName = 'sample', identity = null } = {}
+) {
+  const chrom = referenceName.replace(/\s+/g, '_')
+  const header = [
+    '##fileformat=PathGen-mutations-TSV (VCF-like)',
+    `##fileDate=${new Date().toISOString().slice(0, 10)}`,
+    `##reference=${referenceName}`,
+    `##sample=${sampleName}`,
+    ...(identity != null ? [`##identity=${(identity * 100).toFixed(2)}%`] : []),
+    TSV_COLUMNS.join('\t'),
+  ]
+  const rows = mutations.map((mutation) =>
+    [
+      chrom,
+      mutation.position,
+      '.',
+      mutation.ref,
+      mutation.alt,
+      mutation.type,
+      mutation.length,
+      mutation.queryPosition,
+    ].join('\t')
+  )
+  return [...header, ...rows].join('\n') + '\n'
+}
+
+/**
+ * Align the uploaded sequence with a reference and call mutations
+ * @param {string} query - Uploaded sequence
+ * @param {string} reference - Reference sequence
+ * @param {Object} options - { signal } and alignment options
+ * @returns {Promise<Object>} Result of callMutations, plus the alignment
+ */
+async function callMutationsAgainst(query, reference, options = {}) {
+  const alignment = await alignInWorker(query, reference, options)
+  return { ...callMutations(alignment), alignment }
+}
+
+export {
+  callMutations,
+  summarizeMutations,
+  mutationsToTsv,
+  callMutationsAgainst,
+}
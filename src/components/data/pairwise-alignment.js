@@ -0,0 +1,383 @@
+/**
+ * Pairwise alignment
+ * Aligns the uploaded sequence with a reference sequence so embedding
+ * similarity can be checked against real nucleotide identity. The alignment
+ * is a banded overlap alignment (Needleman–Wunsch with affine gaps and free
+ * end gaps, so either sequence may be a fragment of the other) around the
+ * diagonal with the most shared k-mers. It runs in a Web Worker when the
+ * browser has one.
+ */
+
+const DEFAULT_ALIGNMENT_OPTIONS = {
+  match: 2,
+  mismatch: -3,
+  ambiguous: 0, // Score of columns with an ambiguous base (N, R, Y, ...)
+  gapOpen: -5, // First base of a gap
+  gapExtend: -2, // Every further base
+  bandWidth: null, // Default: 1% of the longer sequence, at least 32
+  seedLength: 12, // k-mer length used to find the diagonal
+}
+const MAX_ALIGNMENT_CELLS = 60 * 1000 * 1000 // Banded matrix size limit (bytes of traceback)
+
+/**
+ * Find the diagonal (reference position minus query position) shared by most k-mers
+ * @param {string} query - Query sequence (upper case)
+ * @param {string} reference - Reference sequence (upper case)
+ * @param {number} k - k-mer length
+ * @returns {Object} { diagonal, votes } (diagonal 0 and no votes if nothing is shared)
+ */
+function findBestDiagonal(query, reference, k) {
+  const maxOccurrences = 8 // Repetitive k-mers say little about the diagonal
+  const index = new Map()
+  for (let j = 0; j + k <= reference.length; j++) {
+    const kmer = reference.slice(j, j + k)
+    if (kmer.includes('N')) continue
+    const positions = index.get(kmer)
+    if (!positions) index.set(kmer, [j])
+    else if (positions.length <= maxOccurrences) positions.push(j)
+  }
+
+  const step = Math.max(1, Math.floor(query.length / 5000))
+  const votes = new Map()
+  for (let i = 0; i + k <= query.length; i += step) {
+    const positions = index.get(query.slice(i, i + k))
+    if (!positions || positions.length > maxOccurrences) continue
+    for (const j of positions) {
+      votes.set(j - i, (votes.get(j - i) || 0) + 1)
+    }
+  }
+
+  let best = { diagonal: 0, votes: 0 }
+  votes.forEach((count, diagonal) => {
+    if (count > best.votes) best = { diagonal, votes: count }
+  })
+  return best
+}
+
+/**
+ * Align two nucleotide sequences
+ * @param {string} query - Query sequence (the uploaded one)
+ * @param {string} reference - Reference sequence (the similar match)
+ * @param {Object} options - Scoring and band options (see DEFAULT_ALIGNMENT_OPTIONS)
+ * @returns {Object} Alignment: { score, identity, matches, mismatches, ambiguous,
+ *   insertions, deletions, gapOpenings, columns, queryStart, queryEnd,
+ *   referenceStart, referenceEnd, queryLength, referenceLength, diagonal,
+ *   bandWidth, alignedQuery, alignedReference }. Positions are 0-based,
+ *   ends exclusive; insertions are query bases missing from the reference.
+ * @throws {Error} If a sequence is empty or the band is too large
+ */
+function alignSequences(query, reference, options = {}) {
+  const config = { ...DEFAULT_ALIGNMENT_OPTIONS, ...options }
+  const a = query.toUpperCase().replace(/U/g, 'T')
+  const b = reference.toUpperCase().replace(/U/g, 'T')
+  const n = a.length
+  const m = b.length
+  if (n === 0 || m === 0) throw new Error('Both sequences must be non-empty.')
+
+  const { diagonal } = findBestDiagonal(a, b, config.seedLength)
+  const w = config.bandWidth || Math.max(32, Math.ceil(Math.max(n, m) * 0.01))
+  const width = 2 * w + 1
+  if ((n + 1) * width > MAX_ALIGNMENT_CELLS) {
+    throw new Error(
+      `The sequences are too long to align here (${n.toLocaleString()} × ${width} band cells).`
+    )
+  }
+
+  const isBase = (char) =>
+    char === 'A' || char === 'C' || char === 'G' || char === 'T'
+  const NONE = -Infinity
+  const M = 0 // Base aligned with base
+  const X = 1 // Query base aligned with a gap (insertion)
+  const Y = 2 // Reference base aligned with a gap (deletion)
+
+  // Score rows over the band: cell (i, j) is at j - (i + diagonal - w)
+  let prevM = new Float64Array(width).fill(NONE)
+  let prevX = new Float64Array(width).fill(NONE)
+  let prevY = new Float64Array(width).fill(NONE)
+  let rowM = new Float64Array(width)
+  let rowX = new Float64Array(width)
+  let rowY = new Float64Array(width)
+  // Traceback: bits 0-1 source of M, bits 2-3 source of X, bits 4-5 source of Y
+  const traceback = new Uint8Array((n + 1) * width)
+
+  let best = { score: NONE, i: 0, j: 0, state: M }
+  const considerEnd = (score, i, j, state) => {
+    if (score > best.score) best = { score, i, j, state }
+  }
+
+  for (let i = 0; i <= n; i++) {
+    const bandStart = i + diagonal - w
+    rowM.fill(NONE)
+    rowX.fill(NONE)
+    rowY.fill(NONE)
+
+    for (let offset = 0; offset < width; offset++) {
+      const j = bandStart + offset
+      if (j < 0 || j > m) continue
+      // Free start anywhere on the first row or column
+      if (i === 0 || j === 0) {
+        rowM[offset] = 0
+        continue
+      }
+
+      let trace = 0
+
+      // M: from (i - 1, j - 1), same offset in the previous row
+      const pairScore =
+        a[i - 1] === b[j - 1] && isBase(a[i - 1])
+          ? config.match
+          : isBase(a[i - 1]) && isBase(b[j - 1])
+            ? config.mismatch
+            : config.ambiguous
+      let source = M
+      let value = prevM[offset]
+      if (prevX[offset] > value) {
+        value = prevX[offset]
+        source = X
+      }
+      if (prevY[offset] > value) {
+        value = prevY[offset]
+        source = Y
+      }
+      rowM[offset] = value + pairScore
+      trace |= source
+
+      // X: from (i - 1, j), offset + 1 in the previous row
+      if (offset + 1 < width) {
+        source = M
+        value = prevM[offset + 1] + config.gapOpen
+        if (prevX[offset + 1] + config.gapExtend > value) {
+          value = prevX[offset + 1] + config.gapExtend
+          source = X
+        }
+        if (prevY[offset + 1] + config.gapOpen > value) {
+          value = prevY[offset + 1] + config.gapOpen
+          source = Y
+        }
+        rowX[offset] = value
+        trace |= source << 2
+      }
+
+      // Y: from (i, j - 1), offset - 1 in this row
+      if (offset > 0) {
+        source = M
+        value = rowM[offset - 1] + config.gapOpen
+        if (rowY[offset - 1] + config.gapExtend > value) {
+          value = rowY[offset - 1] + config.gapExtend
+          source = Y
+        }
+        if (rowX[offset - 1] + config.gapOpen > value) {
+          value = rowX[offset - 1] + config.gapOpen
+          source = X
+        }
+        rowY[offset] = value
+        trace |= source << 4
+      }
+
+      traceback[i * width + offset] = trace
+
+      // Free end anywhere on the last row or column
+      if (i === n || j === m) {
+        considerEnd(rowM[offset], i, j, M)
+        considerEnd(rowX[offset], i, j, X)
+        considerEnd(rowY[offset], i, j, Y)
+      }
+    }
+
+    ;[prevM, rowM] = [rowM, prevM]
+    ;[prevX, rowX] = [rowX, prevX]
+    ;[prevY, rowY] = [rowY, prevY]
+  }
+
+  if (best.score === NONE || best.i === 0 || best.j === 0) {
+    throw new Error('The sequences do not overlap within the alignment band.')
+  }
+
+  // Trace back to the first row or column
+  const queryColumns = []
+  const referenceColumns = []
+  let { i, j, state } = best
+  const queryEnd = i
+  const referenceEnd = j
+  while (i > 0 && j > 0) {
+    const trace = traceback[i * width + (j - (i + diagonal - w))]
+    if (state === M) {
+      queryColumns.push(a[i - 1])
+      referenceColumns.push(b[j - 1])
+      state = trace & 3
+      i--
+      j--
+    } else if (state === X) {
+      queryColumns.push(a[i - 1])
+      referenceColumns.push('-')
+      state = (trace >> 2) & 3
+      i--
+    } else {
+      queryColumns.push('-')
+      referenceColumns.push(b[j - 1])
+      state = (trace >> 4) & 3
+      j--
+    }
+  }
+  const alignedQuery = queryColumns.reverse().join('')
+  const alignedReference = referenceColumns.reverse().join('')
+
+  let matches = 0
+  let mismatches = 0
+  let ambiguous = 0
+  let insertions = 0
+  let deletions = 0
+  let gapOpenings = 0
+  for (let column = 0; column < alignedQuery.length; column++) {
+    const q = alignedQuery[column]
+    const r = alignedReference[column]
+    if (q === '-' || r === '-') {
+      if (q === '-') deletions++
+      else insertions++
+      const previousQ = alignedQuery[column - 1]
+      const previousR = alignedReference[column - 1]
+      if (
+        column === 0 ||
+        (q === '-' ? previousQ !== '-' : previousR !== '-')
+      ) {
+        gapOpenings++
+      }
+    } else if (!isBase(q) || !isBase(r)) ambiguous++
+    else if (q === r) matches++
+    else mismatches++
+  }
+  const columns = alignedQuery.length
+
+  return {
+    score: best.score,
+    identity: columns ? matches / columns : 0,
+    matches,
+    mismatches,
+    ambiguous,
+    insertions,
+    deletions,
+    gapOpenings,
+    columns,
+    queryStart: i,
+    queryEnd,
+    referenceStart: j,
+    referenceEnd,
+    queryLength: n,
+    referenceLength: m,
+    diagonal,
+    bandWidth: w,
+    alignedQuery,
+    alignedReference,
+  }
+}
+
+/**
+ * Build the Web Worker source from the alignment functions
+ * @returns {string} Worker script
+ */
+function createWorkerSource() {
+  return `
+const DEFAULT_ALIGNMENT_OPTIONS = ${JSON.stringify(DEFAULT_ALIGNMENT_OPTIONS)};
+const MAX_ALIGNMENT_CELLS = ${MAX_ALIGNMENT_CELLS};
+${findBestDiagonal.toString()}
+${alignSequences.toString()}
+self.onmessage = (event) => {
+  const { id, query, reference, options } = event.data;
+  try {
+    self.postMessage({ id, alignment: alignSequences(query, reference, options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
+`
+}
+
+let worker = null
+let workerUrl = null
+let requestCounter = 0
+const pendingAlignments = new Map() // Request id -> { resolve, reject }
+
+/**
+ * Stop the worker and reject its pending alignments
+ * @param {*} reason - Rejection reason
+ */
+function stopWorker(reason) {
+  worker?.terminate()
+  worker = null
+  pendingAlignments.forEach(({ reject }) => reject(reason))
+  pendingAlignments.clear()
+}
+
+/**
+ * Get the alignment worker (created on first use)
+ * @returns {Worker|null} Worker, or null if the browser can't run one
+ */
+function getWorker() {
+  if (worker) return worker
+  if (typeof Worker === 'undefined' || typeof URL.createObjectURL !== 'function') {
+    return null
+  }
+  try {
+    if (!workerUrl) {
+      workerUrl = URL.createObjectURL(
+        new Blob([createWorkerSource()], { type: 'text/javascript' })
+      )
+    }
+    worker = new Worker(workerUrl)
+  } catch (error) {
+    console.warn('Alignment worker unavailable, aligning on the main thread:', error)
+    return null
+  }
+  worker.onmessage = (event) => {
+    const { id, alignment, error } = event.data
+    const pending = pendingAlignments.get(id)
+    if (!pending) return
+    pendingAlignments.delete(id)
+    if (error) pending.reject(new Error(error))
+    else pending.resolve(alignment)
+  }
+  worker.onerror = (event) => {
+    event.preventDefault()
+    stopWorker(new Error(event.message || 'Alignment worker failed'))
+  }
+  return worker
+}
+
+/**
+ * Align two sequences off the main thread (on it if workers are unavailable)
+ * @param {string} query - Query sequence
+ * @param {string} reference - Reference sequence
+ * @param {Object} options - Alignment options, plus:
+ * @param {AbortSignal} options.signal - Cancels the alignment (the worker is restarted)
+ * @returns {Promise<Object>} Result of alignSequences
+ */
+function alignInWorker(query, reference, { signal, ...options } = {}) {
+  if (signal?.aborted) return Promise.reject(signal.reason)
+  const alignmentWorker = getWorker()
+  if (!alignmentWorker) {
+    return new Promise((resolve) => setTimeout(resolve, 0)).then(() =>
+      alignSequences(query, reference, options)
+    )
+  }
+
+  const id = ++requestCounter
+  return new Promise((resolve, reject) => {
+    pendingAlignments.set(id, { resolve, reject })
+    signal?.addEventListener(
+      'abort',
+      () => {
+        // A running alignment can't be interrupted; restart the worker
+        if (pendingAlignments.has(id)) stopWorker(signal.reason)
+      },
+      { once: true }
+    )
+    alignmentWorker.postMessage({ id, query, reference, options })
+  })
+}
+
+export {
+  DEFAULT_ALIGNMENT_OPTIONS,
+  findBestDiagonal,
+  alignSequences,
+  alignInWorker,
+}
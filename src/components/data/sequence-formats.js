@@ -0,0 +1,235 @@
+/**
+ * Sequence file formats
+ * Reads FASTA, FASTQ and GenBank flat files (optionally gzip-compressed) and
+ * normalizes their records into the { header, sequence } shape of
+ * parseFastaContent. GenBank records also carry their source metadata
+ * (accession, country, collection date, host) in the reference metadata shape.
+ */
+
+// Accepted extensions per format (each may be followed by .gz)
+const SEQUENCE_FORMATS = {
+  fasta: {
+    label: 'FASTA',
+    extensions: ['.fasta', '.fa', '.fna', '.fas', '.ffn'],
+  },
+  fastq: { label: 'FASTQ', extensions: ['.fastq', '.fq'] },
+  genbank: {
+    label: 'GenBank',
+    extensions: ['.gb', '.gbk', '.gbff', '.genbank'],
+  },
+}
+
+const GZIP_EXTENSION = '.gz'
+
+// GenBank source qualifiers kept as metadata
+const GENBANK_QUALIFIERS = [
+  'organism',
+  'strain',
+  'isolate',
+  'host',
+  'country',
+  'geo_loc_name',
+  'collection_date',
+]
+
+/**
+ * All accepted file extensions, for the file input's accept attribute
+ * @returns {Array<string>} e.g. ['.fasta', '.fasta.gz', ...]
+ */
+function getSequenceFileExtensions() {
+  return Object.values(SEQUENCE_FORMATS).flatMap(({ extensions }) =>
+    extensions.flatMap((ext) => [ext, ext + GZIP_EXTENSION])
+  )
+}
+
+/**
+ * Whether a file name has an accepted sequence file extension
+ * @param {string} fileName - File name
+ * @returns {boolean} True if the extension is accepted
+ */
+function isSequenceFileName(fileName) {
+  const name = fileName.toLowerCase()
+  return getSequenceFileExtensions().some((ext) => name.endsWith(ext))
+}
+
+/**
+ * Detect the format of a sequence file from its content, falling back to the extension
+ * @param {string} fileName - File name
+ * @param {string} content - Decompressed file content
+ * @returns {string} 'fasta', 'fastq' or 'genbank'
+ */
+function detectSequenceFormat(fileName, content) {
+  const start = content.trimStart()
+  if (start.startsWith('>')) return 'fasta'
+  if (start.startsWith('@')) return 'fastq'
+  if (start.startsWith('LOCUS')) return 'genbank'
+
+  const name = fileName.toLowerCase().replace(/\.gz$/, '')
+  const format = Object.keys(SEQUENCE_FORMATS).find((key) =>
+    SEQUENCE_FORMATS[key].extensions.some((ext) => name.endsWith(ext))
+  )
+  return format || 'fasta'
+}
+
+/**
+ * Read a file as text, decompressing gzip content (detected by its magic bytes)
+ * @param {File} file - File to read
+ * @returns {Promise<Object>} { content, compressed }
+ */
+async function readSequenceText(file) {
+  const magic = new Uint8Array(await file.slice(0, 2).arrayBuffer())
+  const compressed = magic[0] === 0x1f && magic[1] === 0x8b
+  if (!compressed) return { content: await file.text(), compressed }
+
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('This browser cannot decompress gzip files.')
+  }
+  const stream = file.stream().pipeThrough(new DecompressionStream('gzip'))
+  return { content: await new Response(stream).text(), compressed }
+}
+
+/**
+ * Parse FASTQ content, discarding the quality scores
+ * @param {string} content - FASTQ content
+ * @returns {Array<Object>} Records { header, sequence }
+ */
+function parseFastqContent(content) {
+  const records = []
+  const lines = content.split(/\r?\n/)
+  let i = 0
+
+  while (i < lines.length) {
+    const headerLine = lines[i].trim()
+    i++
+    if (!headerLine.startsWith('@')) continue
+
+    // Sequence lines run until the "+" separator
+    let sequence = ''
+    while (i < lines.length && !lines[i].startsWith('+')) {
+      sequence += lines[i].trim()
+      i++
+    }
+    i++ // Skip the separator
+
+    // Quality lines have as many characters as the sequence (and may start with "@")
+    let qualityLength = 0
+    while (i < lines.length && qualityLength < sequence.length) {
+      qualityLength += lines[i].trim().length
+      i++
+    }
+
+    records.push({ header: headerLine.substring(1).trim(), sequence })
+  }
+
+  return records
+}
+
+/**
+ * Read the qualifiers of the "source" feature of a GenBank record
+ * @param {Array<string>} featureLines - Lines of the FEATURES table
+ * @returns {Object} Qualifier name → value
+ */
+function readSourceQualifiers(featureLines) {
+  const start = featureLines.findIndex((line) => /^ {5}source\s/.test(line))
+  if (start === -1) return {}
+
+  let end = start + 1
+  while (end < featureLines.length && !/^ {5}\S/.test(featureLines[end])) end++
+
+  const text = featureLines
+    .slice(start + 1, end)
+    .map((line) => line.trim())
+    .join(' ')
+  const qualifiers = {}
+  for (const match of text.matchAll(/\/(\w+)="([^"]*)"/g)) {
+    if (GENBANK_QUALIFIERS.includes(match[1]) && !(match[1] in qualifiers)) {
+      qualifiers[match[1]] = match[2].replace(/\s+/g, ' ').trim()
+    }
+  }
+  return qualifiers
+}
+
+/**
+ * Convert GenBank source qualifiers into the metadata shape of reference sequences
+ * @param {string} accession - Accession (with version if known)
+ * @param {Object} qualifiers - Source qualifiers
+ * @returns {Object} { accessions, country, location, collection_date, first_year, host, organism, strain }
+ */
+function toSequenceMetadata(accession, qualifiers) {
+  // /geo_loc_name replaced /country in 2024; both read "Country: region"
+  const location = qualifiers.geo_loc_name || qualifiers.country || null
+  const year = qualifiers.collection_date?.match(/\b(\d{4})\b/)?.[1]
+  return {
+    accessions: accession ? [accession] : [],
+    country: location ? location.split(':')[0].trim() : null,
+    location,
+    collection_date: qualifiers.collection_date || null,
+    first_year: year ? Number(year) : null,
+    host: qualifiers.host || null,
+    organism: qualifiers.organism || null,
+    strain: qualifiers.strain || qualifiers.isolate || null,
+  }
+}
+
+/**
+ * Parse GenBank flat file content
+ * @param {string} content - GenBank content (one or more records ending with "//")
+ * @returns {Array<Object>} Records { header, sequence, metadata }
+ */
+function parseGenBankContent(content) {
+  const records = []
+
+  content.split(/^\/\/\s*$/m).forEach((block) => {
+    const lines = block.split(/\r?\n/)
+    const locusIndex = lines.findIndex((line) => line.startsWith('LOCUS'))
+    if (locusIndex === -1) return
+
+    // Top-level fields start at column 0; continuation lines are indented
+    const fields = {}
+    let field = null
+    let section = null
+    const featureLines = []
+    let sequence = ''
+
+    lines.slice(locusIndex).forEach((line) => {
+      if (section === 'ORIGIN') {
+        sequence += line.replace(/[\d\s]/g, '')
+      } else if (/^[A-Z]/.test(line)) {
+        field = line.slice(0, 12).trim()
+        section = field
+        fields[field] = fields[field] ?? line.slice(12).trim()
+      } else if (section === 'FEATURES') {
+        featureLines.push(line)
+      } else if (field && line.startsWith(' '.repeat(12))) {
+        fields[field] += ` ${line.trim()}`
+      }
+    })
+
+    const accession =
+      fields.VERSION?.split(/\s+/)[0] ||
+      fields.ACCESSION?.split(/\s+/)[0] ||
+      fields.LOCUS?.split(/\s+/)[0] ||
+      ''
+    const definition = (fields.DEFINITION || '').replace(/\.$/, '')
+    records.push({
+      header: [accession, definition].filter(Boolean).join(' '),
+      sequence: sequence.toUpperCase(),
+      metadata: toSequenceMetadata(
+        accession,
+        readSourceQualifiers(featureLines)
+      ),
+    })
+  })
+
+  return records
+}
+
+export {
+  SEQUENCE_FORMATS,
+  getSequenceFileExtensions,
+  isSequenceFileName,
+  detectSequenceFormat,
+  readSequenceText,
+  parseFastqContent,
+  parseGenBankContent,
+}
@@ -0,0 +1,193 @@
+/**
+ * Sequence statistics
+ * Base composition of nucleotide sequences (length, GC content, ambiguous
+ * bases) for the upload preview, and the fuller sequence profile (N runs,
+ * k-mer composition, sliding-window GC) shown after upload
+ */
+
+const BASES = ['A', 'C', 'G', 'T']
+// IUPAC ambiguity codes (N = any base)
+const AMBIGUOUS_BASES = ['R', 'Y', 'S', 'W', 'K', 'M', 'B', 'D', 'H', 'V', 'N']
+const DEFAULT_KMER_SIZE = 3
+const TARGET_GC_WINDOWS = 200 // Default window size aims for about this many windows
+const MIN_GC_WINDOW_SIZE = 20
+
+/**
+ * Compute the base composition of a sequence
+ * @param {string} sequence - Nucleotide sequence (case-insensitive, U counts as T)
+ * @returns {Object} { length, gcContent, nCount, composition: { A, C, G, T, other } }.
+ *   gcContent is the G+C fraction of the unambiguous bases (null if there are none).
+ */
+function computeSequenceStats(sequence) {
+  const composition = { A: 0, C: 0, G: 0, T: 0, other: 0 }
+  let nCount = 0
+
+  for (const char of sequence.toUpperCase()) {
+    const base = char === 'U' ? 'T' : char
+    if (base in composition && base !== 'other') composition[base]++
+    else composition.other++
+    if (base === 'N') nCount++
+  }
+
+  const acgt = BASES.reduce((sum, base) => sum + composition[base], 0)
+  return {
+    length: sequence.length,
+    gcContent: acgt > 0 ? (composition.G + composition.C) / acgt : null,
+    nCount,
+    composition,
+  }
+}
+
+/**
+ * Count the IUPAC ambiguity codes in a sequence
+ * @param {string} sequence - Nucleotide sequence
+ * @returns {Object} Code → count, for the codes that occur
+ */
+function countAmbiguousBases(sequence) {
+  const counts = {}
+  for (const char of sequence.toUpperCase()) {
+    if (AMBIGUOUS_BASES.includes(char)) counts[char] = (counts[char] || 0) + 1
+  }
+  return counts
+}
+
+/**
+ * Find the longest run of one character
+ * @param {string} sequence - Nucleotide sequence
+ * @param {string} base - Character to look for (default: 'N')
+ * @returns {Object} { length, start } (start is 0-based, null if the base doesn't occur)
+ */
+function findLongestRun(sequence, base = 'N') {
+  const upper = sequence.toUpperCase()
+  let longest = { length: 0, start: null }
+  let runStart = -1
+  for (let i = 0; i <= upper.length; i++) {
+    if (i < upper.length && upper[i] === base) {
+      if (runStart === -1) runStart = i
+    } else if (runStart !== -1) {
+      if (i - runStart > longest.length) {
+        longest = { length: i - runStart, start: runStart }
+      }
+      runStart = -1
+    }
+  }
+  return longest
+}
+
+/**
+ * Count the k-mers of a sequence (k-mers containing other characters than A/C/G/T are skipped)
+ * @param {string} sequence - Nucleotide sequence (U counts as T)
+ * @param {number} k - k-mer length (default: 3)
+ * @returns {Object} { k, total, distinct, possible, counts: [{ kmer, count, fraction }] } (most frequent first)
+ */
+function countKmers(sequence, k = DEFAULT_KMER_SIZE) {
+  const upper = sequence.toUpperCase().replace(/U/g, 'T')
+  const counts = new Map()
+  let total = 0
+  let validRun = 0 // Length of the A/C/G/T stretch ending at i
+  for (let i = 0; i < upper.length; i++) {
+    validRun = BASES.includes(upper[i]) ? validRun + 1 : 0
+    if (validRun >= k) {
+      const kmer = upper.slice(i - k + 1, i + 1)
+      counts.set(kmer, (counts.get(kmer) || 0) + 1)
+      total++
+    }
+  }
+  return {
+    k,
+    total,
+    distinct: counts.size,
+    possible: Math.pow(4, k),
+    counts: [...counts.entries()]
+      .map(([kmer, count]) => ({ kmer, count, fraction: count / total }))
+      .sort((a, b) => b.count - a.count || a.kmer.localeCompare(b.kmer)),
+  }
+}
+
+/**
+ * Compute the GC content in sliding windows
+ * @param {string} sequence - Nucleotide sequence
+ * @param {Object} options - Window options
+ * @param {number} options.windowSize - Window length in bases (default: about TARGET_GC_WINDOWS windows)
+ * @param {number} options.step - Distance between window starts (default: half a window)
+ * @returns {Object} { windowSize, step, windows: [{ start, end, gc }] }.
+ *   gc is the G+C fraction of the window's unambiguous bases (null if there are none).
+ */
+function computeGcWindows(sequence, options = {}) {
+  const length = sequence.length
+  const windowSize = Math.min(
+    length,
+    options.windowSize ||
+      Math.max(MIN_GC_WINDOW_SIZE, Math.round(length / TARGET_GC_WINDOWS))
+  )
+  const step = options.step || Math.max(1, Math.floor(windowSize / 2))
+
+  // Prefix sums of G/C and of all unambiguous bases
+  const upper = sequence.toUpperCase()
+  const gcSums = new Uint32Array(length + 1)
+  const acgtSums = new Uint32Array(length + 1)
+  for (let i = 0; i < length; i++) {
+    const char = upper[i]
+    const isGc = char === 'G' || char === 'C'
+    const isAt = char === 'A' || char === 'T' || char === 'U'
+    gcSums[i + 1] = gcSums[i] + (isGc ? 1 : 0)
+    acgtSums[i + 1] = acgtSums[i] + (isGc || isAt ? 1 : 0)
+  }
+
+  const windows = []
+  for (let start = 0; start + windowSize <= length; start += step) {
+    const end = start + windowSize
+    const acgt = acgtSums[end] - acgtSums[start]
+    windows.push({
+      start,
+      end,
+      gc: acgt > 0 ? (gcSums[end] - gcSums[start]) / acgt : null,
+    })
+  }
+  // Cover the tail of the sequence with a last full window
+  const lastEnd = windows.length ? windows[windows.length - 1].end : 0
+  if (length > 0 && lastEnd < length) {
+    const start = length - windowSize
+    const acgt = acgtSums[length] - acgtSums[start]
+    windows.push({
+      start,
+      end: length,
+      gc: acgt > 0 ? (gcSums[length] - gcSums[start]) / acgt : null,
+    })
+  }
+
+  return { windowSize, step, windows }
+}
+
+/**
+ * Compute the full profile of a sequence
+ * @param {string} sequence - Nucleotide sequence
+ * @param {Object} options - Profile options
+ * @param {number} options.k - k-mer length (default: 3)
+ * @param {number} options.windowSize - GC window length (see computeGcWindows)
+ * @param {number} options.step - GC window step (see computeGcWindows)
+ * @returns {Object} computeSequenceStats fields plus { ambiguous, ambiguousCount, longestNRun, kmers, gcWindows }
+ */
+function computeSequenceProfile(sequence, options = {}) {
+  const { k = DEFAULT_KMER_SIZE, windowSize, step } = options
+  const ambiguous = countAmbiguousBases(sequence)
+  return {
+    ...computeSequenceStats(sequence),
+    ambiguous,
+    ambiguousCount: Object.values(ambiguous).reduce((sum, n) => sum + n, 0),
+    longestNRun: findLongestRun(sequence, 'N'),
+    kmers: countKmers(sequence, k),
+    gcWindows: computeGcWindows(sequence, { windowSize, step }),
+  }
+}
+
+export {
+  BASES,
+  AMBIGUOUS_BASES,
+  computeSequenceStats,
+  countAmbiguousBases,
+  findLongestRun,
+  countKmers,
+  computeGcWindows,
+  computeSequenceProfile,
+}
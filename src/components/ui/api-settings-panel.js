@@ -0,0 +1,257 @@
+/**
+ * API settings panel
+ * Lets the user pick the API environment profile and override its base URL,
+ * choose the data source (live, mock, recorded) and show/clear the persistent API cache
+ */
+
+import {
+  getApiConfig,
+  getApiProfiles,
+  setApiProfile,
+  resetApiProfile,
+} from '../data/api-config.js'
+import { refreshCacheStats, purgeCache } from '../data/api-cache.js'
+import { DATA_MODES, getDataMode, setDataMode } from '../data/data-mode.js'
+import { getLoadedRecording } from '../data/api-recorder.js'
+import { escapeHtml } from './html-utils.js'
+
+/**
+ * Creates a modal dialog for selecting the API environment profile
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onSave - Callback after settings are saved, receives (config, dataMode)
+ * @param {Function} options.onCancel - Callback when the panel is closed without saving
+ * @param {Function} options.onCachePurged - Callback after the cache is cleared, receives the number of entries removed
+ * @returns {Object} Modal controller object
+ */
+function createApiSettingsPanel(options = {}) {
+  const current = getApiConfig()
+  const currentMode = getDataMode()
+
+  // Create modal container
+  const modalContainer = document.createElement('div')
+  modalContainer.className = 'api-settings-modal-container'
+  modalContainer.style.position = 'fixed'
+  modalContainer.style.top = '0'
+  modalContainer.style.left = '0'
+  modalContainer.style.width = '100%'
+  modalContainer.style.height = '100%'
+  modalContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.5)'
+  modalContainer.style.display = 'flex'
+  modalContainer.style.justifyContent = 'center'
+  modalContainer.style.alignItems = 'center'
+  modalContainer.style.zIndex = '1000'
+
+  // Create modal content
+  const modalContent = document.createElement('div')
+  modalContent.className = 'api-settings-modal-content'
+  modalContent.style.backgroundColor = 'white'
+  modalContent.style.borderRadius = '5px'
+  modalContent.style.padding = '20px'
+  modalContent.style.width = '480px'
+  modalContent.style.maxWidth = '90%'
+  modalContent.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.1)'
+
+  const profileOptions = getApiProfiles()
+    .map(
+      (profile) =>
+        `<option value="${escapeHtml(profile.name)}" ${
+          profile.name === current.profile ? 'selected' : ''
+        }>${escapeHtml(profile.label)} (${escapeHtml(profile.baseUrl)})</option>`
+    )
+    .join('')
+
+  const dataModeOptions = Object.entries(DATA_MODES)
+    .map(([name, mode]) => {
+      // Replay needs a recorded session (loaded with "Replay Recording")
+      const disabled = name === 'recorded' && !getLoadedRecording()
+      return `<option value="${name}" ${
+        name === currentMode.mode ? 'selected' : ''
+      } ${disabled ? 'disabled' : ''}>${mode.label}${
+        disabled ? ' (no recording loaded)' : ''
+      }</option>`
+    })
+    .join('')
+
+  const baseUrlOverride =
+    current.baseUrl !==
+    getApiProfiles().find((p) => p.name === current.profile)?.baseUrl
+      ? current.baseUrl
+      : ''
+
+  modalContent.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+      <h3 style="margin: 0;">API Settings</h3>
+      <button class="api-settings-close" style="background: none; border: none; font-size: 24px; cursor: pointer; padding: 0; line-height: 1;">&times;</button>
+    </div>
+    <div style="margin-bottom: 16px;">
+      <label for="api-profile-select" style="display: block; margin-bottom: 5px; font-weight: bold;">Environment:</label>
+      <select id="api-profile-select" style="width: 100%; padding: 8px; border-radius: 4px; border: 1px solid #ccc;">
+        ${profileOptions}
+      </select>
+    </div>
+    <div style="margin-bottom: 16px;">
+      <label for="api-base-url-input" style="display: block; margin-bottom: 5px; font-weight: bold;">Base URL override (optional):</label>
+      <input id="api-base-url-input" type="url" value="${escapeHtml(
+        baseUrlOverride
+      )}" placeholder="e.g. http://localhost:8000/api/v1"
+        style="width: 100%; padding: 8px; border-radius: 4px; border: 1px solid #ccc; box-sizing: border-box;">
+    </div>
+    <div style="display: flex; gap: 10px; margin-bottom: 16px;">
+      <div style="flex: 1;">
+        <label for="data-mode-select" style="display: block; margin-bottom: 5px; font-weight: bold;">Data source:</label>
+        <select id="data-mode-select" style="width: 100%; padding: 8px; border-radius: 4px; border: 1px solid #ccc;">
+          ${dataModeOptions}
+        </select>
+      </div>
+      <div class="mock-seed-field" style="width: 120px;">
+        <label for="mock-seed-input" style="display: block; margin-bottom: 5px; font-weight: bold;">Mock seed:</label>
+        <input id="mock-seed-input" type="number" step="1" value="${currentMode.seed}"
+          style="width: 100%; padding: 8px; border-radius: 4px; border: 1px solid #ccc; box-sizing: border-box;">
+      </div>
+    </div>
+    <div class="data-mode-description" style="font-size: 0.875rem; color: #6c757d; margin-bottom: 16px;"></div>
+    <div style="font-size: 0.875rem; color: #6c757d; margin-bottom: 20px;">
+      Active: <strong>${escapeHtml(current.profile)}</strong> &middot; ${escapeHtml(
+        current.baseUrl
+      )} &middot; source: ${escapeHtml(current.source)}
+      ${
+        current.source === 'url'
+          ? '<div style="color: #856404; margin-top: 4px;">The URL parameter takes priority over saved settings on reload.</div>'
+          : ''
+      }
+      ${
+        current.ignoredBaseUrl
+          ? '<div class="api-ignored-base-url" style="color: #856404; margin-top: 4px;"></div>'
+          : ''
+      }
+    </div>
+    <div style="border-top: 1px solid #eee; padding-top: 12px; margin-bottom: 20px;">
+      <div style="display: flex; justify-content: space-between; align-items: center; gap: 10px;">
+        <div>
+          <div style="font-weight: bold; margin-bottom: 4px;">Local cache</div>
+          <div class="api-cache-stats" style="font-size: 0.875rem; color: #6c757d;">Loading cache statistics...</div>
+        </div>
+        <button class="api-cache-purge btn btn-secondary" style="padding: 6px 12px; border-radius: 4px; border: 1px solid #ccc; background-color: #f8f9fa; cursor: pointer; white-space: nowrap;">Clear cache</button>
+      </div>
+    </div>
+    <div style="display: flex; justify-content: space-between; gap: 10px;">
+      <button class="api-settings-reset btn btn-secondary" style="padding: 8px 16px; border-radius: 4px; border: 1px solid #ccc; background-color: #f8f9fa; cursor: pointer;">Reset to default</button>
+      <div style="display: flex; gap: 10px;">
+        <button class="api-settings-cancel btn btn-secondary" style="padding: 8px 16px; border-radius: 4px; border: 1px solid #ccc; background-color: #f8f9fa; cursor: pointer;">Cancel</button>
+        <button class="api-settings-save btn btn-primary" style="padding: 8px 16px; border-radius: 4px; border: none; background-color: #007bff; color: white; cursor: pointer;">Save</button>
+      </div>
+    </div>
+  `
+
+  modalContainer.appendChild(modalContent)
+  document.body.appendChild(modalContainer)
+
+  const profileSelect = modalContent.querySelector('#api-profile-select')
+  const baseUrlInput = modalContent.querySelector('#api-base-url-input')
+  const cacheStatsElement = modalContent.querySelector('.api-cache-stats')
+  const dataModeSelect = modalContent.querySelector('#data-mode-select')
+  const seedInput = modalContent.querySelector('#mock-seed-input')
+
+  // The ignored link URL is shown as text: it comes from whoever wrote the link
+  const ignoredBaseUrlElement = modalContent.querySelector(
+    '.api-ignored-base-url'
+  )
+  if (ignoredBaseUrlElement) {
+    ignoredBaseUrlElement.textContent = `The link's base URL (${current.ignoredBaseUrl}) was ignored because it isn't a known API host. Enter it above and save to use it.`
+  }
+
+  // Describe the selected data source; the seed only applies to mock data
+  function renderDataModeDetails() {
+    const mode = dataModeSelect.value
+    modalContent.querySelector('.data-mode-description').textContent =
+      DATA_MODES[mode].description
+    modalContent.querySelector('.mock-seed-field').style.visibility =
+      mode === 'mock' ? 'visible' : 'hidden'
+  }
+  renderDataModeDetails()
+  dataModeSelect.addEventListener('change', renderDataModeDetails)
+
+  // Show persistent cache statistics
+  async function renderCacheStats() {
+    const stats = await refreshCacheStats()
+    cacheStatsElement.textContent = `${stats.entries} entries · ${(
+      stats.bytes /
+      (1024 * 1024)
+    ).toFixed(1)} MB · ${stats.hits} hits / ${stats.misses} misses (${(
+      stats.hitRate * 100
+    ).toFixed(0)}%) · ${stats.backend}`
+  }
+  renderCacheStats()
+
+  modalContent
+    .querySelector('.api-cache-purge')
+    .addEventListener('click', async () => {
+      const removed = await purgeCache()
+      if (options.onCachePurged) options.onCachePurged(removed)
+      renderCacheStats()
+    })
+
+  function cancel() {
+    if (options.onCancel) options.onCancel()
+    closeModal()
+  }
+
+  modalContent
+    .querySelector('.api-settings-close')
+    .addEventListener('click', cancel)
+  modalContent
+    .querySelector('.api-settings-cancel')
+    .addEventListener('click', cancel)
+
+  modalContent
+    .querySelector('.api-settings-save')
+    .addEventListener('click', () => {
+      const baseUrl = baseUrlInput.value.trim()
+      if (baseUrl) {
+        try {
+          new URL(baseUrl)
+        } catch (e) {
+          alert('Base URL must be a valid absolute URL.')
+          baseUrlInput.focus()
+          return
+        }
+      }
+      const seed = parseInt(seedInput.value, 10)
+      if (dataModeSelect.value === 'mock' && Number.isNaN(seed)) {
+        alert('Mock seed must be a whole number.')
+        seedInput.focus()
+        return
+      }
+      const config = setApiProfile(
+        profileSelect.value,
+        baseUrl ? { baseUrl } : {}
+      )
+      const dataMode = setDataMode(dataModeSelect.value, {
+        seed: Number.isNaN(seed) ? undefined : seed,
+      })
+      if (options.onSave) options.onSave(config, dataMode)
+      closeModal()
+    })
+
+  modalContent
+    .querySelector('.api-settings-reset')
+    .addEventListener('click', () => {
+      const config = resetApiProfile()
+      if (options.onSave) options.onSave(config)
+      closeModal()
+    })
+
+  // Close modal function
+  function closeModal() {
+    if (modalContainer.parentNode) {
+      document.body.removeChild(modalContainer)
+    }
+  }
+
+  // Return controller object
+  return {
+    close: closeModal,
+  }
+}
+
+export { createApiSettingsPanel }
@@ -0,0 +1,100 @@
+/**
+ * Batch panel
+ * Lists the sequences of a multi-record FASTA upload with their marker,
+ * job status and a button to show each sequence's similar sequences
+ */
+
+import { markerSwatch } from '../visualizations/sequence-markers.js'
+import { escapeHtml } from './html-utils.js'
+
+const STATUS_LABELS = {
+  submitting: 'Submitting',
+  pending: 'Pending',
+  running: 'Running',
+  completed: 'Completed',
+  failed: 'Failed',
+}
+
+/**
+ * Summarize the status of a batch
+ * @param {Array<Object>} entries - Batch entries { status }
+ * @returns {Object} { total, completed, failed, done }
+ */
+function summarizeBatch(entries) {
+  const completed = entries.filter((e) => e.status === 'completed').length
+  const failed = entries.filter((e) => e.status === 'failed').length
+  return {
+    total: entries.length,
+    completed,
+    failed,
+    done: completed + failed === entries.length,
+  }
+}
+
+/**
+ * Creates the batch sequence list
+ * @param {string} containerId - ID of the element to render into
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onSelect - Called with the entry index when "Show matches" is clicked
+ * @returns {Object|null} Panel controller { update, clear }, or null if the container is missing
+ */
+function createBatchPanel(containerId, options = {}) {
+  const container = document.getElementById(containerId)
+  if (!container) {
+    console.error(`Batch panel container #${containerId} not found`)
+    return null
+  }
+
+  container.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-batch-index]')
+    if (!button || button.disabled) return
+    const index = Number(button.dataset.batchIndex)
+    console.log(`🧬 Batch sequence ${index} selected`)
+    if (options.onSelect) options.onSelect(index)
+  })
+
+  return {
+    /**
+     * Render the batch entries
+     * @param {Array<Object>} entries - Entries { index, label, header, length, marker, status, error }
+     * @param {number|null} activeIndex - Entry whose matches are displayed
+     */
+    update(entries, activeIndex = null) {
+      const summary = summarizeBatch(entries)
+      container.innerHTML = `
+        <p class="batch-summary text-xs text-gray-500">${summary.completed} of ${summary.total} completed${
+          summary.failed ? `, ${summary.failed} failed` : ''
+        }</p>
+        <ul class="batch-list">
+          ${entries
+            .map(
+              (entry) => `
+            <li class="batch-item${entry.index === activeIndex ? ' active' : ''}" data-status="${entry.status}">
+              <span class="batch-marker">${markerSwatch(entry.marker)}</span>
+              <span class="batch-label" title="${escapeHtml(entry.header)}">${escapeHtml(entry.label)}</span>
+              <span class="batch-length text-xs text-gray-500">${entry.length.toLocaleString()} bp</span>
+              <span class="batch-status" title="${escapeHtml(entry.error || '')}">${
+                STATUS_LABELS[entry.status] || entry.status
+              }</span>
+              <button class="btn btn-sm btn-outline-secondary" data-batch-index="${entry.index}" ${
+                entry.status !== 'completed' || entry.index === activeIndex
+                  ? 'disabled'
+                  : ''
+              }>${entry.index === activeIndex ? 'Shown' : 'Show matches'}</button>
+            </li>`
+            )
+            .join('')}
+        </ul>
+      `
+    },
+
+    /**
+     * Remove all entries
+     */
+    clear() {
+      container.innerHTML = ''
+    },
+  }
+}
+
+export { summarizeBatch, createBatchPanel }
@@ -0,0 +1,276 @@
+/**
+ * API credentials panel
+ * Lets the user enter and validate the API key, see which key is active
+ * (masked), choose whether it is remembered in this browser, and forget it
+ */
+
+import {
+  PERSISTENCE_OPTIONS,
+  getApiKey,
+  getApiKeyStatus,
+  setApiKey,
+  clearApiKey,
+} from '../data/api-credentials.js'
+import { validateApiKey } from '../data/api-service.js'
+import { getDataMode } from '../data/data-mode.js'
+
+/**
+ * Describe the active key for the panel's status line
+ * @param {Object} status - Result of getApiKeyStatus
+ * @returns {string} HTML markup
+ */
+function describeKeyStatus(status) {
+  if (!status.hasKey) return 'No API key set.'
+  const validated = status.validatedAt
+    ? `validated ${new Date(status.validatedAt).toLocaleString()}`
+    : 'not validated'
+  return `Active key: <code>${status.masked}</code> &middot; ${validated} &middot; remembered: ${
+    PERSISTENCE_OPTIONS[status.persistence].label.toLowerCase()
+  }`
+}
+
+/**
+ * Creates a modal dialog for managing the API key
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onSave - Callback after a key is saved, receives the key status
+ * @param {Function} options.onForget - Callback after the key is forgotten
+ * @param {Function} options.onCancel - Callback when the panel is closed without saving
+ * @returns {Object} Modal controller object
+ */
+function createCredentialsPanel(options = {}) {
+  const status = getApiKeyStatus()
+  const dataMode = getDataMode()
+
+  // Create modal container
+  const modalContainer = document.createElement('div')
+  modalContainer.className = 'credentials-modal-container'
+  modalContainer.style.position = 'fixed'
+  modalContainer.style.top = '0'
+  modalContainer.style.left = '0'
+  modalContainer.style.width = '100%'
+  modalContainer.style.height = '100%'
+  modalContainer.style.backgroundColor = 'rgba(0, 0, 0, 0.5)'
+  modalContainer.style.display = 'flex'
+  modalContainer.style.justifyContent = 'center'
+  modalContainer.style.alignItems = 'center'
+  modalContainer.style.zIndex = '1000'
+
+  // Create modal content
+  const modalContent = document.createElement('div')
+  modalContent.className = 'credentials-modal-content'
+  modalContent.style.backgroundColor = 'white'
+  modalContent.style.borderRadius = '5px'
+  modalContent.style.padding = '20px'
+  modalContent.style.width = '480px'
+  modalContent.style.maxWidth = '90%'
+  modalContent.style.boxShadow = '0 4px 8px rgba(0, 0, 0, 0.1)'
+
+  const persistenceOptions = Object.entries(PERSISTENCE_OPTIONS)
+    .map(
+      ([name, option]) => `
+      <label style="display: flex; gap: 8px; align-items: flex-start; margin-bottom: 6px; cursor: pointer;">
+        <input type="radio" name="api-key-persistence" value="${name}" ${
+          name === status.persistence ? 'checked' : ''
+        } style="margin-top: 3px;">
+        <span>
+          <span style="font-weight: bold;">${option.label}</span>
+          <span style="display: block; font-size: 0.75rem; color: #6c757d;">${
+            option.description
+          }</span>
+        </span>
+      </label>`
+    )
+    .join('')
+
+  modalContent.innerHTML = `
+    <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px;">
+      <h3 style="margin: 0;">API Key</h3>
+      <button class="credentials-close" style="background: none; border: none; font-size: 24px; cursor: pointer; padding: 0; line-height: 1;">&times;</button>
+    </div>
+    <div class="credentials-status" style="font-size: 0.875rem; color: #495057; margin-bottom: 16px;">${describeKeyStatus(
+      status
+    )}</div>
+    ${
+      dataMode.mode !== 'live'
+        ? `<div style="font-size: 0.875rem; color: #856404; margin-bottom: 16px;">${dataMode.label} data doesn't use the API key; it is only needed for live data.</div>`
+        : ''
+    }
+    <div style="margin-bottom: 16px;">
+      <label for="credentials-key-input" style="display: block; margin-bottom: 5px; font-weight: bold;">${
+        status.hasKey
+          ? 'New API key (leave empty to keep the active key):'
+          : 'API key:'
+      }</label>
+      <div style="display: flex; gap: 6px;">
+        <input id="credentials-key-input" type="password" autocomplete="off" spellcheck="false" placeholder="Enter your API key"
+          style="flex-grow: 1; padding: 8px; border-radius: 4px; border: 1px solid #ccc; box-sizing: border-box;">
+        <button class="credentials-toggle btn btn-secondary" type="button" style="padding: 6px 12px; border-radius: 4px; border: 1px solid #ccc; background-color: #f8f9fa; cursor: pointer;">Show</button>
+      </div>
+    </div>
+    <div style="margin-bottom: 12px;">
+      <div style="font-weight: bold; margin-bottom: 6px;">Remember the key:</div>
+      ${persistenceOptions}
+    </div>
+    <label class="credentials-consent" style="display: none; gap: 8px; align-items: flex-start; font-size: 0.875rem; margin-bottom: 16px; cursor: pointer;">
+      <input type="checkbox" id="credentials-consent-checkbox" ${
+        status.persistence !== 'none' ? 'checked' : ''
+      } style="margin-top: 3px;">
+      <span>I agree to store my API key unencrypted in this browser.</span>
+    </label>
+    <div class="credentials-result" style="font-size: 0.875rem; min-height: 1.25rem; margin-bottom: 16px;"></div>
+    <div style="display: flex; justify-content: space-between; gap: 10px;">
+      <button class="credentials-forget btn btn-secondary" style="padding: 8px 16px; border-radius: 4px; border: 1px solid #ccc; background-color: #f8f9fa; cursor: pointer;" ${
+        status.hasKey ? '' : 'disabled'
+      }>Forget key</button>
+      <div style="display: flex; gap: 10px;">
+        <button class="credentials-cancel btn btn-secondary" style="padding: 8px 16px; border-radius: 4px; border: 1px solid #ccc; background-color: #f8f9fa; cursor: pointer;">Cancel</button>
+        <button class="credentials-save btn btn-primary" style="padding: 8px 16px; border-radius: 4px; border: none; background-color: #007bff; color: white; cursor: pointer;">Validate &amp; Save</button>
+      </div>
+    </div>
+  `
+
+  modalContainer.appendChild(modalContent)
+  document.body.appendChild(modalContainer)
+
+  const keyInput = modalContent.querySelector('#credentials-key-input')
+  const toggleButton = modalContent.querySelector('.credentials-toggle')
+  const consentLabel = modalContent.querySelector('.credentials-consent')
+  const consentCheckbox = modalContent.querySelector(
+    '#credentials-consent-checkbox'
+  )
+  const resultElement = modalContent.querySelector('.credentials-result')
+  const saveButton = modalContent.querySelector('.credentials-save')
+
+  let unvalidatedKey = null // Key the user chose to save although the API couldn't be reached
+  let controller = null
+
+  // Selected persistence option
+  function getPersistence() {
+    return modalContent.querySelector(
+      'input[name="api-key-persistence"]:checked'
+    ).value
+  }
+
+  // Storing the key needs explicit consent
+  function renderConsent() {
+    consentLabel.style.display = getPersistence() === 'none' ? 'none' : 'flex'
+  }
+  renderConsent()
+  modalContent
+    .querySelectorAll('input[name="api-key-persistence"]')
+    .forEach((radio) => radio.addEventListener('change', renderConsent))
+
+  // Show a result message
+  function showResult(message, type = 'info') {
+    const colors = { info: '#495057', success: '#155724', error: '#721c24' }
+    resultElement.style.color = colors[type]
+    resultElement.textContent = message
+  }
+
+  toggleButton.addEventListener('click', () => {
+    const hidden = keyInput.type === 'password'
+    keyInput.type = hidden ? 'text' : 'password'
+    toggleButton.textContent = hidden ? 'Hide' : 'Show'
+  })
+
+  keyInput.addEventListener('input', () => {
+    unvalidatedKey = null
+    saveButton.textContent = 'Validate & Save'
+  })
+
+  function cancel() {
+    if (options.onCancel) options.onCancel()
+    closeModal()
+  }
+
+  modalContent
+    .querySelector('.credentials-close')
+    .addEventListener('click', cancel)
+  modalContent
+    .querySelector('.credentials-cancel')
+    .addEventListener('click', cancel)
+
+  modalContent
+    .querySelector('.credentials-forget')
+    .addEventListener('click', () => {
+      clearApiKey()
+      if (options.onForget) options.onForget()
+      closeModal()
+    })
+
+  saveButton.addEventListener('click', async () => {
+    const key = keyInput.value.trim()
+    const persistence = getPersistence()
+    if (persistence !== 'none' && !consentCheckbox.checked) {
+      showResult(
+        `Please agree to storing the key, or choose "${PERSISTENCE_OPTIONS.none.label}".`,
+        'error'
+      )
+      return
+    }
+
+    // No new key: only change how the active key is remembered
+    if (!key) {
+      if (!status.hasKey) {
+        showResult('Enter an API key.', 'error')
+        keyInput.focus()
+        return
+      }
+      const saved = setApiKey(getApiKey(), { persistence })
+      if (options.onSave) options.onSave(saved)
+      closeModal()
+      return
+    }
+
+    if (key === unvalidatedKey) {
+      const saved = setApiKey(key, { persistence })
+      if (options.onSave) options.onSave(saved)
+      closeModal()
+      return
+    }
+
+    controller = new AbortController()
+    saveButton.disabled = true
+    showResult('Checking the key with the API...')
+    try {
+      const result = await validateApiKey(key, { signal: controller.signal })
+      if (!result.valid) {
+        showResult(result.message, 'error')
+        return
+      }
+      const saved = setApiKey(key, { persistence, validated: result.checked })
+      showResult(result.message, 'success')
+      if (options.onSave) options.onSave(saved)
+      closeModal()
+    } catch (error) {
+      if (error.name === 'AbortError') return
+      console.warn('API key validation failed:', error)
+      unvalidatedKey = key
+      saveButton.textContent = 'Save without validation'
+      showResult(
+        `Could not reach the API to check the key (${error.message}).`,
+        'error'
+      )
+    } finally {
+      controller = null
+      saveButton.disabled = false
+    }
+  })
+
+  // Close modal function
+  function closeModal() {
+    controller?.abort()
+    if (modalContainer.parentNode) {
+      document.body.removeChild(modalContainer)
+    }
+  }
+
+  keyInput.focus()
+
+  // Return controller object
+  return {
+    close: closeModal,
+  }
+}
+
+export { createCredentialsPanel }
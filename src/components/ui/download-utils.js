@@ -0,0 +1,37 @@
+/**
+ * Download utilities
+ * Save generated content (exports, recordings) as a file from the browser
+ */
+
+/**
+ * Trigger a browser download for in-memory content
+ * @param {string|Blob} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type (default: 'text/plain')
+ */
+function downloadFile(content, filename, mimeType = 'text/plain') {
+  const blob =
+    content instanceof Blob ? content : new Blob([content], { type: mimeType })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = filename
+  link.style.display = 'none'
+  document.body.appendChild(link)
+  link.click()
+  document.body.removeChild(link)
+  // Revoke after the click has been handled
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+  console.log(`💾 Downloaded ${filename}`)
+}
+
+/**
+ * Download data as a formatted JSON file
+ * @param {*} data - JSON-serializable data
+ * @param {string} filename - Suggested file name
+ */
+function downloadJson(data, filename) {
+  downloadFile(JSON.stringify(data, null, 2), filename, 'application/json')
+}
+
+export { downloadFile, downloadJson }
@@ -0,0 +1,179 @@
+/**
+ * History drawer
+ * Side drawer listing past analyses from the analysis history (IndexedDB),
+ * with buttons to reopen or remove each one
+ */
+
+import {
+  listAnalyses,
+  deleteAnalysis,
+  clearHistory,
+  getHistoryBackend,
+  onHistoryChange,
+} from '../data/analysis-history.js'
+import { escapeHtml } from './html-utils.js'
+
+/**
+ * Render one history entry
+ * @param {Object} entry - Summary from listAnalyses
+ * @param {string|null} activeId - ID of the analysis on screen
+ * @returns {string} HTML markup
+ */
+function renderEntry(entry, activeId) {
+  const details = [
+    entry.model,
+    `${entry.resultCount} results`,
+    entry.dataSource && entry.dataSource.mode !== 'live'
+      ? entry.dataSource.label
+      : null,
+  ]
+    .filter(Boolean)
+    .map(escapeHtml)
+    .join(' &middot; ')
+  const isActive = entry.id === activeId
+  return `
+    <li class="history-item${isActive ? ' active' : ''}">
+      <div class="history-item-label" title="Job ${escapeHtml(entry.jobId)}">${escapeHtml(
+        entry.label
+      )}</div>
+      <div class="history-item-file text-xs text-gray-500">${escapeHtml(
+        entry.fileName || 'Unknown file'
+      )} &middot; ${new Date(entry.createdAt).toLocaleString()}</div>
+      <div class="history-item-details text-xs text-gray-500">${details}</div>
+      <div class="history-item-actions">
+        <button class="btn btn-sm btn-outline-secondary" data-history-open="${escapeHtml(
+          entry.id
+        )}" ${isActive ? 'disabled' : ''}>${isActive ? 'Shown' : 'Reopen'}</button>
+        <button class="btn btn-sm btn-outline-secondary" data-history-delete="${escapeHtml(
+          entry.id
+        )}" title="Remove from history">Remove</button>
+      </div>
+    </li>`
+}
+
+/**
+ * Creates the history drawer (hidden until opened)
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onReopen - Called with the analysis ID when "Reopen" is clicked
+ * @param {Function} options.getActiveId - Returns the ID of the analysis on screen (marked as shown)
+ * @returns {Object} Drawer controller { open, close, isOpen, refresh, destroy }
+ */
+function createHistoryDrawer(options = {}) {
+  const drawer = document.createElement('aside')
+  drawer.className = 'history-drawer'
+  drawer.setAttribute('aria-label', 'Analysis history')
+  drawer.innerHTML = `
+    <div class="history-drawer-header">
+      <h2 class="mb-0">Analysis History</h2>
+      <button class="history-drawer-close" title="Close">&times;</button>
+    </div>
+    <p class="history-drawer-note text-xs text-gray-500"></p>
+    <ul class="history-list"></ul>
+    <div class="history-drawer-footer">
+      <button class="btn btn-sm btn-secondary history-clear">Clear History</button>
+    </div>
+  `
+  document.body.appendChild(drawer)
+
+  const noteElement = drawer.querySelector('.history-drawer-note')
+  const listElement = drawer.querySelector('.history-list')
+  const clearButton = drawer.querySelector('.history-clear')
+  let open = false
+
+  /**
+   * Reload the entries from the history
+   */
+  async function refresh() {
+    const entries = await listAnalyses()
+    const activeId = options.getActiveId ? options.getActiveId() : null
+    noteElement.textContent =
+      getHistoryBackend() === 'memory'
+        ? 'This browser cannot store the history; it is lost on reload.'
+        : 'Reopening shows the saved results without calling the API.'
+    listElement.innerHTML = entries.length
+      ? entries.map((entry) => renderEntry(entry, activeId)).join('')
+      : '<li class="history-empty text-gray-500">No analyses yet. Completed analyses appear here.</li>'
+    clearButton.disabled = entries.length === 0
+  }
+
+  const unsubscribe = onHistoryChange(() => {
+    if (open) refresh()
+  })
+
+  const handleKeydown = (event) => {
+    if (event.key === 'Escape' && open) controller.close()
+  }
+  document.addEventListener('keydown', handleKeydown)
+
+  drawer
+    .querySelector('.history-drawer-close')
+    .addEventListener('click', () => controller.close())
+
+  listElement.addEventListener('click', async (event) => {
+    const openButton = event.target.closest('[data-history-open]')
+    if (openButton && !openButton.disabled) {
+      const id = openButton.dataset.historyOpen
+      console.log(`📚 Reopening analysis ${id}`)
+      if (options.onReopen) await options.onReopen(id)
+      refresh()
+      return
+    }
+    const deleteButton = event.target.closest('[data-history-delete]')
+    if (deleteButton) {
+      deleteButton.disabled = true
+      await deleteAnalysis(deleteButton.dataset.historyDelete)
+    }
+  })
+
+  clearButton.addEventListener('click', async () => {
+    if (!confirm('Remove all analyses from the history?')) return
+    await clearHistory()
+  })
+
+  const controller = {
+    /**
+     * Show the drawer with the current history
+     * @returns {Promise<void>} Resolves once the entries are listed
+     */
+    open() {
+      open = true
+      drawer.classList.add('open')
+      return refresh()
+    },
+
+    /**
+     * Hide the drawer
+     */
+    close() {
+      open = false
+      drawer.classList.remove('open')
+    },
+
+    /**
+     * Whether the drawer is shown
+     * @returns {boolean} True when open
+     */
+    isOpen() {
+      return open
+    },
+
+    /**
+     * Reload the entries (e.g. after the analysis on screen changed)
+     * @returns {Promise<void>} Resolves once the entries are listed
+     */
+    refresh,
+
+    /**
+     * Remove the drawer and its listeners
+     */
+    destroy() {
+      unsubscribe()
+      document.removeEventListener('keydown', handleKeydown)
+      drawer.remove()
+    },
+  }
+
+  return controller
+}
+
+export { createHistoryDrawer }
@@ -0,0 +1,26 @@
+/**
+ * HTML utilities
+ * Helpers for building markup from data. File names, FASTA headers, GenBank
+ * and API metadata and recorded sessions are all outside our control, so any
+ * value interpolated into innerHTML goes through escapeHtml.
+ */
+
+const HTML_ESCAPES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;',
+}
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {*} text - Raw value (null and undefined become an empty string)
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (text == null) return ''
+  return String(text).replace(/[&<>"']/g, (char) => HTML_ESCAPES[char])
+}
+
+export { escapeHtml }
@@ -0,0 +1,252 @@
+/**
+ * Job notifications
+ * Tells the user about job progress while they are in another tab: a badge in
+ * the tab title and favicon (always on), plus opt-in desktop notifications
+ * (Notification API) and a sound cue when a job completes or fails. The opt-ins
+ * are remembered in localStorage.
+ */
+
+const STORAGE_KEY = 'pathgen.jobNotifications'
+
+const DEFAULT_NOTIFICATION_SETTINGS = {
+  desktop: false, // Desktop notification when a job finishes (needs permission)
+  sound: false, // Short sound cue when a job finishes
+}
+
+// Tab badge per job state
+const BADGES = {
+  running: { symbol: '⏳', color: '#3498db' },
+  completed: { symbol: '✅', color: '#4caf50' },
+  failed: { symbol: '❌', color: '#e74c3c' },
+}
+const FINISHED_BADGE_MS = 5000 // How long a finished badge stays while the tab is visible
+
+let settings = null
+let audioContext = null
+let badgeState = null
+let badgeTimer = null
+let originalTitle = null
+let originalFavicon = null // { link, href, created }
+
+/**
+ * Whether this browser can show desktop notifications
+ * @returns {boolean} True if the Notification API is available
+ */
+function isDesktopNotificationSupported() {
+  return typeof window !== 'undefined' && 'Notification' in window
+}
+
+/**
+ * Get the notification opt-ins
+ * @returns {Object} { desktop, sound }
+ */
+function getNotificationSettings() {
+  if (!settings) {
+    settings = { ...DEFAULT_NOTIFICATION_SETTINGS }
+    try {
+      const stored = JSON.parse(window.localStorage?.getItem(STORAGE_KEY))
+      if (stored) settings = { ...settings, ...stored }
+    } catch (e) {
+      console.warn('Could not read notification settings:', e)
+    }
+    // Permission may have been revoked since the opt-in
+    if (
+      settings.desktop &&
+      (!isDesktopNotificationSupported() ||
+        Notification.permission === 'denied')
+    ) {
+      settings.desktop = false
+    }
+  }
+  return { ...settings }
+}
+
+/**
+ * Change the notification opt-ins. Enabling desktop notifications asks for
+ * permission, so call this from a user action (e.g. a checkbox change).
+ * @param {Object} updates - Partial settings { desktop, sound }
+ * @returns {Promise<Object>} The settings in effect ({ desktop } stays false if permission was refused)
+ */
+async function setNotificationSettings(updates) {
+  const next = { ...getNotificationSettings(), ...updates }
+
+  if (updates.desktop) {
+    if (!isDesktopNotificationSupported()) {
+      next.desktop = false
+    } else if (Notification.permission !== 'granted') {
+      const permission = await Notification.requestPermission()
+      next.desktop = permission === 'granted'
+    }
+  }
+  if (updates.sound) getAudioContext() // Browsers only allow audio after a user action
+
+  settings = next
+  try {
+    window.localStorage?.setItem(STORAGE_KEY, JSON.stringify(settings))
+  } catch (e) {
+    console.warn('Could not persist notification settings:', e)
+  }
+  console.log(
+    `🔔 Notifications: desktop ${settings.desktop ? 'on' : 'off'}, sound ${
+      settings.sound ? 'on' : 'off'
+    }`
+  )
+  return { ...settings }
+}
+
+/**
+ * Get (once) the audio context for the sound cue
+ * @returns {AudioContext|null} Audio context, or null if Web Audio is unavailable
+ */
+function getAudioContext() {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext
+  if (!AudioContextClass) return null
+  if (!audioContext) audioContext = new AudioContextClass()
+  if (audioContext.state === 'suspended') audioContext.resume()
+  return audioContext
+}
+
+/**
+ * Play the sound cue: rising tones for a completed job, a low tone for a failed one
+ * @param {string} status - 'completed' or 'failed'
+ */
+function playSoundCue(status) {
+  const context = getAudioContext()
+  if (!context) return
+  const tones = status === 'completed' ? [660, 880] : [220]
+  tones.forEach((frequency, index) => {
+    const start = context.currentTime + index * 0.15
+    const oscillator = context.createOscillator()
+    const gain = context.createGain()
+    oscillator.frequency.value = frequency
+    gain.gain.setValueAtTime(0.15, start)
+    gain.gain.exponentialRampToValueAtTime(0.001, start + 0.3)
+    oscillator.connect(gain).connect(context.destination)
+    oscillator.start(start)
+    oscillator.stop(start + 0.3)
+  })
+}
+
+/**
+ * Draw a favicon: a coloured dot for the job state
+ * @param {string} color - Fill colour
+ * @returns {string|null} PNG data URL, or null if canvas is unavailable
+ */
+function drawFavicon(color) {
+  const canvas = document.createElement('canvas')
+  canvas.width = 32
+  canvas.height = 32
+  const context = canvas.getContext?.('2d')
+  if (!context) return null
+  context.fillStyle = color
+  context.beginPath()
+  context.arc(16, 16, 14, 0, 2 * Math.PI)
+  context.fill()
+  return canvas.toDataURL('image/png')
+}
+
+/**
+ * Put the page's own title and favicon back
+ */
+function restoreTabBadge() {
+  if (originalTitle != null) document.title = originalTitle
+  if (originalFavicon) {
+    if (originalFavicon.created) originalFavicon.link.remove()
+    else originalFavicon.link.href = originalFavicon.href
+  }
+  originalTitle = null
+  originalFavicon = null
+}
+
+/**
+ * Show a job state in the tab title and favicon. Finished states are cleared
+ * once the user has had a chance to see them (after a few seconds in a
+ * visible tab, or when they return to the tab).
+ * @param {string|null} state - 'running', 'completed', 'failed', or null to clear
+ */
+function setJobBadge(state) {
+  if (typeof document === 'undefined') return
+  clearTimeout(badgeTimer)
+  badgeState = BADGES[state] ? state : null
+  if (!badgeState) {
+    restoreTabBadge()
+    return
+  }
+
+  if (originalTitle == null) originalTitle = document.title
+  document.title = `${BADGES[badgeState].symbol} ${originalTitle}`
+
+  const favicon = drawFavicon(BADGES[badgeState].color)
+  if (favicon) {
+    if (!originalFavicon) {
+      let link = document.querySelector('link[rel~="icon"]')
+      const created = !link
+      if (created) {
+        link = document.createElement('link')
+        link.rel = 'icon'
+        document.head.appendChild(link)
+      }
+      originalFavicon = { link, href: link.href, created }
+    }
+    originalFavicon.link.href = favicon
+  }
+
+  if (badgeState !== 'running' && document.visibilityState === 'visible') {
+    badgeTimer = setTimeout(() => setJobBadge(null), FINISHED_BADGE_MS)
+  }
+}
+
+if (typeof document !== 'undefined') {
+  document.addEventListener('visibilitychange', () => {
+    // Back in the tab: the finished badge has been seen
+    if (
+      document.visibilityState === 'visible' &&
+      badgeState &&
+      badgeState !== 'running'
+    ) {
+      clearTimeout(badgeTimer)
+      badgeTimer = setTimeout(() => setJobBadge(null), FINISHED_BADGE_MS)
+    }
+  })
+}
+
+/**
+ * Tell the user a job finished: tab badge, plus a desktop notification (only
+ * while the tab is hidden) and the sound cue if they opted in
+ * @param {Object} job - Finished job
+ * @param {string} job.status - 'completed' or 'failed'
+ * @param {string} job.label - What finished (e.g. the file name)
+ * @param {string} job.message - Details (e.g. the error), optional
+ */
+function notifyJobFinished({ status, label, message = '' }) {
+  const { desktop, sound } = getNotificationSettings()
+  setJobBadge(status)
+  if (sound) playSoundCue(status)
+
+  if (
+    desktop &&
+    Notification.permission === 'granted' &&
+    document.visibilityState !== 'visible'
+  ) {
+    const notification = new Notification(
+      status === 'completed' ? 'Analysis complete' : 'Analysis failed',
+      {
+        body: [label, message].filter(Boolean).join(': '),
+        tag: 'pathgen-job', // Replaces an earlier job notification
+      }
+    )
+    notification.onclick = () => {
+      window.focus()
+      notification.close()
+    }
+  }
+}
+
+export {
+  DEFAULT_NOTIFICATION_SETTINGS,
+  isDesktopNotificationSupported,
+  getNotificationSettings,
+  setNotificationSettings,
+  setJobBadge,
+  notifyJobFinished,
+}
@@ -0,0 +1,325 @@
+/**
+ * Job queue panel
+ * Panel docked to the bottom left of the page listing every submitted job
+ * (status, model, file name, timings) with buttons to cancel, retry or show
+ * the results of each one
+ */
+
+import {
+  JOB_QUEUE_STATUSES,
+  isQueuedJobActive,
+  getQueuedJob,
+  listQueuedJobs,
+  removeQueuedJob,
+  clearFinishedJobs,
+  onJobQueueChange,
+} from '../data/job-queue.js'
+import { JOB_STAGES, formatDuration } from '../data/job-stages.js'
+import { escapeHtml } from './html-utils.js'
+
+/**
+ * Describe the status of an entry, with the stage while it runs
+ * @param {Object} entry - Queue entry
+ * @returns {string} e.g. "Running: Embedding (42%)"
+ */
+function describeStatus(entry) {
+  const label = JOB_QUEUE_STATUSES[entry.status]?.label || entry.status
+  if (entry.suspended && isQueuedJobActive(entry))
+    return `${label} (not followed)`
+  if (entry.status !== 'running' && entry.status !== 'pending') return label
+  const stage = JOB_STAGES.find((candidate) => candidate.id === entry.stage)
+  const progress =
+    entry.progress != null ? ` (${Math.round(entry.progress * 100)}%)` : ''
+  return stage ? `${label}: ${stage.label}${progress}` : `${label}${progress}`
+}
+
+/**
+ * Describe when an entry was submitted and how long it ran
+ * @param {Object} entry - Queue entry
+ * @returns {string} e.g. "14:02:10 · 1m 20s"
+ */
+function describeTimings(entry) {
+  // Jobs restored after a reload may be from another day
+  const submitted = entry.restored
+    ? new Date(entry.submittedAt).toLocaleString()
+    : new Date(entry.submittedAt).toLocaleTimeString()
+  const duration = (entry.finishedAt || Date.now()) - entry.submittedAt
+  return `${submitted} · ${
+    isQueuedJobActive(entry) ? 'running for ' : 'took '
+  }${formatDuration(duration)}`
+}
+
+/**
+ * What the markup of an entry depends on, apart from the status and timings
+ * text that change while it runs
+ * @param {Object} entry - Queue entry
+ * @param {string|null} activeId - ID of the entry shown on the dashboard
+ * @param {boolean} canShow - Whether its results can be shown with the current data source
+ * @returns {string} Signature; the entry is rendered again when it changes
+ */
+function entrySignature(entry, activeId, canShow) {
+  return JSON.stringify([
+    entry.id,
+    entry.status,
+    entry.id === activeId,
+    canShow,
+    entry.viewed,
+    Boolean(entry.file),
+    entry.jobId,
+    entry.error,
+    entry.suspended,
+    entry.model,
+    entry.fileName,
+    entry.record?.header,
+  ])
+}
+
+/**
+ * Render one queue entry
+ * @param {Object} entry - Queue entry
+ * @param {string|null} activeId - ID of the entry shown on the dashboard
+ * @param {boolean} canShow - Whether its results can be shown with the current data source
+ * @returns {string} HTML markup
+ */
+function renderEntry(entry, activeId, canShow) {
+  const isActive = entry.id === activeId
+  const id = escapeHtml(entry.id)
+  const label = entry.record?.header?.split(/\s+/)[0] || entry.fileName
+  const source = entry.dataSource
+  const sourceName = `${source?.label || 'another'} data${
+    source?.mode === 'live' ? ` at ${source.apiBaseUrl}` : ''
+  }`
+  const actions = []
+  if (isQueuedJobActive(entry)) {
+    actions.push(
+      `<button class="btn btn-sm btn-outline-secondary" data-queue-cancel="${id}" title="Stop uploading or following this job">Cancel</button>`
+    )
+  }
+  if (entry.status === 'completed') {
+    const unavailable = `disabled title="${escapeHtml(
+      `Submitted with ${sourceName}; switch back to it to show the results`
+    )}"`
+    actions.push(
+      `<button class="btn btn-sm btn-outline-secondary" data-queue-show="${id}" ${
+        isActive ? 'disabled' : canShow ? '' : unavailable
+      }>${isActive ? 'Shown' : 'Show results'}</button>`
+    )
+  }
+  if (entry.status === 'failed' || entry.status === 'cancelled') {
+    actions.push(
+      `<button class="btn btn-sm btn-outline-secondary" data-queue-retry="${id}" ${
+        entry.file ? '' : 'disabled title="The file is no longer available"'
+      }>Retry</button>`
+    )
+  }
+  if (!isQueuedJobActive(entry)) {
+    actions.push(
+      `<button class="btn btn-sm btn-outline-secondary" data-queue-remove="${id}" title="Remove from the list">Remove</button>`
+    )
+  }
+
+  return `
+    <li class="job-queue-item${isActive ? ' active' : ''}" data-status="${escapeHtml(
+      entry.status
+    )}">
+      <div class="job-queue-item-header">
+        <span class="job-queue-item-label" title="${escapeHtml(
+          entry.jobId ? `Job ${entry.jobId}` : 'Not submitted yet'
+        )}">${escapeHtml(label || 'Sequence')}</span>
+        ${
+          entry.status === 'completed' && !entry.viewed && !isActive
+            ? '<span class="job-queue-item-badge" title="Results not shown yet">New</span>'
+            : ''
+        }
+        <span class="job-queue-item-status">${escapeHtml(
+          describeStatus(entry)
+        )}</span>
+      </div>
+      <div class="job-queue-item-details text-xs text-gray-500">${escapeHtml(
+        [entry.model, entry.fileName].filter(Boolean).join(' · ')
+      )}</div>
+      <div class="job-queue-item-timings text-xs text-gray-500">${escapeHtml(
+        describeTimings(entry)
+      )}</div>
+      ${
+        entry.error
+          ? `<div class="job-queue-item-error text-xs">${escapeHtml(
+              entry.error
+            )}</div>`
+          : ''
+      }
+      ${
+        entry.suspended && isQueuedJobActive(entry)
+          ? `<div class="job-queue-item-note text-xs">${escapeHtml(
+              `Submitted with ${sourceName}; it is followed again once that is the active data source.`
+            )}</div>`
+          : ''
+      }
+      <div class="job-queue-item-actions">${actions.join('')}</div>
+    </li>`
+}
+
+/**
+ * Creates the job queue panel (hidden while the queue is empty)
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onCancel - Called with the queue entry when "Cancel" is clicked
+ * @param {Function} options.onRetry - Called with the queue entry when "Retry" is clicked
+ * @param {Function} options.onShowResults - Called with the queue entry when "Show results" is clicked
+ * @param {Function} options.getActiveId - Returns the ID of the entry shown on the dashboard
+ * @param {Function} options.canShowResults - Returns whether an entry's results can be shown now (default: always)
+ * @returns {Object} Panel controller { refresh, collapse, expand, destroy }
+ */
+function createJobQueuePanel(options = {}) {
+  const panel = document.createElement('aside')
+  panel.className = 'job-queue-panel'
+  panel.setAttribute('aria-label', 'Job queue')
+  panel.style.display = 'none'
+  panel.innerHTML = `
+    <button class="job-queue-header" aria-expanded="true">
+      <span class="job-queue-title">Jobs</span>
+      <span class="job-queue-summary text-xs"></span>
+      <span class="job-queue-toggle" aria-hidden="true">&#9662;</span>
+    </button>
+    <div class="job-queue-body">
+      <ul class="job-queue-list"></ul>
+      <div class="job-queue-footer">
+        <button class="btn btn-sm btn-secondary job-queue-clear">Clear Finished</button>
+      </div>
+    </div>
+  `
+  document.body.appendChild(panel)
+
+  const headerButton = panel.querySelector('.job-queue-header')
+  const summaryElement = panel.querySelector('.job-queue-summary')
+  const listElement = panel.querySelector('.job-queue-list')
+  const clearButton = panel.querySelector('.job-queue-clear')
+  let collapsed = false
+  let clockTimer = null // Ticks the timings while jobs run
+  let renderedSignature = null
+
+  /**
+   * Update the status and timings text of the rendered entries in place
+   * @param {Array<Object>} entries - Entries in the order they are rendered
+   */
+  function updateEntryText(entries) {
+    entries.forEach((entry, index) => {
+      const item = listElement.children[index]
+      item.querySelector('.job-queue-item-status').textContent =
+        describeStatus(entry)
+      item.querySelector('.job-queue-item-timings').textContent =
+        describeTimings(entry)
+    })
+  }
+
+  /**
+   * Re-render the entries. While only their progress and timings change
+   * (every clock tick), the text is updated in place so buttons and focus
+   * survive.
+   */
+  function refresh() {
+    const entries = listQueuedJobs()
+    panel.style.display = entries.length ? 'flex' : 'none'
+
+    const running = entries.filter(isQueuedJobActive).length
+    const finished = entries.length - running
+    summaryElement.textContent = [
+      running ? `${running} running` : null,
+      finished ? `${finished} finished` : null,
+    ]
+      .filter(Boolean)
+      .join(', ')
+
+    const activeId = options.getActiveId ? options.getActiveId() : null
+    const canShow = entries.map((entry) =>
+      options.canShowResults ? options.canShowResults(entry) : true
+    )
+    const signature = entries
+      .map((entry, index) => entrySignature(entry, activeId, canShow[index]))
+      .join('\n')
+    if (signature === renderedSignature) {
+      updateEntryText(entries)
+    } else {
+      listElement.innerHTML = entries
+        .map((entry, index) => renderEntry(entry, activeId, canShow[index]))
+        .join('')
+      renderedSignature = signature
+    }
+    clearButton.disabled = finished === 0
+
+    if (running && !collapsed) {
+      if (!clockTimer) clockTimer = setInterval(refresh, 1000)
+    } else {
+      clearInterval(clockTimer)
+      clockTimer = null
+    }
+  }
+
+  /**
+   * Show or hide the entries
+   * @param {boolean} value - True to collapse the panel to its header
+   */
+  function setCollapsed(value) {
+    collapsed = value
+    panel.classList.toggle('collapsed', collapsed)
+    headerButton.setAttribute('aria-expanded', String(!collapsed))
+    refresh()
+  }
+
+  const unsubscribe = onJobQueueChange(() => refresh())
+
+  headerButton.addEventListener('click', () => setCollapsed(!collapsed))
+
+  listElement.addEventListener('click', (event) => {
+    const button = event.target.closest('button')
+    if (!button || button.disabled) return
+    const { queueCancel, queueRetry, queueShow, queueRemove } = button.dataset
+    const entry = getQueuedJob(
+      queueCancel || queueRetry || queueShow || queueRemove
+    )
+    if (!entry) return
+
+    if (queueCancel) options.onCancel?.(entry)
+    else if (queueRetry) options.onRetry?.(entry)
+    else if (queueShow) options.onShowResults?.(entry)
+    else if (queueRemove) removeQueuedJob(entry.id)
+  })
+
+  clearButton.addEventListener('click', () => {
+    const removed = clearFinishedJobs()
+    console.log(`📋 Cleared ${removed} finished jobs from the queue`)
+  })
+
+  refresh()
+
+  return {
+    /**
+     * Re-render the entries (e.g. after the analysis on screen or the data source changed)
+     */
+    refresh,
+
+    /**
+     * Collapse the panel to its header
+     */
+    collapse() {
+      setCollapsed(true)
+    },
+
+    /**
+     * Show the entries
+     */
+    expand() {
+      setCollapsed(false)
+    },
+
+    /**
+     * Remove the panel and its listeners
+     */
+    destroy() {
+      unsubscribe()
+      clearInterval(clockTimer)
+      panel.remove()
+    },
+  }
+}
+
+export { createJobQueuePanel }
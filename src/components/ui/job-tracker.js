@@ -4,10 +4,27 @@
  */
 
 // import { checkJobStatus } from './api-service.js'
+import { formatFileSize } from './upload-component.js'
+import {
+  JOB_STAGES,
+  describeJobProgress,
+  formatDuration,
+} from '../data/job-stages.js'
+import {
+  isDesktopNotificationSupported,
+  getNotificationSettings,
+  setNotificationSettings,
+  setJobBadge,
+  notifyJobFinished,
+} from './job-notifications.js'
+
+// Share of the progress bar used by the job itself (the rest is upload and result processing)
+const JOB_PROGRESS_START = 10
+const JOB_PROGRESS_END = 90
 
 /**
  * Create a job tracker component
- * @param {string} jobId - Job ID to track
+ * @param {string} jobId - Job ID to track (null while the sequence is still uploading, see setJobId)
  * @param {Object} options - Tracker options
  * @returns {Object} Job tracker component
  */
@@ -18,27 +35,42 @@ function createJobTracker(jobId, options = {}) {
     onComplete: null,
     onError: null,
     floating: true, // New option to make the tracker float
+    title: 'Processing Sequence', // Header text (e.g. a batch summary)
+    notificationLabel: null, // Names the job in notifications (default: the title)
   }
 
   const config = { ...defaultOptions, ...options }
 
   // Create the tracker element
   const trackerElement = document.createElement('div')
-  trackerElement.id = `job-tracker-${jobId}`
+  trackerElement.id = `job-tracker-${jobId || 'upload'}`
   trackerElement.className = config.floating
     ? 'job-tracker floating-tracker'
     : 'job-tracker'
   trackerElement.innerHTML = `
     <div class="job-tracker-header">
       <span class="job-tracker-status-indicator"></span>
-      <span class="job-tracker-title">Processing Sequence</span>
+      <span class="job-tracker-title">${config.title}</span>
       <span class="job-tracker-status">Initializing...</span>
     </div>
     <div class="job-tracker-progress-container">
       <div id="job-progress-bar" class="job-tracker-progress-bar" style="width: 0%;"></div>
     </div>
+    <ol class="job-tracker-stages" style="display: none;">
+      ${JOB_STAGES.map(
+        (stage) =>
+          `<li class="job-tracker-stage" data-stage="${stage.id}">${stage.label}</li>`
+      ).join('')}
+    </ol>
     <div id="job-tracker-message" class="job-tracker-message">Preparing sequence...</div>
+    <div class="job-tracker-timing" style="display: none;"></div>
     <div id="job-tracker-error" class="job-tracker-error-message" style="display: none;"></div>
+    <div class="job-tracker-notify">
+      <label class="job-tracker-notify-desktop" ${
+        isDesktopNotificationSupported() ? '' : 'style="display: none;"'
+      }><input type="checkbox"> Desktop notification</label>
+      <label><input type="checkbox" class="job-tracker-notify-sound"> Sound</label>
+    </div>
   `
 
   // Add custom CSS to ensure progress bar works and position it properly
@@ -138,6 +170,58 @@ function createJobTracker(jobId, options = {}) {
       left: 0;
     }
     
+    .job-tracker-stages {
+      display: flex;
+      flex-wrap: wrap;
+      gap: 4px;
+      list-style: none;
+      padding: 0;
+      margin: 0 0 8px 0;
+    }
+    
+    .job-tracker-stage {
+      font-size: 11px;
+      color: #999;
+      background-color: #f0f0f0;
+      border-radius: 10px;
+      padding: 2px 8px;
+    }
+    
+    .job-tracker-stage.done {
+      color: #2e7d32;
+      background-color: #e8f5e9;
+    }
+    
+    .job-tracker-stage.active {
+      color: white;
+      background-color: #3498db;
+    }
+    
+    .job-tracker-stage.failed {
+      color: white;
+      background-color: #e74c3c;
+    }
+    
+    .job-tracker-timing {
+      font-size: 12px;
+      color: #666;
+      text-align: center;
+      margin-top: 4px;
+    }
+    
+    .job-tracker-notify {
+      display: flex;
+      justify-content: center;
+      gap: 12px;
+      font-size: 12px;
+      color: #666;
+      margin-top: 8px;
+    }
+    
+    .job-tracker-notify input {
+      margin-right: 4px;
+    }
+    
     .job-tracker-message {
       font-size: 13px;
       color: #333;
@@ -158,10 +242,37 @@ function createJobTracker(jobId, options = {}) {
   `
   document.head.appendChild(style)
 
+  // Notification opt-ins (shared by all trackers and remembered across visits)
+  const desktopLabel = trackerElement.querySelector(
+    '.job-tracker-notify-desktop'
+  )
+  const desktopCheckbox = desktopLabel.querySelector('input')
+  const soundCheckbox = trackerElement.querySelector(
+    '.job-tracker-notify-sound'
+  )
+  const notificationSettings = getNotificationSettings()
+  desktopCheckbox.checked = notificationSettings.desktop
+  soundCheckbox.checked = notificationSettings.sound
+  desktopCheckbox.addEventListener('change', async () => {
+    const wanted = desktopCheckbox.checked
+    const applied = await setNotificationSettings({ desktop: wanted })
+    desktopCheckbox.checked = applied.desktop
+    desktopLabel.title =
+      wanted && !applied.desktop
+        ? 'Notifications are blocked for this site in the browser settings.'
+        : ''
+  })
+  soundCheckbox.addEventListener('change', () => {
+    setNotificationSettings({ sound: soundCheckbox.checked })
+  })
+
   // Current state
   let currentStatus = 'initializing'
   let progressValue = 0
   let isShown = false
+  let startedAt = null // When the tracker first saw the job waiting or running
+  let lastJobProgress = null // { description, receivedAt } of the last job payload
+  let clockTimer = null // Ticks the elapsed/remaining time between job updates
 
   // Function to update the progress bar
   function updateProgress(value, animated = true) {
@@ -186,8 +297,84 @@ function createJobTracker(jobId, options = {}) {
     }
   }
 
+  // Mark finished, current and upcoming stages (hidden when the job reports none)
+  function renderStages(stageIndex, { failed = false } = {}) {
+    const stagesElement = trackerElement.querySelector('.job-tracker-stages')
+    if (!stagesElement) return
+    stagesElement.style.display = stageIndex === -1 ? 'none' : 'flex'
+    stagesElement
+      .querySelectorAll('.job-tracker-stage')
+      .forEach((stageElement, index) => {
+        const isLast = index === JOB_STAGES.length - 1
+        stageElement.classList.toggle(
+          'done',
+          index < stageIndex || (isLast && index === stageIndex)
+        )
+        stageElement.classList.toggle(
+          'active',
+          !failed && !isLast && index === stageIndex
+        )
+        stageElement.classList.toggle('failed', failed && index === stageIndex)
+      })
+  }
+
+  // Show elapsed and estimated remaining time of the last job payload
+  function renderTiming() {
+    const timingElement = trackerElement.querySelector('.job-tracker-timing')
+    if (!timingElement) return
+    const description = lastJobProgress?.description
+    if (!description || description.elapsedMs == null) {
+      timingElement.style.display = 'none'
+      return
+    }
+    const sinceUpdate = Date.now() - lastJobProgress.receivedAt
+    const parts = [
+      `${formatDuration(description.elapsedMs + sinceUpdate)} elapsed`,
+    ]
+    if (description.remainingMs != null && description.stage?.id !== 'done') {
+      const remainingMs = description.remainingMs - sinceUpdate
+      // An estimate that ran out means the job is slower than predicted
+      parts.push(
+        remainingMs > 0
+          ? `about ${formatDuration(remainingMs)} left`
+          : 'finishing...'
+      )
+    }
+    timingElement.textContent = parts.join(' · ')
+    timingElement.style.display = 'block'
+  }
+
+  function startClock() {
+    if (!clockTimer) clockTimer = setInterval(renderTiming, 1000)
+  }
+
+  function stopClock() {
+    clearInterval(clockTimer)
+    clockTimer = null
+  }
+
+  // Record a job payload; returns the bar position for it
+  function trackJobProgress(jobData) {
+    if (startedAt == null) startedAt = Date.now()
+    const description = describeJobProgress(jobData, { startedAt })
+    lastJobProgress = { description, receivedAt: Date.now() }
+    renderStages(description.stageIndex)
+    renderTiming()
+
+    // Without progress, use the stage; without either, keep the bar where it is
+    let fraction = description.progress
+    if (fraction == null && description.stageIndex !== -1) {
+      fraction = description.stageIndex / (JOB_STAGES.length - 1)
+    }
+    if (fraction == null) return Math.max(progressValue, JOB_PROGRESS_START)
+    return (
+      JOB_PROGRESS_START + fraction * (JOB_PROGRESS_END - JOB_PROGRESS_START)
+    )
+  }
+
   // Function to update the status message
   function updateStatus(status, jobData = {}) {
+    const previousStatus = currentStatus
     currentStatus = status.toLowerCase()
 
     const statusIndicatorElement = trackerElement.querySelector(
@@ -216,6 +403,12 @@ function createJobTracker(jobId, options = {}) {
     let bgColor = '#3498db' // Default blue
 
     switch (currentStatus) {
+      case 'uploading':
+        statusText = 'Uploading'
+        messageText = 'Uploading sequence...'
+        progress = jobData.progress ?? 0
+        showSpinner = true
+        break
       case 'submitting':
         statusText = 'Submitting'
         messageText = 'Sending sequence for analysis...'
@@ -226,23 +419,35 @@ function createJobTracker(jobId, options = {}) {
       case 'queued':
         statusText = 'Pending'
         messageText = 'Waiting for analysis to start...'
-        progress = 10
+        progress = trackJobProgress(jobData)
         showSpinner = true
         break
       case 'running':
-      case 'processing': // Treat processing like running
+      case 'processing': {
+        // Treat processing like running
         statusText = 'Running'
-        messageText = 'Analysis in progress...'
-        // Simulate progress during running state (e.g., slowly increase)
-        // This is just illustrative; real progress would need backend info
-        progress = Math.min(90, (progressValue || 10) + Math.random() * 5)
+        progress = trackJobProgress(jobData)
+        const { stage } = lastJobProgress.description
+        messageText = stage ? `${stage.label}...` : 'Analysis in progress...'
         showSpinner = true
         break
+      }
       case 'processing results': // Specific state called from handleJobCompletion start
         statusText = 'Processing'
         messageText = 'Processing analysis results...'
         progress = 95
         showSpinner = true
+        if (lastJobProgress) {
+          // The job is done; only the elapsed time stays meaningful
+          const done = JOB_STAGES.length - 1
+          lastJobProgress.description = {
+            ...lastJobProgress.description,
+            stage: JOB_STAGES[done],
+            stageIndex: done,
+          }
+          renderStages(done)
+          renderTiming()
+        }
         break
       case 'completed':
         statusText = 'Completed'
@@ -251,6 +456,17 @@ function createJobTracker(jobId, options = {}) {
         showSpinner = false
         if (statusIndicatorElement) statusIndicatorElement.textContent = '✅'
         bgColor = '#4CAF50' // Green
+        if (lastJobProgress) renderStages(JOB_STAGES.length - 1)
+        if (startedAt != null) {
+          lastJobProgress = null
+          const timingElement = trackerElement.querySelector(
+            '.job-tracker-timing'
+          )
+          timingElement.textContent = `Finished in ${formatDuration(
+            Date.now() - startedAt
+          )}`
+          timingElement.style.display = 'block'
+        }
         // Auto-hide after delay
         setTimeout(() => {
           hide()
@@ -269,6 +485,18 @@ function createJobTracker(jobId, options = {}) {
           errorElement.style.display = 'block'
         }
         bgColor = '#e74c3c' // Red
+        // Mark the stage the job failed in
+        if (lastJobProgress || jobData?.stage) {
+          const { stageIndex } = describeJobProgress(jobData)
+          renderStages(
+            stageIndex === -1 || stageIndex === JOB_STAGES.length - 1
+              ? (lastJobProgress?.description.stageIndex ?? -1)
+              : stageIndex,
+            { failed: true }
+          )
+        }
+        lastJobProgress = null
+        renderTiming()
         break
       default: // Handle 'initializing' or unknown states
         statusText = 'Initializing'
@@ -281,6 +509,31 @@ function createJobTracker(jobId, options = {}) {
     if (statusElement) statusElement.textContent = statusText
     if (messageElement) messageElement.textContent = messageText
 
+    // Tab badge while the job runs; notifications once it finishes
+    if (currentStatus === 'completed' || currentStatus === 'failed') {
+      if (previousStatus !== currentStatus) {
+        notifyJobFinished({
+          status: currentStatus,
+          label: config.notificationLabel || config.title,
+          message:
+            currentStatus === 'failed'
+              ? jobData?.error || jobData?.result?.error || ''
+              : '',
+        })
+      }
+    } else if (currentStatus !== 'initializing') {
+      setJobBadge('running')
+    }
+
+    // Only a waiting or running job has a clock to tick
+    if (
+      ['pending', 'queued', 'running', 'processing'].includes(currentStatus)
+    ) {
+      startClock()
+    } else {
+      stopClock()
+    }
+
     // Update spinner/icon visibility
     if (statusIndicatorElement && showSpinner) {
       statusIndicatorElement.innerHTML =
@@ -297,6 +550,44 @@ function createJobTracker(jobId, options = {}) {
     }
   }
 
+  // Replace the message below the progress bar (call after updateStatus)
+  function setMessage(text) {
+    const messageElement = trackerElement.querySelector('.job-tracker-message')
+    if (messageElement) messageElement.textContent = text
+  }
+
+  // Show bytes sent while uploading; the bar tracks the upload until the job starts
+  function updateUploadProgress({ bytesSent, totalBytes, chunked, resumes }) {
+    const progress =
+      totalBytes > 0 ? Math.floor((bytesSent / totalBytes) * 100) : 0
+    if (currentStatus !== 'uploading') {
+      updateStatus('uploading', { progress })
+    } else if (progress !== progressValue) {
+      updateProgress(progress, false)
+    }
+    const details = [
+      chunked ? 'chunked' : null,
+      resumes > 0 ? `resumed ${resumes}×` : null,
+    ].filter(Boolean)
+    setMessage(
+      `${formatFileSize(bytesSent)} of ${formatFileSize(totalBytes)} sent${
+        details.length ? ` (${details.join(', ')})` : ''
+      }`
+    )
+  }
+
+  // Attach the job created by the upload
+  function setJobId(id) {
+    tracker.jobId = id
+    trackerElement.id = `job-tracker-${id}`
+  }
+
+  // Replace the header title
+  function setTitle(text) {
+    const titleElement = trackerElement.querySelector('.job-tracker-title')
+    if (titleElement) titleElement.textContent = text
+  }
+
   // Show the tracker
   function show() {
     if (!isShown) {
@@ -339,6 +630,11 @@ function createJobTracker(jobId, options = {}) {
 
   // Hide the tracker
   function hide() {
+    stopClock()
+    // A job that is no longer tracked doesn't keep the tab marked as running
+    if (currentStatus !== 'completed' && currentStatus !== 'failed') {
+      setJobBadge(null)
+    }
     if (isShown && trackerElement.parentNode) {
       // Add fade-out animation
       trackerElement.style.opacity = '0'
@@ -386,9 +682,13 @@ function createJobTracker(jobId, options = {}) {
   }
 
   // Create and expose the public API
-  return {
+  const tracker = {
     updateStatus,
     updateProgress,
+    updateUploadProgress,
+    setJobId,
+    setMessage,
+    setTitle,
     show,
     hide,
     complete,
@@ -397,6 +697,7 @@ function createJobTracker(jobId, options = {}) {
     element: trackerElement,
     jobId: jobId,
   }
+  return tracker
 }
 
 export { createJobTracker }
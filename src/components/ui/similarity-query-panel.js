@@ -0,0 +1,195 @@
+/**
+ * Similarity query panel
+ * Lets the user set the parameters of the similarity search (result count,
+ * distance cutoff, year ceiling, undated sequences) and re-run it for the
+ * current job
+ */
+
+// Matches the /pathtrack/sequence/similar body; -1 and 0 mean "no limit"
+const DEFAULT_SIMILARITY_QUERY = {
+  n_results: 100,
+  min_distance: -1,
+  max_year: 0,
+  include_unknown_dates: false,
+}
+
+const MAX_RESULTS = 500
+const TOP_MATCH_COUNT = 10 // Highlighted matches (details panel, red points)
+
+/**
+ * Validate a query, clamping values into the ranges the API accepts
+ * @param {Object} query - Partial query
+ * @returns {Object} Complete query { n_results, min_distance, max_year, include_unknown_dates }
+ */
+function normalizeSimilarityQuery(query = {}) {
+  const merged = { ...DEFAULT_SIMILARITY_QUERY, ...query }
+  const nResults = Math.round(Number(merged.n_results))
+  const minDistance = Number(merged.min_distance)
+  const maxYear = Math.round(Number(merged.max_year))
+  return {
+    n_results: Number.isFinite(nResults)
+      ? Math.min(Math.max(nResults, 1), MAX_RESULTS)
+      : DEFAULT_SIMILARITY_QUERY.n_results,
+    min_distance:
+      Number.isFinite(minDistance) && minDistance >= 0
+        ? Math.min(minDistance, 1)
+        : -1,
+    max_year: Number.isFinite(maxYear) && maxYear > 0 ? maxYear : 0,
+    include_unknown_dates: !!merged.include_unknown_dates,
+  }
+}
+
+/**
+ * Number of highlighted top matches for a query
+ * @param {Object} query - Similarity query
+ * @returns {number} min(TOP_MATCH_COUNT, n_results)
+ */
+function getTopMatchCount(query) {
+  return Math.min(TOP_MATCH_COUNT, query.n_results)
+}
+
+/**
+ * Describe the active filters for panel headings
+ * @param {Object} query - Similarity query
+ * @returns {string} e.g. "distance ≥ 0.1, up to 2015" (empty when unfiltered)
+ */
+function describeSimilarityFilters(query) {
+  const filters = []
+  if (query.min_distance >= 0) {
+    filters.push(`distance ≥ ${query.min_distance}`)
+  }
+  if (query.max_year > 0) filters.push(`up to ${query.max_year}`)
+  if (query.include_unknown_dates) filters.push('incl. undated')
+  return filters.join(', ')
+}
+
+/**
+ * Creates the similarity query form
+ * @param {string} containerId - ID of the element to render into
+ * @param {Object} options - Configuration options
+ * @param {Object} options.initialQuery - Initial query (default: DEFAULT_SIMILARITY_QUERY)
+ * @param {Function} options.onApply - Called with the normalized query when "Apply" is clicked
+ * @returns {Object|null} Panel controller, or null if the container is missing
+ */
+function createSimilarityQueryPanel(containerId, options = {}) {
+  const container = document.getElementById(containerId)
+  if (!container) {
+    console.error(
+      `Similarity query panel container #${containerId} not found`
+    )
+    return null
+  }
+
+  let query = normalizeSimilarityQuery(options.initialQuery)
+
+  container.innerHTML = `
+    <form class="similarity-query-form">
+      <label>
+        <span>Results</span>
+        <input type="number" name="n_results" min="1" max="${MAX_RESULTS}" step="1" required>
+      </label>
+      <label title="Leave empty for no cutoff">
+        <span>Min distance</span>
+        <input type="number" name="min_distance" min="0" max="1" step="0.01" placeholder="none">
+      </label>
+      <label title="Leave empty for no year limit">
+        <span>Max year</span>
+        <input type="number" name="max_year" min="1900" max="2100" step="1" placeholder="any">
+      </label>
+      <label class="similarity-query-checkbox">
+        <input type="checkbox" name="include_unknown_dates">
+        <span>Include undated sequences</span>
+      </label>
+      <button type="submit" class="btn btn-sm btn-primary">Apply</button>
+      <span class="similarity-query-status text-xs text-gray-500"></span>
+    </form>
+  `
+
+  const form = container.querySelector('form')
+  const fields = form.elements
+  const applyButton = form.querySelector('button[type="submit"]')
+  const statusElement = form.querySelector('.similarity-query-status')
+
+  /**
+   * Show a query in the form fields
+   * @param {Object} value - Normalized query
+   */
+  function fillForm(value) {
+    fields.n_results.value = value.n_results
+    fields.min_distance.value =
+      value.min_distance >= 0 ? value.min_distance : ''
+    fields.max_year.value = value.max_year > 0 ? value.max_year : ''
+    fields.include_unknown_dates.checked = value.include_unknown_dates
+  }
+
+  /**
+   * Read the form fields (empty fields mean "no limit")
+   * @returns {Object} Normalized query
+   */
+  function readForm() {
+    return normalizeSimilarityQuery({
+      n_results: fields.n_results.value,
+      min_distance:
+        fields.min_distance.value === '' ? -1 : fields.min_distance.value,
+      max_year: fields.max_year.value === '' ? 0 : fields.max_year.value,
+      include_unknown_dates: fields.include_unknown_dates.checked,
+    })
+  }
+
+  form.addEventListener('submit', (event) => {
+    event.preventDefault()
+    query = readForm()
+    fillForm(query) // Show clamped values
+    console.log('🔎 Similarity query applied:', query)
+    if (options.onApply) options.onApply(query)
+  })
+
+  fillForm(query)
+
+  return {
+    /**
+     * Get the applied query
+     * @returns {Object} Normalized query
+     */
+    getQuery() {
+      return { ...query }
+    },
+
+    /**
+     * Replace the applied query (e.g. when restoring results)
+     * @param {Object} value - Partial query
+     */
+    setQuery(value) {
+      query = normalizeSimilarityQuery(value)
+      fillForm(query)
+    },
+
+    /**
+     * Disable the form while a query runs
+     * @param {boolean} busy - Whether a query is running
+     * @param {string} message - Optional status text
+     */
+    setBusy(busy, message = '') {
+      applyButton.disabled = busy
+      applyButton.textContent = busy ? 'Running...' : 'Apply'
+      statusElement.textContent = message
+    },
+
+    /**
+     * Show a status message next to the form
+     * @param {string} message - Status text
+     */
+    setStatus(message) {
+      statusElement.textContent = message
+    },
+  }
+}
+
+export {
+  DEFAULT_SIMILARITY_QUERY,
+  TOP_MATCH_COUNT,
+  normalizeSimilarityQuery,
+  getTopMatchCount,
+  describeSimilarityFilters,
+  createSimilarityQueryPanel,
+}
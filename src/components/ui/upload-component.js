@@ -3,11 +3,55 @@
  * Handles file uploads, validation, and submission to the API
  */
 
+import {
+  DEFAULT_EMBEDDING_MODELS,
+  DEFAULT_EMBEDDING_MODEL,
+} from '../data/api-config.js'
+import { maskApiKey } from '../data/api-credentials.js'
+import {
+  splitFastaRecords,
+  validateFastaContent,
+  formatFasta,
+} from '../data/fasta-validation.js'
+import {
+  SEQUENCE_FORMATS,
+  getSequenceFileExtensions,
+  isSequenceFileName,
+  detectSequenceFormat,
+  readSequenceText,
+  parseFastqContent,
+  parseGenBankContent,
+} from '../data/sequence-formats.js'
+import { BASES, computeSequenceStats } from '../data/sequence-stats.js'
+import { escapeHtml } from './html-utils.js'
+
+// Records listed in the validation report (the rest are summarized)
+const MAX_REPORTED_RECORDS = 50
+// Records shown in the sequence preview
+const MAX_PREVIEW_RECORDS = 10
+// Delay before pasted text is parsed (ms)
+const PASTE_DEBOUNCE_MS = 400
+
+// Composition bar colours
+const BASE_COLORS = {
+  A: '#4CAF50',
+  C: '#2196F3',
+  G: '#FF9800',
+  T: '#F44336',
+  other: '#9E9E9E',
+}
+
 /**
  * Creates a modal dialog for FASTA file upload
  * @param {Object} options - Configuration options
- * @param {Function} options.onUpload - Callback when file is uploaded, receives (file, model, apiKey)
+ * @param {Function} options.onUpload - Callback when file is uploaded, receives (file, model, apiKey, { compareModel, sequenceMetadata }).
+ *   The file is always FASTA; sequenceMetadata maps record IDs to GenBank metadata (empty for other formats).
  * @param {Function} options.onCancel - Callback when upload is canceled
+ * @param {string} options.apiKey - Optional active API key, shown masked instead of an empty key input
+ * @param {boolean} options.requireApiKey - Whether an API key is needed to upload (default: true)
+ * @param {Function} options.validateApiKey - Optional, checks a newly entered key before upload and resolves to { valid, message } (see validateApiKey)
+ * @param {Function} options.loadModels - Optional, receives the entered API key and resolves to { models, source } (see fetchEmbeddingModels)
+ * @param {Object} options.lengthLimits - Optional sequence length bounds { minLength, maxLength } (see DEFAULT_LENGTH_LIMITS)
  * @returns {Object} Modal controller object
  */
 function createUploadModal(options = {}) {
@@ -46,7 +90,7 @@ function createUploadModal(options = {}) {
   modalHeader.style.marginBottom = '20px'
 
   const modalTitle = document.createElement('h3')
-  modalTitle.textContent = 'Upload FASTA Sequence'
+  modalTitle.textContent = 'Upload Sequence File'
   modalTitle.style.margin = '0'
 
   const closeButton = document.createElement('button')
@@ -65,6 +109,33 @@ function createUploadModal(options = {}) {
   modalHeader.appendChild(modalTitle)
   modalHeader.appendChild(closeButton)
 
+  // Create input tabs (file or pasted text)
+  const tabBar = document.createElement('div')
+  tabBar.className = 'upload-tabs'
+  tabBar.style.display = 'flex'
+  tabBar.style.gap = '4px'
+  tabBar.style.marginBottom = '12px'
+  tabBar.style.borderBottom = '1px solid #dee2e6'
+
+  const tabs = {}
+  ;[
+    ['file', 'Upload File'],
+    ['paste', 'Paste Sequence'],
+  ].forEach(([name, label]) => {
+    const tab = document.createElement('button')
+    tab.type = 'button'
+    tab.textContent = label
+    tab.dataset.tab = name
+    tab.style.padding = '6px 12px'
+    tab.style.border = 'none'
+    tab.style.borderBottom = '2px solid transparent'
+    tab.style.background = 'none'
+    tab.style.cursor = 'pointer'
+    tab.addEventListener('click', () => selectTab(name))
+    tabs[name] = tab
+    tabBar.appendChild(tab)
+  })
+
   // Create upload area
   const uploadArea = document.createElement('div')
   uploadArea.className = 'upload-area'
@@ -86,13 +157,21 @@ function createUploadModal(options = {}) {
     'Drag and drop your FASTA file here, or click to browse'
   uploadText.style.margin = '0'
 
+  const formatsText = document.createElement('p')
+  formatsText.textContent =
+    'FASTA (.fasta, .fa, .fna, .fas), FASTQ or GenBank, optionally gzip-compressed (.gz)'
+  formatsText.style.margin = '6px 0 0'
+  formatsText.style.fontSize = '0.75rem'
+  formatsText.style.color = '#6c757d'
+
   const fileInput = document.createElement('input')
   fileInput.type = 'file'
-  fileInput.accept = '.fasta,.fa'
+  fileInput.accept = getSequenceFileExtensions().join(',')
   fileInput.style.display = 'none'
 
   uploadArea.appendChild(uploadIcon)
   uploadArea.appendChild(uploadText)
+  uploadArea.appendChild(formatsText)
   uploadArea.appendChild(fileInput)
 
   // Add drag and drop functionality
@@ -122,6 +201,47 @@ function createUploadModal(options = {}) {
     fileInput.click()
   })
 
+  // Create paste area (initially hidden)
+  const pasteArea = document.createElement('div')
+  pasteArea.className = 'paste-area'
+  pasteArea.style.display = 'none'
+  pasteArea.style.marginBottom = '20px'
+
+  const pasteNameInput = document.createElement('input')
+  pasteNameInput.type = 'text'
+  pasteNameInput.placeholder = 'Sequence name (for raw sequences)'
+  pasteNameInput.value = 'pasted_sequence'
+  pasteNameInput.style.width = '100%'
+  pasteNameInput.style.padding = '8px'
+  pasteNameInput.style.borderRadius = '4px'
+  pasteNameInput.style.border = '1px solid #ccc'
+  pasteNameInput.style.boxSizing = 'border-box'
+  pasteNameInput.style.marginBottom = '8px'
+
+  const pasteTextarea = document.createElement('textarea')
+  pasteTextarea.placeholder =
+    'Paste nucleotides (e.g. ACGT...) or FASTA text with ">" headers'
+  pasteTextarea.rows = 8
+  pasteTextarea.spellcheck = false
+  pasteTextarea.style.width = '100%'
+  pasteTextarea.style.padding = '8px'
+  pasteTextarea.style.borderRadius = '4px'
+  pasteTextarea.style.border = '1px solid #ccc'
+  pasteTextarea.style.boxSizing = 'border-box'
+  pasteTextarea.style.fontFamily = 'monospace'
+  pasteTextarea.style.fontSize = '0.8rem'
+
+  pasteArea.appendChild(pasteNameInput)
+  pasteArea.appendChild(pasteTextarea)
+
+  let pasteTimer = null
+  const schedulePastePreview = () => {
+    clearTimeout(pasteTimer)
+    pasteTimer = setTimeout(handlePastedText, PASTE_DEBOUNCE_MS)
+  }
+  pasteTextarea.addEventListener('input', schedulePastePreview)
+  pasteNameInput.addEventListener('input', schedulePastePreview)
+
   fileInput.addEventListener('change', (e) => {
     const file = e.target.files[0]
     if (file) {
@@ -136,16 +256,40 @@ function createUploadModal(options = {}) {
 
   const apiKeyLabel = document.createElement('label')
   apiKeyLabel.htmlFor = 'api-key-input'
-  apiKeyLabel.textContent = 'API Key: fb4dd306b76df778464624698a6f0351'
+  apiKeyLabel.textContent = 'API Key:'
   apiKeyLabel.style.display = 'block'
   apiKeyLabel.style.marginBottom = '5px'
   apiKeyLabel.style.fontWeight = 'bold'
 
+  // The active key is shown masked; "Change" reveals the input for another key
+  const activeKeyRow = document.createElement('div')
+  activeKeyRow.className = 'active-key-row'
+  activeKeyRow.style.display = 'none'
+  activeKeyRow.style.alignItems = 'center'
+  activeKeyRow.style.gap = '8px'
+  activeKeyRow.style.fontSize = '0.875rem'
+
+  const activeKeyText = document.createElement('span')
+  activeKeyText.style.flexGrow = '1'
+
+  const changeKeyButton = document.createElement('button')
+  changeKeyButton.type = 'button'
+  changeKeyButton.textContent = 'Change'
+  changeKeyButton.className = 'btn btn-secondary'
+  changeKeyButton.style.padding = '4px 10px'
+  changeKeyButton.style.borderRadius = '4px'
+  changeKeyButton.style.border = '1px solid #ccc'
+  changeKeyButton.style.backgroundColor = '#f8f9fa'
+  changeKeyButton.style.cursor = 'pointer'
+
+  activeKeyRow.appendChild(activeKeyText)
+  activeKeyRow.appendChild(changeKeyButton)
+
   const apiKeyInput = document.createElement('input')
   apiKeyInput.type = 'password'
   apiKeyInput.id = 'api-key-input'
   apiKeyInput.name = 'apiKey'
-  apiKeyInput.required = true
+  apiKeyInput.autocomplete = 'off'
   apiKeyInput.placeholder = 'Enter your API key'
   apiKeyInput.style.width = '100%'
   apiKeyInput.style.padding = '8px'
@@ -153,8 +297,42 @@ function createUploadModal(options = {}) {
   apiKeyInput.style.border = '1px solid #ccc'
   apiKeyInput.style.boxSizing = 'border-box'
 
+  const apiKeyNote = document.createElement('div')
+  apiKeyNote.className = 'api-key-note'
+  apiKeyNote.style.fontSize = '0.75rem'
+  apiKeyNote.style.marginTop = '4px'
+  apiKeyNote.style.color = '#6c757d'
+
+  if (options.apiKey) {
+    activeKeyText.textContent = `Using the active key ${maskApiKey(
+      options.apiKey
+    )}`
+    activeKeyRow.style.display = 'flex'
+    apiKeyInput.style.display = 'none'
+  } else if (options.requireApiKey === false) {
+    apiKeyNote.textContent = 'Not needed for the current data mode.'
+  }
+
+  changeKeyButton.addEventListener('click', () => {
+    activeKeyRow.style.display = 'none'
+    apiKeyInput.style.display = 'block'
+    apiKeyNote.textContent =
+      'The new key is checked with the API before the upload.'
+    apiKeyInput.focus()
+  })
+
   apiKeyContainer.appendChild(apiKeyLabel)
+  apiKeyContainer.appendChild(activeKeyRow)
   apiKeyContainer.appendChild(apiKeyInput)
+  apiKeyContainer.appendChild(apiKeyNote)
+
+  /**
+   * The key to use: a newly entered key, otherwise the active key
+   * @returns {string} The API key (empty if there is none)
+   */
+  function getEnteredApiKey() {
+    return apiKeyInput.value.trim() || options.apiKey || ''
+  }
 
   // Create model selection
   const modelSelectionContainer = document.createElement('div')
@@ -175,24 +353,115 @@ function createUploadModal(options = {}) {
   modelSelect.style.padding = '8px'
   modelSelect.style.borderRadius = '4px'
   modelSelect.style.border = '1px solid #ccc'
-  modelSelect.disabled = true
-  modelSelect.style.backgroundColor = '#e9ecef'
-  modelSelect.style.cursor = 'not-allowed'
-
-  const models = [{ value: 'DNABERT-S', label: 'DNABERT-S (Default)' }]
-
-  models.forEach((model, index) => {
-    const option = document.createElement('option')
-    option.value = model.value
-    option.textContent = model.label
-    if (model.value === 'DNABERT-S') {
-      option.selected = true
+
+  const modelSourceNote = document.createElement('div')
+  modelSourceNote.style.fontSize = '0.75rem'
+  modelSourceNote.style.color = '#6c757d'
+  modelSourceNote.style.marginTop = '4px'
+
+  // Comparison mode: embed the same sequence with a second model
+  const compareLabel = document.createElement('label')
+  compareLabel.style.display = 'flex'
+  compareLabel.style.alignItems = 'center'
+  compareLabel.style.gap = '6px'
+  compareLabel.style.marginTop = '10px'
+  compareLabel.style.fontSize = '0.875rem'
+
+  const compareCheckbox = document.createElement('input')
+  compareCheckbox.type = 'checkbox'
+  compareCheckbox.id = 'compare-models-checkbox'
+  compareLabel.appendChild(compareCheckbox)
+  compareLabel.appendChild(
+    document.createTextNode('Compare with a second model')
+  )
+
+  const compareSelect = document.createElement('select')
+  compareSelect.id = 'compare-model-select'
+  compareSelect.className = 'model-select'
+  compareSelect.style.width = '100%'
+  compareSelect.style.padding = '8px'
+  compareSelect.style.borderRadius = '4px'
+  compareSelect.style.border = '1px solid #ccc'
+  compareSelect.style.marginTop = '6px'
+  compareSelect.style.display = 'none'
+
+  let availableModels = []
+
+  /**
+   * Fill the model selects, keeping the current choices if still offered
+   * @param {Array<Object>} models - Models { name, label, default }
+   * @param {string} source - 'api' or 'config'
+   */
+  function setModelOptions(models, source) {
+    availableModels = models
+    const selected =
+      modelSelect.value ||
+      models.find((model) => model.default)?.name ||
+      DEFAULT_EMBEDDING_MODEL
+    modelSelect.innerHTML = ''
+    models.forEach((model) => {
+      const option = document.createElement('option')
+      option.value = model.name
+      option.textContent = model.default
+        ? `${model.label} (Default)`
+        : model.label
+      option.selected = model.name === selected
+      modelSelect.appendChild(option)
+    })
+    modelSourceNote.textContent =
+      source === 'api'
+        ? `${models.length} models available from the API`
+        : 'Models from the dashboard configuration'
+    updateCompareOptions()
+  }
+
+  /**
+   * Offer every model except the primary one for comparison
+   */
+  function updateCompareOptions() {
+    const previous = compareSelect.value
+    const candidates = availableModels.filter(
+      (model) => model.name !== modelSelect.value
+    )
+    compareSelect.innerHTML = ''
+    candidates.forEach((model) => {
+      const option = document.createElement('option')
+      option.value = model.name
+      option.textContent = model.label
+      option.selected = model.name === previous
+      compareSelect.appendChild(option)
+    })
+    compareCheckbox.disabled = candidates.length === 0
+    if (candidates.length === 0) compareCheckbox.checked = false
+    compareSelect.style.display = compareCheckbox.checked ? 'block' : 'none'
+  }
+
+  /**
+   * Ask the API for its models (the configured list is shown meanwhile)
+   */
+  async function refreshModels() {
+    if (!options.loadModels) return
+    try {
+      const { models, source } = await options.loadModels(getEnteredApiKey())
+      if (models?.length) setModelOptions(models, source)
+    } catch (error) {
+      console.warn('Could not load the model list:', error)
+      modelSourceNote.textContent = `Could not load models from the API (${error.message}); showing configured models.`
     }
-    modelSelect.appendChild(option)
-  })
+  }
+
+  modelSelect.addEventListener('change', updateCompareOptions)
+  compareCheckbox.addEventListener('change', updateCompareOptions)
+  apiKeyInput.addEventListener('change', refreshModels)
+
+  setModelOptions(DEFAULT_EMBEDDING_MODELS, 'config')
+  refreshModels()
 
   modelSelectionContainer.appendChild(modelLabel)
   modelSelectionContainer.appendChild(modelSelect)
+  modelSelectionContainer.appendChild(modelSourceNote)
+  modelSelectionContainer.appendChild(compareLabel)
+  modelSelectionContainer.appendChild(compareSelect)
 
   // Create file info area (initially hidden)
   const fileInfoContainer = document.createElement('div')
@@ -234,19 +503,55 @@ function createUploadModal(options = {}) {
   uploadButton.style.cursor = 'pointer'
   uploadButton.disabled = true
   uploadButton.style.opacity = '0.5'
-  uploadButton.addEventListener('click', () => {
-    const apiKey = apiKeyInput.value.trim()
+  uploadButton.addEventListener('click', async () => {
+    const apiKey = getEnteredApiKey()
     const model = modelSelect.value
+    const compareModel =
+      compareCheckbox.checked && compareSelect.value
+        ? compareSelect.value
+        : null
 
-    if (!apiKey) {
+    if (!apiKey && options.requireApiKey !== false) {
       alert('API Key is required.')
+      apiKeyInput.style.display = 'block'
       apiKeyInput.focus()
       return
     }
 
+    // Check a newly entered key before uploading anything with it
+    if (apiKey && apiKey !== options.apiKey && options.validateApiKey) {
+      setUploadEnabled(false)
+      apiKeyNote.style.color = '#6c757d'
+      apiKeyNote.textContent = 'Checking the key with the API...'
+      validationController = new AbortController()
+      try {
+        const result = await options.validateApiKey(apiKey, {
+          signal: validationController.signal,
+        })
+        // Closed or cancelled while the key was being checked
+        if (!modalContainer.parentNode) return
+        if (!result.valid) {
+          apiKeyNote.style.color = '#dc3545'
+          apiKeyNote.textContent = result.message
+          apiKeyInput.focus()
+          return
+        }
+      } catch (error) {
+        if (error.name === 'AbortError' || !modalContainer.parentNode) return
+        // The upload reports connection problems itself
+        console.warn('Could not validate the API key:', error)
+      } finally {
+        validationController = null
+        setUploadEnabled(!!selectedFile)
+      }
+    }
+
     if (selectedFile) {
       if (options.onUpload) {
-        options.onUpload(selectedFile, model, apiKey)
+        options.onUpload(selectedFile, model, apiKey, {
+          compareModel,
+          sequenceMetadata,
+        })
       }
       closeModal()
     }
@@ -257,7 +562,9 @@ function createUploadModal(options = {}) {
 
   // Assemble modal
   modalContent.appendChild(modalHeader)
+  modalContent.appendChild(tabBar)
   modalContent.appendChild(uploadArea)
+  modalContent.appendChild(pasteArea)
   modalContent.appendChild(apiKeyContainer)
   modalContent.appendChild(modelSelectionContainer)
   modalContent.appendChild(fileInfoContainer)
@@ -269,29 +576,177 @@ function createUploadModal(options = {}) {
 
   // Track selected file
   let selectedFile = null
+  let sequenceMetadata = {} // GenBank metadata by record ID
+  let validationController = null // Aborts the API key check if the modal is closed
+  let selectionCount = 0 // Ignores validations of a file replaced meanwhile
+  let lastDroppedFile = null // Restored when switching back to the file tab
+
+  // Switch between the file and paste inputs
+  function selectTab(name) {
+    Object.entries(tabs).forEach(([tabName, tab]) => {
+      const active = tabName === name
+      tab.style.borderBottomColor = active ? '#007bff' : 'transparent'
+      tab.style.fontWeight = active ? 'bold' : 'normal'
+      tab.style.color = active ? '#007bff' : '#495057'
+    })
+    uploadArea.style.display = name === 'file' ? 'block' : 'none'
+    pasteArea.style.display = name === 'paste' ? 'block' : 'none'
+
+    clearSelection()
+    if (name === 'paste') {
+      pasteTextarea.focus()
+      handlePastedText()
+    } else if (lastDroppedFile) {
+      handleFileSelection(lastDroppedFile)
+    }
+  }
+
+  // Forget the selected file and hide its info
+  function clearSelection() {
+    selectionCount++
+    selectedFile = null
+    sequenceMetadata = {}
+    fileInfoContainer.style.display = 'none'
+    fileInfoContainer.innerHTML = ''
+    setUploadEnabled(false)
+  }
+
+  // Build an in-memory file from the pasted text and check it like an uploaded file
+  function handlePastedText() {
+    clearTimeout(pasteTimer)
+    const text = pasteTextarea.value.trim()
+    if (!text) {
+      clearSelection()
+      return
+    }
+    const name =
+      pasteNameInput.value.trim().replace(/\s+/g, '_') || 'pasted_sequence'
+    handleFileSelection(
+      new File([pastedTextToFasta(text, name)], `${name}.fasta`, {
+        type: 'text/plain',
+      }),
+      { pasted: true }
+    )
+  }
+
+  // Enable or disable the Upload button
+  function setUploadEnabled(enabled) {
+    uploadButton.disabled = !enabled
+    uploadButton.style.opacity = enabled ? '1' : '0.5'
+  }
+
+  // Show an error instead of the file info
+  function displayFileError(message) {
+    fileInfoContainer.style.display = 'block'
+    fileInfoContainer.innerHTML = `
+      <div style="color: #721c24; background-color: #f8d7da; padding: 10px; border-radius: 4px; border: 1px solid #f5c6cb;">
+        <strong>Error:</strong> ${message}
+      </div>
+    `
+  }
 
-  // Handle file selection
-  function handleFileSelection(file) {
-    if (validateFastaFile(file)) {
+  // Handle file selection: check the extension, then the content record by record
+  async function handleFileSelection(file, { pasted = false } = {}) {
+    if (!pasted) lastDroppedFile = file
+    const selection = ++selectionCount
+    selectedFile = null
+    sequenceMetadata = {}
+    setUploadEnabled(false)
+    if (!validateFastaFile(file)) {
+      displayFileError(
+        'Invalid file format. Please upload a FASTA, FASTQ or GenBank file (optionally .gz).'
+      )
+      return
+    }
+
+    let parsed
+    try {
+      parsed = await readSequenceFile(file)
+    } catch (error) {
+      console.error('Could not read the selected file:', error)
+      if (selection === selectionCount) {
+        displayFileError(
+          `Could not read ${escapeHtml(file.name)}: ${escapeHtml(error.message)}`
+        )
+      }
+      return
+    }
+    if (selection !== selectionCount) return
+
+    // Other formats and compressed files are uploaded as plain FASTA
+    const converted = parsed.format !== 'fasta' || parsed.compressed
+    const report = validateFastaContent(parsed.content, options.lengthLimits)
+    parsed.records.forEach((record) => {
+      if (record.metadata) {
+        sequenceMetadata[record.header.split(/\s+/)[0]] = record.metadata
+      }
+    })
+    if (converted) {
+      file = new File([parsed.content], toFastaFileName(file.name), {
+        type: 'text/plain',
+      })
+    }
+    console.log(
+      `FASTA validation: ${report.validCount} valid, ${report.invalidCount} invalid records`,
+      report.fileIssues
+    )
+
+    displayFileInfo(file, converted ? parsed : null)
+    if (parsed.records.length > 0) {
+      const previewElement = document.createElement('div')
+      previewElement.innerHTML = renderSequencePreview(parsed.records)
+      fileInfoContainer.appendChild(previewElement)
+    }
+    if (report.ok) {
       selectedFile = file
-      displayFileInfo(file)
-      uploadButton.disabled = false
-      uploadButton.style.opacity = '1'
-    } else {
-      selectedFile = null
-      fileInfoContainer.style.display = 'block'
-      fileInfoContainer.innerHTML = `
-        <div style="color: #721c24; background-color: #f8d7da; padding: 10px; border-radius: 4px; border: 1px solid #f5c6cb;">
-          <strong>Error:</strong> Invalid file format. Please upload a valid FASTA file (.fasta or .fa).
-        </div>
-      `
-      uploadButton.disabled = true
-      uploadButton.style.opacity = '0.5'
+      setUploadEnabled(true)
+      return
+    }
+
+    const reportElement = document.createElement('div')
+    reportElement.innerHTML = renderValidationReport(report)
+    fileInfoContainer.appendChild(reportElement)
+
+    // Some records are usable: let the user upload them without the bad ones
+    if (report.fileIssues.length === 0 && report.validCount > 0) {
+      const dropButton = document.createElement('button')
+      dropButton.type = 'button'
+      dropButton.className = 'btn btn-sm btn-secondary'
+      dropButton.style.marginTop = '8px'
+      dropButton.textContent = `Remove ${report.invalidCount} invalid record${
+        report.invalidCount === 1 ? '' : 's'
+      } and continue`
+      dropButton.addEventListener('click', () => {
+        const validRecords = report.records.filter(
+          (record) => record.issues.length === 0
+        )
+        selectedFile = new File([formatFasta(validRecords)], file.name, {
+          type: file.type || 'text/plain',
+        })
+        displayFileInfo(selectedFile)
+        const note = document.createElement('div')
+        note.style.fontSize = '0.875rem'
+        note.style.color = '#856404'
+        note.style.marginTop = '8px'
+        note.textContent = `Removed ${report.invalidCount} invalid record${
+          report.invalidCount === 1 ? '' : 's'
+        }; ${validRecords.length} will be uploaded.`
+        fileInfoContainer.appendChild(note)
+        setUploadEnabled(true)
+      })
+      reportElement.appendChild(dropButton)
     }
   }
 
-  // Display file info
-  function displayFileInfo(file) {
+  // Display file info (with the original format when the file was converted to FASTA)
+  function displayFileInfo(file, parsed = null) {
+    const conversion = parsed
+      ? `<div style="font-size: 0.75rem; color: #6c757d;">Converted from ${
+          SEQUENCE_FORMATS[parsed.format].label
+        }${parsed.compressed ? ' (gzip)' : ''}: ${parsed.records.length} record${
+          parsed.records.length === 1 ? '' : 's'
+        }</div>`
+      : ''
     fileInfoContainer.style.display = 'block'
     fileInfoContainer.innerHTML = `
       <div style="display: flex; align-items: center; gap: 10px;">
@@ -305,18 +760,25 @@ function createUploadModal(options = {}) {
           </svg>
         </div>
         <div style="flex-grow: 1;">
-          <div style="font-weight: bold;">${file.name}</div>
+          <div style="font-weight: bold;">${escapeHtml(file.name)}</div>
           <div style="font-size: 0.875rem; color: #6c757d;">${formatFileSize(
             file.size
           )}</div>
+          ${conversion}
         </div>
       </div>
     `
   }
 
+  selectTab('file')
+
   // Close modal function
   function closeModal() {
-    document.body.removeChild(modalContainer)
+    clearTimeout(pasteTimer)
+    validationController?.abort()
+    if (modalContainer.parentNode) {
+      document.body.removeChild(modalContainer)
+    }
   }
 
   // Return controller object
@@ -325,17 +787,157 @@ function createUploadModal(options = {}) {
   }
 }
 
+/**
+ * Turn pasted text into FASTA: formatted text (FASTA, FASTQ, GenBank) is kept,
+ * raw nucleotides get a header (digits and whitespace, e.g. from GenBank listings, are removed)
+ * @param {string} text - Pasted text
+ * @param {string} name - Header for raw sequences
+ * @returns {string} File content
+ */
+function pastedTextToFasta(text, name) {
+  if (/^(>|@|LOCUS)/.test(text)) return `${text}\n`
+  return `>${name}\n${text.replace(/[\d\s]/g, '')}\n`
+}
+
+/**
+ * Render the preview of parsed records: length, GC content, N count and base composition
+ * @param {Array<Object>} records - Records { header, sequence }
+ * @returns {string} HTML markup
+ */
+function renderSequencePreview(records) {
+  const rows = records.slice(0, MAX_PREVIEW_RECORDS).map((record, index) => {
+    const stats = computeSequenceStats(record.sequence)
+    const parts = [...BASES, 'other'].filter(
+      (base) => stats.composition[base] > 0
+    )
+    const bar = parts
+      .map((base) => {
+        const share = (stats.composition[base] / (stats.length || 1)) * 100
+        return `<span title="${base === 'other' ? 'Other' : base}: ${share.toFixed(
+          1
+        )}%" style="display: inline-block; height: 100%; width: ${share}%; background-color: ${
+          BASE_COLORS[base]
+        };"></span>`
+      })
+      .join('')
+    const id = record.header?.split(/\s+/)[0] || `Record ${index + 1}`
+    return `
+      <tr>
+        <td style="font-family: monospace; max-width: 140px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap;" title="${escapeHtml(
+          record.header || ''
+        )}">${escapeHtml(id)}</td>
+        <td style="text-align: right;">${stats.length.toLocaleString()} bp</td>
+        <td style="text-align: right;">${
+          stats.gcContent != null ? `${(stats.gcContent * 100).toFixed(1)}%` : '–'
+        }</td>
+        <td style="text-align: right;">${stats.nCount.toLocaleString()}</td>
+        <td style="width: 35%;"><div style="display: flex; height: 10px; border-radius: 2px; overflow: hidden; background-color: #eee;">${bar}</div></td>
+      </tr>`
+  })
+
+  const legend = [...BASES, 'other']
+    .map(
+      (base) =>
+        `<span style="display: inline-flex; align-items: center; gap: 3px;"><span style="display: inline-block; width: 8px; height: 8px; background-color: ${
+          BASE_COLORS[base]
+        };"></span>${base === 'other' ? 'Other' : base}</span>`
+    )
+    .join(' ')
+
+  return `
+    <table style="width: 100%; margin-top: 10px; font-size: 0.8rem; border-collapse: collapse;">
+      <thead>
+        <tr style="color: #6c757d; text-align: left;">
+          <th>Record</th>
+          <th style="text-align: right;">Length</th>
+          <th style="text-align: right;">GC</th>
+          <th style="text-align: right;">N</th>
+          <th>Composition</th>
+        </tr>
+      </thead>
+      <tbody>${rows.join('')}</tbody>
+    </table>
+    <div style="display: flex; justify-content: space-between; margin-top: 4px; font-size: 0.75rem; color: #6c757d;">
+      <span>${
+        records.length > MAX_PREVIEW_RECORDS
+          ? `...and ${records.length - MAX_PREVIEW_RECORDS} more records`
+          : ''
+      }</span>
+      <span style="display: flex; gap: 8px;">${legend}</span>
+    </div>
+  `
+}
+
+/**
+ * Render a FASTA validation report: file-level problems, or the issues of each invalid record
+ * @param {Object} report - Result of validateFastaContent
+ * @returns {string} HTML markup
+ */
+function renderValidationReport(report) {
+  const boxStyle =
+    'margin-top: 10px; padding: 10px; border-radius: 4px; font-size: 0.875rem;'
+  if (report.fileIssues.length > 0) {
+    return `
+      <div style="${boxStyle} color: #721c24; background-color: #f8d7da; border: 1px solid #f5c6cb;">
+        <strong>This file can't be uploaded:</strong>
+        ${report.fileIssues.map((issue) => escapeHtml(issue.message)).join(' ')}
+      </div>
+    `
+  }
+
+  const invalidRecords = report.records.filter(
+    (record) => record.issues.length > 0
+  )
+  const listed = invalidRecords.slice(0, MAX_REPORTED_RECORDS)
+  const summary =
+    report.validCount > 0
+      ? `${report.invalidCount} of ${report.records.length} records have problems. Remove them to upload the other ${report.validCount}, or fix the file.`
+      : `None of the ${report.records.length} records can be uploaded. Please fix the file.`
+
+  return `
+    <div style="${boxStyle} color: #856404; background-color: #fff3cd; border: 1px solid #ffeeba;">
+      <strong>${summary}</strong>
+      <ul style="margin: 8px 0 0; padding-left: 20px; max-height: 200px; overflow-y: auto;">
+        ${listed
+          .map(
+            (record) => `
+          <li style="margin-bottom: 4px;">
+            <span style="font-family: monospace;">${escapeHtml(
+              record.id || `Record ${record.index + 1}`
+            )}</span>
+            <span style="color: #6c757d;">(line ${record.line})</span>:
+            ${record.issues.map((issue) => escapeHtml(issue.message)).join(' ')}
+          </li>`
+          )
+          .join('')}
+      </ul>
+      ${
+        invalidRecords.length > listed.length
+          ? `<div>...and ${invalidRecords.length - listed.length} more.</div>`
+          : ''
+      }
+    </div>
+  `
+}
+
 /**
  * Validates if a file is a valid FASTA file
  * @param {File} file - File to validate
  * @returns {Promise<boolean>} True if file is valid FASTA
  */
 function validateFastaFile(file) {
-  // Basic validation based on file extension
-  const validExtensions = ['.fasta', '.fa']
-  const fileName = file.name.toLowerCase()
+  // Basic validation based on file extension (FASTA, FASTQ, GenBank, optionally .gz)
+  return isSequenceFileName(file.name)
+}
 
-  return validExtensions.some((ext) => fileName.endsWith(ext))
+/**
+ * Name of the FASTA file a converted upload is sent as
+ * @param {string} fileName - Original file name (e.g. "reads.fastq.gz")
+ * @returns {string} e.g. "reads.fasta"
+ */
+function toFastaFileName(fileName) {
+  const base = fileName.replace(/\.gz$/i, '').replace(/\.[^.]+$/, '')
+  return `${base || 'sequence'}.fasta`
 }
 
 /**
@@ -375,52 +977,45 @@ async function readFastaFile(file) {
 }
 
 /**
- * Parses FASTA content and extracts sequences
- * @param {string} content - FASTA file content
- * @returns {Array<Object>} Array of sequence objects
+ * Reads a sequence file in any supported format and normalizes it to FASTA
+ * @param {File} file - FASTA, FASTQ or GenBank file, optionally gzip-compressed
+ * @returns {Promise<Object>} { format, compressed, records, content } where records are
+ *   { header, sequence, metadata? } and content is FASTA text (the original text for FASTA files)
  */
-function parseFastaContent(content) {
-  const sequences = []
-  const lines = content.split('\n')
+async function readSequenceFile(file) {
+  const { content, compressed } = await readSequenceText(file)
+  const format = detectSequenceFormat(file.name, content)
 
-  let currentHeader = ''
-  let currentSequence = ''
+  let records
+  if (format === 'fastq') records = parseFastqContent(content)
+  else if (format === 'genbank') records = parseGenBankContent(content)
+  else records = parseFastaContent(content)
 
-  for (const line of lines) {
-    const trimmedLine = line.trim()
-
-    if (trimmedLine.startsWith('>')) {
-      // If we already have a sequence, save it before starting a new one
-      if (currentHeader && currentSequence) {
-        sequences.push({
-          header: currentHeader,
-          sequence: currentSequence,
-        })
-      }
-
-      // Start a new sequence
-      currentHeader = trimmedLine.substring(1)
-      currentSequence = ''
-    } else if (trimmedLine && currentHeader) {
-      // Add to the current sequence
-      currentSequence += trimmedLine
-    }
-  }
-
-  // Add the last sequence if there is one
-  if (currentHeader && currentSequence) {
-    sequences.push({
-      header: currentHeader,
-      sequence: currentSequence,
-    })
+  return {
+    format,
+    compressed,
+    records,
+    content: format === 'fasta' ? content : formatFasta(records),
   }
+}
 
-  return sequences
+/**
+ * Parses FASTA content and extracts sequences (split like the validation, see
+ * splitFastaRecords; headerless lines and empty records are dropped)
+ * @param {string} content - FASTA file content
+ * @returns {Array<Object>} Array of sequence objects
+ */
+function parseFastaContent(content) {
+  return splitFastaRecords(content)
+    .filter((record) => record.header && record.sequence)
+    .map(({ header, sequence }) => ({ header, sequence }))
 }
 
 export {
   createUploadModal,
   validateFastaFile,
   readFastaFile,
+  readSequenceFile,
   parseFastaContent,
+  formatFileSize,
 }
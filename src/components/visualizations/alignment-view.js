@@ -0,0 +1,388 @@
+/**
+ * Alignment view
+ * Pairwise alignment of the uploaded sequence with one similar match: identity
+ * next to the embedding similarity, a track of mismatches and indels along
+ * the alignment, and the aligned bases. Also asks for the match's sequence
+ * when the API can't provide it.
+ */
+
+import * as d3 from 'd3'
+import { escapeHtml } from '../ui/html-utils.js'
+
+const BLOCK_WIDTH = 60 // Alignment columns per viewer line
+const TRACK_HEIGHT = 64
+// Track rows, top to bottom
+const TRACK_ROWS = [
+  { key: 'insertion', label: 'Insertions' },
+  { key: 'mismatch', label: 'Mismatches' },
+  { key: 'deletion', label: 'Deletions' },
+]
+
+/**
+ * Format a fraction as a percentage
+ * @param {number} value - Fraction between 0 and 1
+ * @returns {string} e.g. "97.4%" ("n/a" for null)
+ */
+function formatPercent(value) {
+  return value == null ? 'n/a' : `${(value * 100).toFixed(1)}%`
+}
+
+/**
+ * Classify an alignment column
+ * @param {string} q - Query character ('-' for a gap)
+ * @param {string} r - Reference character ('-' for a gap)
+ * @returns {string} 'match', 'mismatch', 'insertion', 'deletion' or 'ambiguous'
+ */
+function classifyColumn(q, r) {
+  if (r === '-') return 'insertion'
+  if (q === '-') return 'deletion'
+  if (!'ACGT'.includes(q) || !'ACGT'.includes(r)) return 'ambiguous'
+  return q === r ? 'match' : 'mismatch'
+}
+
+/**
+ * Parse a pasted sequence (FASTA or plain bases)
+ * @param {string} text - Pasted text
+ * @returns {string} Sequence without headers and whitespace
+ */
+function parsePastedSequence(text) {
+  return text
+    .split(/\r?\n/)
+    .filter((line) => !line.startsWith('>'))
+    .join('')
+    .replace(/\s+/g, '')
+    .toUpperCase()
+}
+
+/**
+ * Create the alignment view
+ * @param {string} containerId - ID of the container element
+ * @returns {Object|null} View API { update, showPending, showError, requestSequence, clear, destroy }, or null if the container is missing
+ */
+export function createAlignmentView(containerId) {
+  const container = document.getElementById(containerId)
+  if (!container) {
+    console.error(`Container with ID "${containerId}" not found`)
+    return null
+  }
+
+  container.innerHTML = `
+    <div class="alignment">
+      <div class="alignment-status"></div>
+      <form class="alignment-supply" style="display: none;">
+        <textarea class="alignment-supply-text" rows="4" spellcheck="false" placeholder=">match&#10;ACGT..."></textarea>
+        <div class="alignment-supply-actions">
+          <input type="file" class="alignment-supply-file" accept=".fasta,.fa,.fna,.txt">
+          <button type="submit" class="btn btn-sm btn-primary">Align</button>
+        </div>
+      </form>
+      <dl class="alignment-stats"></dl>
+      <div class="alignment-track"></div>
+      <div class="alignment-viewer"></div>
+    </div>
+  `
+
+  const statusElement = container.querySelector('.alignment-status')
+  const supplyForm = container.querySelector('.alignment-supply')
+  const supplyText = container.querySelector('.alignment-supply-text')
+  const supplyFile = container.querySelector('.alignment-supply-file')
+  const statsElement = container.querySelector('.alignment-stats')
+  const trackElement = container.querySelector('.alignment-track')
+  const viewerElement = container.querySelector('.alignment-viewer')
+
+  let onSupply = null
+
+  supplyFile.addEventListener('change', async () => {
+    const file = supplyFile.files[0]
+    if (file) supplyText.value = await file.text()
+  })
+
+  supplyForm.addEventListener('submit', (event) => {
+    event.preventDefault()
+    const sequence = parsePastedSequence(supplyText.value)
+    if (!sequence) {
+      statusElement.textContent = 'Paste a sequence or choose a FASTA file.'
+      return
+    }
+    if (onSupply) onSupply(sequence)
+  })
+
+  /**
+   * Remove the previous alignment
+   */
+  function clearResults() {
+    statsElement.innerHTML = ''
+    trackElement.innerHTML = ''
+    viewerElement.innerHTML = ''
+  }
+
+  /**
+   * Show the alignment statistics
+   * @param {Object} alignment - Result of alignSequences
+   * @param {number} similarity - Embedding similarity of the match (0-1)
+   */
+  function renderStats(alignment, similarity) {
+    const queryCoverage =
+      (alignment.queryEnd - alignment.queryStart) / alignment.queryLength
+    const rows = [
+      ['Identity', formatPercent(alignment.identity)],
+      ['Embedding similarity', formatPercent(similarity)],
+      ['Aligned columns', alignment.columns.toLocaleString()],
+      ['Mismatches', alignment.mismatches.toLocaleString()],
+      [
+        'Insertions / deletions',
+        `${alignment.insertions.toLocaleString()} / ${alignment.deletions.toLocaleString()} bp in ${alignment.gapOpenings.toLocaleString()} gaps`,
+      ],
+      ['Ambiguous columns', alignment.ambiguous.toLocaleString()],
+      [
+        'Your sequence',
+        `${(alignment.queryStart + 1).toLocaleString()}–${alignment.queryEnd.toLocaleString()} of ${alignment.queryLength.toLocaleString()} (${formatPercent(
+          queryCoverage
+        )})`,
+      ],
+      [
+        'Match',
+        `${(alignment.referenceStart + 1).toLocaleString()}–${alignment.referenceEnd.toLocaleString()} of ${alignment.referenceLength.toLocaleString()}`,
+      ],
+    ]
+    statsElement.innerHTML = rows
+      .map(([term, value]) => `<dt>${term}</dt><dd>${value}</dd>`)
+      .join('')
+  }
+
+  /**
+   * Scroll the viewer to an alignment column
+   * @param {number} column - 0-based alignment column
+   */
+  function scrollToColumn(column) {
+    const block = viewerElement.querySelector(
+      `[data-block="${Math.floor(column / BLOCK_WIDTH)}"]`
+    )
+    if (block) viewerElement.scrollTop = block.offsetTop - viewerElement.offsetTop
+  }
+
+  /**
+   * Draw the mismatch/indel track (one bin per pixel column)
+   * @param {Object} alignment - Result of alignSequences
+   */
+  function renderTrack(alignment) {
+    const width = trackElement.clientWidth || 600
+    const margin = { top: 4, right: 8, bottom: 18, left: 80 }
+    const columns = alignment.columns
+    const x = d3
+      .scaleLinear()
+      .domain([0, columns])
+      .range([margin.left, width - margin.right])
+    const binCount = Math.max(1, Math.floor(width - margin.left - margin.right))
+    const binSize = Math.max(1, columns / binCount)
+    const y = d3
+      .scaleBand()
+      .domain(TRACK_ROWS.map((row) => row.key))
+      .range([margin.top, TRACK_HEIGHT - margin.bottom])
+      .padding(0.2)
+
+    const bins = new Map(TRACK_ROWS.map((row) => [row.key, new Map()]))
+    for (let column = 0; column < columns; column++) {
+      const type = classifyColumn(
+        alignment.alignedQuery[column],
+        alignment.alignedReference[column]
+      )
+      const rowBins = bins.get(type)
+      if (!rowBins) continue
+      const bin = Math.floor(column / binSize)
+      rowBins.set(bin, (rowBins.get(bin) || 0) + 1)
+    }
+
+    const svg = d3
+      .select(trackElement)
+      .append('svg')
+      .attr('width', width)
+      .attr('height', TRACK_HEIGHT)
+      .attr('role', 'img')
+      .attr('aria-label', 'Mismatches and indels along the alignment')
+
+    svg
+      .append('g')
+      .attr('transform', `translate(0,${TRACK_HEIGHT - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(6).tickFormat(d3.format('~s')))
+
+    TRACK_ROWS.forEach((row) => {
+      svg
+        .append('text')
+        .attr('class', 'alignment-track-label')
+        .attr('x', margin.left - 6)
+        .attr('y', y(row.key) + y.bandwidth() / 2)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', 'end')
+        .text(row.label)
+      svg
+        .append('rect')
+        .attr('class', 'alignment-track-lane')
+        .attr('x', margin.left)
+        .attr('y', y(row.key))
+        .attr('width', width - margin.left - margin.right)
+        .attr('height', y.bandwidth())
+      svg
+        .append('g')
+        .selectAll('rect')
+        .data([...bins.get(row.key)])
+        .join('rect')
+        .attr('class', `alignment-track-${row.key}`)
+        .attr('x', ([bin]) => x(bin * binSize))
+        .attr('width', Math.max(1, x(binSize) - x(0)))
+        .attr('y', y(row.key))
+        .attr('height', y.bandwidth())
+        .append('title')
+        .text(
+          ([bin, count]) =>
+            `${count} ${row.label.toLowerCase()} near column ${Math.round(
+              bin * binSize + 1
+            ).toLocaleString()}`
+        )
+    })
+
+    // Click to show that part of the alignment
+    svg
+      .append('rect')
+      .attr('x', margin.left)
+      .attr('y', margin.top)
+      .attr('width', width - margin.left - margin.right)
+      .attr('height', TRACK_HEIGHT - margin.top - margin.bottom)
+      .attr('fill', 'transparent')
+      .style('cursor', 'pointer')
+      .on('click', (event) =>
+        scrollToColumn(Math.floor(x.invert(d3.pointer(event)[0])))
+      )
+  }
+
+  /**
+   * Render the aligned bases in blocks of BLOCK_WIDTH columns
+   * @param {Object} alignment - Result of alignSequences
+   * @param {Object} labels - { query, reference } row labels
+   */
+  function renderViewer(alignment, labels) {
+    const { alignedQuery, alignedReference } = alignment
+    const labelWidth = Math.max(labels.query.length, labels.reference.length)
+    const positionWidth = String(
+      Math.max(alignment.queryEnd, alignment.referenceEnd)
+    ).length
+    let queryPosition = alignment.queryStart
+    let referencePosition = alignment.referenceStart
+    const blocks = []
+
+    for (let start = 0; start < alignment.columns; start += BLOCK_WIDTH) {
+      const end = Math.min(start + BLOCK_WIDTH, alignment.columns)
+      let query = ''
+      let reference = ''
+      let markers = ''
+      const queryFrom = queryPosition + 1
+      const referenceFrom = referencePosition + 1
+      for (let column = start; column < end; column++) {
+        const q = alignedQuery[column]
+        const r = alignedReference[column]
+        const type = classifyColumn(q, r)
+        if (q !== '-') queryPosition++
+        if (r !== '-') referencePosition++
+        if (type === 'match') {
+          query += q
+          reference += r
+          markers += '|'
+        } else {
+          query += `<span class="alignment-${type}">${q}</span>`
+          reference += `<span class="alignment-${type}">${r}</span>`
+          markers += type === 'mismatch' ? '.' : ' '
+        }
+      }
+      const pad = (text, size) => String(text).padStart(size)
+      blocks.push(`
+        <div class="alignment-block" data-block="${start / BLOCK_WIDTH}">${escapeHtml(
+          labels.query.padEnd(labelWidth)
+        )} ${pad(queryFrom, positionWidth)} ${query} ${queryPosition}
+${' '.repeat(labelWidth + positionWidth + 2)}${markers}
+${escapeHtml(labels.reference.padEnd(labelWidth))} ${pad(
+          referenceFrom,
+          positionWidth
+        )} ${reference} ${referencePosition}</div>`)
+    }
+    viewerElement.innerHTML = blocks.join('')
+  }
+
+  return {
+    /**
+     * Show an alignment
+     * @param {Object} alignment - Result of alignSequences
+     * @param {Object} context - Display context
+     * @param {string} context.queryLabel - Label of the uploaded sequence
+     * @param {string} context.referenceLabel - Label of the match
+     * @param {number} context.similarity - Embedding similarity of the match (0-1)
+     */
+    update(alignment, { queryLabel = 'Query', referenceLabel = 'Match', similarity = null } = {}) {
+      onSupply = null
+      supplyForm.style.display = 'none'
+      clearResults()
+      statusElement.textContent =
+        similarity != null && Math.abs(alignment.identity - similarity) > 0.1
+          ? `Nucleotide identity and embedding similarity differ by ${Math.round(
+              Math.abs(alignment.identity - similarity) * 100
+            )} points.`
+          : ''
+      renderStats(alignment, similarity)
+      renderTrack(alignment)
+      renderViewer(alignment, {
+        query: queryLabel.slice(0, 12),
+        reference: referenceLabel.slice(0, 12),
+      })
+    },
+
+    /**
+     * Show a status line while the sequence is fetched or aligned
+     * @param {string} message - Status text
+     */
+    showPending(message) {
+      supplyForm.style.display = 'none'
+      clearResults()
+      statusElement.textContent = message
+    },
+
+    /**
+     * Show an error instead of the alignment
+     * @param {string} message - Error text
+     */
+    showError(message) {
+      clearResults()
+      statusElement.textContent = message
+    },
+
+    /**
+     * Ask for the match's sequence (when the API has none)
+     * @param {string} message - Explanation shown above the form
+     * @param {Function} onSequence - Called with the pasted or loaded sequence
+     */
+    requestSequence(message, onSequence) {
+      clearResults()
+      statusElement.textContent = message
+      supplyText.value = ''
+      supplyFile.value = ''
+      supplyForm.style.display = 'block'
+      onSupply = onSequence
+    },
+
+    /**
+     * Remove the shown alignment
+     */
+    clear() {
+      onSupply = null
+      supplyForm.style.display = 'none'
+      statusElement.textContent = ''
+      clearResults()
+    },
+
+    /**
+     * Remove the view's markup
+     */
+    destroy() {
+      container.innerHTML = ''
+      console.log(`Alignment view ${containerId} destroyed.`)
+    },
+  }
+}
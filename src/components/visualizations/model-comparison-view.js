@@ -0,0 +1,195 @@
+/**
+ * Model comparison view
+ * Shows the UMAP projection and top similar sequences of one uploaded sequence
+ * for two embedding models side by side, with the overlap between both result sets.
+ */
+
+import { createUmapScatterPlot } from './scatter-plot.js'
+import { resultKey } from '../data/model-comparison.js'
+import { escapeHtml } from '../ui/html-utils.js'
+
+/**
+ * Convert /pathtrack/sequence/similar results into scatter plot points
+ * @param {Array<Object>} results - Similarity results (best first)
+ * @param {number} topMatchCount - Number of results drawn as top matches
+ * @returns {Array<Object>} Points { id, x, y, similarity, metadata, isTop10, ... }
+ */
+function toPlotPoints(results, topMatchCount) {
+  return results
+    .filter(
+      (result) =>
+        result.umap_coords?.x != null && result.umap_coords?.y != null
+    )
+    .map((result, index) => ({
+      id: result.id,
+      similarity: result.similarity,
+      distance: result.distance,
+      metadata: result.metadata,
+      accession: result.metadata?.accessions?.[0] || result.id,
+      label: result.metadata?.accessions?.[0] || result.id,
+      x: result.umap_coords.x,
+      y: result.umap_coords.y,
+      isTop10: index < topMatchCount,
+      isUserSequence: false,
+    }))
+}
+
+/**
+ * Format a fraction as a percentage
+ * @param {number} value - Fraction between 0 and 1
+ * @returns {string} e.g. "42%"
+ */
+function formatPercent(value) {
+  return `${Math.round(value * 100)}%`
+}
+
+/**
+ * Create the side-by-side model comparison view
+ * @param {string} containerId - ID of the container element
+ * @param {Object} options - Configuration options
+ * @param {number} options.plotHeight - Height of each UMAP plot in pixels (default: 320)
+ * @returns {Object|null} View API { update, showPending, destroy }, or null if the container is missing
+ */
+export function createModelComparisonView(containerId, options = {}) {
+  const config = { plotHeight: 320, ...options }
+  const container = document.getElementById(containerId)
+  if (!container) {
+    console.error(`Container with ID "${containerId}" not found`)
+    return null
+  }
+
+  container.innerHTML = `
+    <div class="model-comparison">
+      <div class="model-comparison-stats"></div>
+      <div class="model-comparison-grid">
+        ${['a', 'b']
+          .map(
+            (side) => `
+          <div class="model-comparison-column">
+            <h3 class="model-comparison-title"></h3>
+            <div id="${containerId}-umap-${side}" class="model-comparison-umap" style="height: ${config.plotHeight}px;"></div>
+            <ol class="model-comparison-list"></ol>
+          </div>`
+          )
+          .join('')}
+      </div>
+    </div>
+  `
+
+  const statsElement = container.querySelector('.model-comparison-stats')
+  const columns = [...container.querySelectorAll('.model-comparison-column')]
+  const plots = [null, null]
+
+  /**
+   * Render one model's column
+   * @param {number} side - 0 for the first model, 1 for the second
+   * @param {Object} column - { model, userSequence, results }
+   * @param {Map<string, number>} otherRanks - Result key → rank in the other model's list
+   * @param {string} otherModel - Name of the other model
+   * @param {number} topMatchCount - Number of results listed
+   */
+  function renderColumn(side, column, otherRanks, otherModel, topMatchCount) {
+    const element = columns[side]
+    element.querySelector('.model-comparison-title').textContent =
+      `${column.model} (${column.results.length} results)`
+
+    const points = toPlotPoints(column.results, topMatchCount)
+    if (!plots[side]) {
+      plots[side] = createUmapScatterPlot(
+        `${containerId}-umap-${side === 0 ? 'a' : 'b'}`,
+        points,
+        { initialUserSequence: column.userSequence }
+      )
+    } else {
+      plots[side].updateScatterPlot(points, column.userSequence)
+    }
+
+    element.querySelector('.model-comparison-list').innerHTML = column.results
+      .slice(0, topMatchCount)
+      .map((result) => {
+        const otherRank = otherRanks.get(resultKey(result))
+        const accession = result.metadata?.accessions?.[0] || result.id
+        const note =
+          otherRank != null
+            ? `#${otherRank + 1} in ${otherModel}`
+            : `not in ${otherModel}`
+        return `
+          <li class="${otherRank != null ? 'shared' : ''}">
+            <span class="model-comparison-accession">${escapeHtml(
+              accession
+            )}</span>
+            <span class="model-comparison-similarity">${formatPercent(
+              result.similarity ?? 0
+            )}</span>
+            <span class="model-comparison-note">${escapeHtml(note)}</span>
+          </li>`
+      })
+      .join('')
+  }
+
+  /**
+   * Render the overlap statistics
+   * @param {Array<string>} models - Both model names
+   * @param {Object} stats - Result of compareSimilarityResults
+   */
+  function renderStats(models, stats) {
+    const overlap = stats.overlapAtK
+      .map(
+        ({ k, shared, fraction }) =>
+          `<span class="model-comparison-stat"><strong>Top ${k}:</strong> ${shared} shared (${formatPercent(
+            fraction
+          )})</span>`
+      )
+      .join('')
+    const correlation =
+      stats.rankCorrelation != null ? stats.rankCorrelation.toFixed(2) : 'n/a'
+    statsElement.innerHTML = `
+      <span class="model-comparison-stat"><strong>${stats.shared}</strong> of ${stats.sizeA} / ${stats.sizeB} results shared</span>
+      <span class="model-comparison-stat"><strong>Jaccard:</strong> ${stats.jaccard.toFixed(2)}</span>
+      ${overlap}
+      <span class="model-comparison-stat" title="Spearman correlation of the shared results' ranks"><strong>Rank correlation:</strong> ${correlation}</span>
+      <span class="model-comparison-stat">${stats.onlyA} only in ${escapeHtml(models[0])}, ${stats.onlyB} only in ${escapeHtml(models[1])}</span>
+    `
+  }
+
+  return {
+    /**
+     * Show both models' results
+     * @param {Object} comparison - Comparison data
+     * @param {Array<Object>} comparison.columns - Two { model, userSequence, results } entries
+     * @param {Object} comparison.stats - Result of compareSimilarityResults
+     * @param {number} comparison.topMatchCount - Number of results listed per model (default: 10)
+     */
+    update({ columns: data, stats, topMatchCount = 10 }) {
+      const ranks = data.map(
+        (column) =>
+          new Map(
+            column.results.map((result, index) => [resultKey(result), index])
+          )
+      )
+      renderStats(
+        data.map((column) => column.model),
+        stats
+      )
+      renderColumn(0, data[0], ranks[1], data[1].model, topMatchCount)
+      renderColumn(1, data[1], ranks[0], data[0].model, topMatchCount)
+    },
+
+    /**
+     * Show a status line while the second model's job is running
+     * @param {string} message - Status text
+     */
+    showPending(message) {
+      statsElement.textContent = message
+    },
+
+    /**
+     * Remove both plots and the view's markup
+     */
+    destroy() {
+      plots.forEach((plot) => plot?.destroy())
+      container.innerHTML = ''
+      console.log(`Model comparison view ${containerId} destroyed.`)
+    },
+  }
+}
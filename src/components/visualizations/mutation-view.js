@@ -0,0 +1,453 @@
+/**
+ * Mutation view
+ * Reference picker, mutation summary, genome-coordinate lollipop plot and
+ * mutation table for the mutations called by mutation-calling.js
+ */
+
+import * as d3 from 'd3'
+import { summarizeMutations } from '../data/mutation-calling.js'
+import { escapeHtml } from '../ui/html-utils.js'
+
+const CUSTOM_REFERENCE = 'custom'
+const MAX_TABLE_ROWS = 1000 // The TSV export has all of them
+const PLOT_HEIGHT = 180
+const BIN_PIXELS = 4 // Mutations closer than this share a lollipop
+const MUTATION_TYPES = [
+  { key: 'SNP', label: 'SNPs' },
+  { key: 'INS', label: 'Insertions' },
+  { key: 'DEL', label: 'Deletions' },
+]
+
+/**
+ * Parse a pasted sequence (FASTA or plain bases)
+ * @param {string} text - Pasted text
+ * @returns {string} Sequence without headers and whitespace
+ */
+function parsePastedSequence(text) {
+  return text
+    .split(/\r?\n/)
+    .filter((line) => !line.startsWith('>'))
+    .join('')
+    .replace(/\s+/g, '')
+    .toUpperCase()
+}
+
+/**
+ * Shorten long alleles for display
+ * @param {string} allele - REF or ALT bases
+ * @returns {string} Allele, truncated to 12 bases
+ */
+function formatAllele(allele) {
+  return allele.length > 12 ? `${allele.slice(0, 10)}…` : allele
+}
+
+/**
+ * Create the mutation view
+ * @param {string} containerId - ID of the container element
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onCall - Called with (referenceId, customSequence) when "Call mutations" is clicked;
+ *   referenceId is a match ID from setReferences, or 'custom' with the pasted sequence
+ * @param {Function} options.onExport - Called when "Export TSV" is clicked
+ * @returns {Object|null} View API { setReferences, update, showPending, showError, clear, destroy }, or null if the container is missing
+ */
+export function createMutationView(containerId, options = {}) {
+  const container = document.getElementById(containerId)
+  if (!container) {
+    console.error(`Container with ID "${containerId}" not found`)
+    return null
+  }
+
+  container.innerHTML = `
+    <div class="mutations">
+      <div class="mutation-controls">
+        <label class="form-label text-xs" for="${containerId}-reference">Reference:</label>
+        <select id="${containerId}-reference" class="mutation-reference"></select>
+        <button class="btn btn-sm btn-primary mutation-call">Call mutations</button>
+        <button class="btn btn-sm btn-outline-secondary mutation-export" disabled>Export TSV</button>
+      </div>
+      <div class="mutation-custom" style="display: none;">
+        <textarea class="mutation-custom-text" rows="3" spellcheck="false" placeholder=">reference&#10;ACGT..."></textarea>
+        <input type="file" class="mutation-custom-file" accept=".fasta,.fa,.fna,.txt">
+      </div>
+      <div class="mutation-status"></div>
+      <div class="mutation-summary"></div>
+      <div class="mutation-plot"></div>
+      <div class="mutation-table-controls" style="display: none;">
+        <label class="text-xs">Show:
+          <select class="mutation-type-filter">
+            <option value="">All types</option>
+            ${MUTATION_TYPES.map(
+              (type) => `<option value="${type.key}">${type.label}</option>`
+            ).join('')}
+          </select>
+        </label>
+        <span class="mutation-table-note"></span>
+      </div>
+      <div class="mutation-table-wrapper">
+        <table class="mutation-table">
+          <thead><tr><th>Position</th><th>Type</th><th>Ref</th><th>Alt</th><th>Length</th><th>Your position</th></tr></thead>
+          <tbody></tbody>
+        </table>
+      </div>
+    </div>
+  `
+
+  const referenceSelect = container.querySelector('.mutation-reference')
+  const callButton = container.querySelector('.mutation-call')
+  const exportButton = container.querySelector('.mutation-export')
+  const customElement = container.querySelector('.mutation-custom')
+  const customText = container.querySelector('.mutation-custom-text')
+  const customFile = container.querySelector('.mutation-custom-file')
+  const statusElement = container.querySelector('.mutation-status')
+  const summaryElement = container.querySelector('.mutation-summary')
+  const plotElement = container.querySelector('.mutation-plot')
+  const tableControls = container.querySelector('.mutation-table-controls')
+  const typeFilter = container.querySelector('.mutation-type-filter')
+  const tableNote = container.querySelector('.mutation-table-note')
+  const tableWrapper = container.querySelector('.mutation-table-wrapper')
+  const tableBody = container.querySelector('.mutation-table tbody')
+
+  let currentResult = null
+  let highlightedRange = null // [from, to] reference positions picked in the plot
+
+  referenceSelect.addEventListener('change', () => {
+    customElement.style.display =
+      referenceSelect.value === CUSTOM_REFERENCE ? 'block' : 'none'
+  })
+
+  customFile.addEventListener('change', async () => {
+    const file = customFile.files[0]
+    if (file) customText.value = await file.text()
+  })
+
+  callButton.addEventListener('click', () => {
+    const referenceId = referenceSelect.value
+    if (!referenceId) return
+    if (referenceId === CUSTOM_REFERENCE) {
+      const sequence = parsePastedSequence(customText.value)
+      if (!sequence) {
+        statusElement.textContent =
+          'Paste a reference sequence or choose a FASTA file.'
+        return
+      }
+      if (options.onCall) options.onCall(referenceId, sequence)
+      return
+    }
+    if (options.onCall) options.onCall(referenceId, null)
+  })
+
+  exportButton.addEventListener('click', () => {
+    if (currentResult && options.onExport) options.onExport()
+  })
+
+  typeFilter.addEventListener('change', () => renderTable())
+
+  /**
+   * Remove the previous results
+   */
+  function clearResults() {
+    currentResult = null
+    highlightedRange = null
+    exportButton.disabled = true
+    summaryElement.innerHTML = ''
+    plotElement.innerHTML = ''
+    tableControls.style.display = 'none'
+    tableWrapper.style.display = 'none'
+    tableBody.innerHTML = ''
+  }
+
+  /**
+   * Show the mutation counts
+   * @param {Object} result - Result of callMutations
+   */
+  function renderSummary(result) {
+    const summary = summarizeMutations(result.mutations)
+    const items = [
+      ['Mutations', summary.total.toLocaleString()],
+      ['SNPs', summary.snps.toLocaleString()],
+      ['Insertions', summary.insertions.toLocaleString()],
+      ['Deletions', summary.deletions.toLocaleString()],
+      ['Indel bases', summary.indelBases.toLocaleString()],
+      ['Ts/Tv', summary.tiTv == null ? 'n/a' : summary.tiTv.toFixed(2)],
+      ['Identity', `${(result.identity * 100).toFixed(1)}%`],
+      ['Not called (ambiguous)', result.noCalls.toLocaleString()],
+    ]
+    summaryElement.innerHTML = items
+      .map(
+        ([label, value]) =>
+          `<div class="mutation-summary-item"><span>${label}</span><strong>${value}</strong></div>`
+      )
+      .join('')
+  }
+
+  /**
+   * Draw the lollipop plot: one lollipop per type and BIN_PIXELS-wide position bin,
+   * as high as the number of mutations in it
+   * @param {Object} result - Result of callMutations
+   */
+  function renderPlot(result) {
+    const width = plotElement.clientWidth || 640
+    const margin = { top: 12, right: 12, bottom: 36, left: 40 }
+    const x = d3
+      .scaleLinear()
+      .domain([1, Math.max(2, result.referenceLength)])
+      .range([margin.left, width - margin.right])
+    const binSize = Math.max(
+      1,
+      (result.referenceLength * BIN_PIXELS) /
+        Math.max(1, width - margin.left - margin.right)
+    )
+
+    const groups = d3.rollups(
+      result.mutations,
+      (mutations) => mutations,
+      (mutation) => mutation.type,
+      (mutation) => Math.floor((mutation.position - 1) / binSize)
+    )
+    const lollipops = groups.flatMap(([type, bins]) =>
+      bins.map(([bin, mutations]) => ({
+        type,
+        from: Math.floor(bin * binSize) + 1,
+        to: Math.floor((bin + 1) * binSize),
+        position: mutations[0].position,
+        mutations,
+      }))
+    )
+    const maxCount =
+      d3.max(lollipops, (lollipop) => lollipop.mutations.length) || 1
+    const y = d3
+      .scaleLinear()
+      .domain([0, Math.max(1, maxCount)])
+      .nice()
+      .range([PLOT_HEIGHT - margin.bottom, margin.top])
+    const color = d3
+      .scaleOrdinal()
+      .domain(MUTATION_TYPES.map((type) => type.key))
+      .range(['#d32f2f', '#7b1fa2', '#f57c00'])
+
+    const svg = d3
+      .select(plotElement)
+      .append('svg')
+      .attr('width', width)
+      .attr('height', PLOT_HEIGHT)
+      .attr('role', 'img')
+      .attr('aria-label', 'Mutations along the reference')
+
+    // Reference and the aligned part of it
+    const baseline = PLOT_HEIGHT - margin.bottom
+    svg
+      .append('rect')
+      .attr('class', 'mutation-reference-bar')
+      .attr('x', x(1))
+      .attr('width', x(result.referenceLength) - x(1))
+      .attr('y', baseline)
+      .attr('height', 6)
+    svg
+      .append('rect')
+      .attr('class', 'mutation-aligned-bar')
+      .attr('x', x(result.referenceStart + 1))
+      .attr(
+        'width',
+        Math.max(1, x(result.referenceEnd) - x(result.referenceStart + 1))
+      )
+      .attr('y', baseline)
+      .attr('height', 6)
+      .append('title')
+      .text(
+        `Aligned: ${(result.referenceStart + 1).toLocaleString()}–${result.referenceEnd.toLocaleString()}`
+      )
+
+    svg
+      .append('g')
+      .attr('transform', `translate(0,${baseline + 6})`)
+      .call(d3.axisBottom(x).ticks(6).tickFormat(d3.format('~s')))
+    svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},0)`)
+      .call(
+        d3.axisLeft(y).ticks(Math.min(4, maxCount)).tickFormat(d3.format('d'))
+      )
+
+    const lollipop = svg
+      .append('g')
+      .selectAll('g')
+      .data(lollipops)
+      .join('g')
+      .attr('class', 'mutation-lollipop')
+      .style('cursor', 'pointer')
+      .on('click', (event, d) => {
+        highlightedRange = [d.from, d.to]
+        typeFilter.value = d.type
+        renderTable()
+        tableBody
+          .querySelector('.highlighted')
+          ?.scrollIntoView({ block: 'nearest' })
+      })
+    lollipop
+      .append('line')
+      .attr('x1', (d) => x(d.position))
+      .attr('x2', (d) => x(d.position))
+      .attr('y1', baseline)
+      .attr('y2', (d) => y(d.mutations.length))
+      .attr('stroke', (d) => color(d.type))
+    lollipop
+      .append('circle')
+      .attr('cx', (d) => x(d.position))
+      .attr('cy', (d) => y(d.mutations.length))
+      .attr('r', 4)
+      .attr('fill', (d) => color(d.type))
+    lollipop.append('title').text((d) =>
+      d.mutations
+        .slice(0, 5)
+        .map(
+          (mutation) =>
+            `${mutation.type} ${mutation.position.toLocaleString()} ${formatAllele(
+              mutation.ref
+            )}>${formatAllele(mutation.alt)}`
+        )
+        .concat(
+          d.mutations.length > 5 ? [`… ${d.mutations.length - 5} more`] : []
+        )
+        .join('\n')
+    )
+
+    // Legend
+    const legend = svg
+      .append('g')
+      .attr('class', 'mutation-legend')
+      .attr(
+        'transform',
+        `translate(${width - margin.right - 230},${margin.top})`
+      )
+    MUTATION_TYPES.forEach((type, index) => {
+      const item = legend
+        .append('g')
+        .attr('transform', `translate(${index * 78},0)`)
+      item.append('circle').attr('r', 4).attr('fill', color(type.key))
+      item.append('text').attr('x', 8).attr('dy', '0.35em').text(type.label)
+    })
+  }
+
+  /**
+   * List the mutations of the selected type (highlighting those picked in the plot)
+   */
+  function renderTable() {
+    if (!currentResult) return
+    const type = typeFilter.value
+    const mutations = currentResult.mutations.filter(
+      (mutation) => !type || mutation.type === type
+    )
+    const shown = mutations.slice(0, MAX_TABLE_ROWS)
+    tableNote.textContent =
+      mutations.length > shown.length
+        ? `Showing the first ${shown.length.toLocaleString()} of ${mutations.length.toLocaleString()}; export the TSV for all.`
+        : `${mutations.length.toLocaleString()} listed`
+    tableBody.innerHTML = shown
+      .map((mutation) => {
+        const highlighted =
+          highlightedRange &&
+          mutation.position >= highlightedRange[0] &&
+          mutation.position <= highlightedRange[1]
+        return `
+        <tr class="mutation-${mutation.type.toLowerCase()}${highlighted ? ' highlighted' : ''}">
+          <td>${mutation.position.toLocaleString()}</td>
+          <td>${mutation.type}</td>
+          <td title="${escapeHtml(mutation.ref)}">${escapeHtml(
+            formatAllele(mutation.ref)
+          )}</td>
+          <td title="${escapeHtml(mutation.alt)}">${escapeHtml(
+            formatAllele(mutation.alt)
+          )}</td>
+          <td>${mutation.length}</td>
+          <td>${mutation.queryPosition.toLocaleString()}</td>
+        </tr>`
+      })
+      .join('')
+  }
+
+  return {
+    /**
+     * Set the references to choose from (a custom reference is always offered)
+     * @param {Array<Object>} references - { id, label } entries, nearest match first
+     */
+    setReferences(references) {
+      const previous = referenceSelect.value
+      referenceSelect.innerHTML = [
+        ...references.map(
+          (reference, index) =>
+            `<option value="${escapeHtml(reference.id)}">${escapeHtml(
+              index === 0 ? `Nearest: ${reference.label}` : reference.label
+            )}</option>`
+        ),
+        `<option value="${CUSTOM_REFERENCE}">Custom reference (paste or FASTA file)</option>`,
+      ].join('')
+      if (
+        [...referenceSelect.options].some((option) => option.value === previous)
+      ) {
+        referenceSelect.value = previous
+      }
+      referenceSelect.dispatchEvent(new Event('change'))
+    },
+
+    /**
+     * Show called mutations
+     * @param {Object} result - Result of callMutations
+     * @param {string} referenceLabel - Name of the reference
+     */
+    update(result, referenceLabel) {
+      clearResults()
+      currentResult = result
+      statusElement.textContent = `Mutations of your sequence relative to ${referenceLabel}.`
+      exportButton.disabled = false
+      renderSummary(result)
+      renderPlot(result)
+      typeFilter.value = ''
+      tableControls.style.display = 'flex'
+      tableWrapper.style.display = 'block'
+      renderTable()
+    },
+
+    /**
+     * Show a status line while the reference is fetched or aligned
+     * @param {string} message - Status text
+     */
+    showPending(message) {
+      clearResults()
+      statusElement.textContent = message
+    },
+
+    /**
+     * Show an error instead of results
+     * @param {string} message - Error text
+     */
+    showError(message) {
+      clearResults()
+      statusElement.textContent = message
+    },
+
+    /**
+     * Select the custom reference option (e.g. when a match has no sequence)
+     */
+    selectCustomReference() {
+      referenceSelect.value = CUSTOM_REFERENCE
+      referenceSelect.dispatchEvent(new Event('change'))
+      customText.focus()
+    },
+
+    /**
+     * Remove the results (the reference choices are kept)
+     */
+    clear() {
+      clearResults()
+      statusElement.textContent = ''
+    },
+
+    /**
+     * Remove the view's markup
+     */
+    destroy() {
+      container.innerHTML = ''
+      console.log(`Mutation view ${containerId} destroyed.`)
+    },
+  }
+}
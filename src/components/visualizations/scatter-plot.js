@@ -4,6 +4,7 @@
  */
 
 import * as d3 from 'd3'
+import { markerPath } from './sequence-markers.js'
 // No longer need topojson here if it was only for the old legend
 // import * as topojson from 'topojson-client'; // REMOVED if unused
 
@@ -28,15 +29,18 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
     yLabel: 'UMAP Dimension 2',
     pointRadius: 5,
     userPointRadius: 10, // Increased from 7 to 10 for better visibility
+    referencePointRadius: 2, // Small background points for the full reference set
     colors: {
       // Define colors for different point types
       user: '#FF5722', // Orange
       top10: '#E91E63', // Pink/Red
       other: '#9E9E9E', // Grey
+      reference: '#CFD8DC', // Light blue-grey for the full reference set
       highlight: '#2196F3', // Blue for hover/selection highlight
       stroke: '#FFFFFF', // White stroke for points
     },
     onPointClick: null,
+    onUserSequenceClick: null, // Batch mode: receives the clicked user sequence
     transitionDuration: 300,
     crossHighlight: null,
   }
@@ -148,6 +152,12 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
     .style('opacity', 0) // Start transparent
     .style('transition', 'opacity 0.2s ease-out')
 
+  // --- Reference Points Group --- (Full reference set, drawn behind everything else)
+  const referenceGroup = g.append('g').attr('class', 'reference-points-group')
+  let referenceData = [] // Accumulated reference points (added in batches)
+  let lastSimilarData = [] // Last data passed to updateScatterPlot (for rescaling)
+  let lastUserSequence = null
+
   // --- ADD Connections Group ---
   const connectionsGroup = g.append('g').attr('class', 'connections-group')
 
@@ -167,6 +177,10 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
   // --- ADD Label Group ---
   const labelsGroup = g.append('g').attr('class', 'labels-group')
 
+  // --- Batch Sequences Group --- (all of the user's sequences in batch mode)
+  const batchGroup = g.append('g').attr('class', 'batch-sequences-group')
+  let batchSequences = [] // Set with setUserSequences
+
   // <<<--- START NEW ZOOM CODE --->>>
   // Define the zoom behavior
   const zoomBehavior = d3
@@ -207,6 +221,8 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
   ) {
     // Merge update options with config if needed
     Object.assign(config, updateOptions)
+    lastSimilarData = similarData
+    lastUserSequence = userSequence
 
     // Filter data first
     const validSimilarData = similarData.filter(
@@ -218,9 +234,15 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
       userSequence && userSequence.x != null && userSequence.y != null
         ? [userSequence]
         : []
-
-    // Combine ALL valid points for scale domains
-    const allValidPoints = [...userData, ...validSimilarData]
+    const batchData = batchSequences.filter((d) => d.x != null && d.y != null)
+
+    // Combine ALL valid points (including any loaded reference set) for scale domains
+    const allValidPoints = [
+      ...userData,
+      ...batchData,
+      ...validSimilarData,
+      ...referenceData,
+    ]
 
     console.log(
       `Updating scatter plot: User=${userData.length}, Top10=${top10SimilarData.length}, Other=${otherSimilarData.length}`
@@ -261,6 +283,14 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
 
     // --- DRAWING ORDER ---
 
+    // 0. Reference points (background) follow the new scales
+    referenceGroup
+      .selectAll('.reference-point')
+      .transition('update-reference')
+      .duration(config.transitionDuration)
+      .attr('cx', (d) => xScale(d.x))
+      .attr('cy', (d) => yScale(d.y))
+
     // 1. Other Similar Points (Grey)
     const otherPoints = pointsGroup
       .selectAll('.other-similar-point')
@@ -413,10 +443,96 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
       .text((d) => `${(d.similarity * 100).toFixed(0)}%`) // Display percentage
       .style('opacity', 1) // Fade in
 
+    // 6. Batch sequences with their own markers (on top)
+    drawBatchSequences(batchData, userSequence)
+
     // Update Legend
     addOrUpdateLegend()
   }
 
+  /**
+   * Draws the user's batch sequences with distinct markers and header labels.
+   * The active sequence (the main user point) gets a larger, outlined marker.
+   * @param {Array} sequences - Batch sequences with coordinates and a marker { symbol, color }
+   * @param {Object|null} activeSequence - The sequence whose matches are shown
+   */
+  function drawBatchSequences(sequences, activeSequence) {
+    const isActive = (d) => activeSequence != null && d.id === activeSequence.id
+
+    const markers = batchGroup
+      .selectAll('.batch-sequence')
+      .data(sequences, (d) => d.id)
+
+    markers.exit().remove()
+
+    const enterMarkers = markers
+      .enter()
+      .append('g')
+      .attr('class', 'batch-sequence')
+      .attr('data-id', (d) => d.id)
+      .attr('transform', (d) => `translate(${xScale(d.x)},${yScale(d.y)})`)
+      .style('cursor', 'pointer')
+    enterMarkers.append('path').attr('class', 'batch-sequence-marker')
+    enterMarkers
+      .append('text')
+      .attr('class', 'batch-sequence-label')
+      .attr('text-anchor', 'middle')
+      .style('font-size', '10px')
+      .style('font-weight', 'bold')
+      .style('stroke', 'white')
+      .style('stroke-width', '2px')
+      .style('paint-order', 'stroke')
+      .style('pointer-events', 'none')
+
+    const mergedMarkers = enterMarkers.merge(markers)
+    mergedMarkers
+      .transition('update-batch')
+      .duration(config.transitionDuration)
+      .attr('transform', (d) => `translate(${xScale(d.x)},${yScale(d.y)})`)
+    mergedMarkers
+      .select('.batch-sequence-marker')
+      .attr('d', (d) => markerPath(d.marker.symbol, isActive(d) ? 260 : 140))
+      .style('fill', (d) => d.marker.color)
+      .style('stroke', (d) => (isActive(d) ? '#222' : config.colors.stroke))
+      .style('stroke-width', (d) => (isActive(d) ? 2 : 1.5))
+    mergedMarkers
+      .select('.batch-sequence-label')
+      .attr('y', (d) => (isActive(d) ? -14 : -11))
+      .style('fill', (d) => d.marker.color)
+      .text((d) => d.label)
+
+    mergedMarkers
+      .on('mouseover', function (event, d) {
+        d3.select(this).raise()
+        tooltip
+          .style('opacity', 1)
+          .style('visibility', 'visible')
+          .html(getTooltipContent(d))
+      })
+      .on('mousemove', function (event) {
+        tooltip
+          .style('left', event.pageX + 15 + 'px')
+          .style('top', event.pageY - 10 + 'px')
+      })
+      .on('mouseout', function () {
+        tooltip.style('opacity', 0).style('visibility', 'hidden')
+      })
+      .on('click', function (event, d) {
+        if (typeof config.onUserSequenceClick === 'function') {
+          config.onUserSequenceClick(d)
+        }
+      })
+  }
+
+  /**
+   * Set the user's sequences shown with their own markers (batch mode).
+   * @param {Array} sequences - Sequences { id, x, y, label, marker: { symbol, color } }; empty to clear
+   */
+  function setUserSequences(sequences = []) {
+    batchSequences = sequences
+    updateScatterPlot(lastSimilarData, lastUserSequence)
+  }
+
   /**
    * Applies common event handlers (mouseover, mousemove, mouseout, click) to a D3 selection of points.
    * @param {d3.Selection} selection - The D3 selection of circle elements.
@@ -654,6 +770,12 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
       { color: config.colors.other, label: 'Similar (11-100)' },
       // { color: 'steelblue', label: 'Similarity Line' } // Example if added later
     ]
+    if (referenceData.length > 0) {
+      legendItems.push({
+        color: config.colors.reference,
+        label: `Reference Set (${referenceData.length.toLocaleString()})`,
+      })
+    }
 
     legendItems.forEach((item, index) => {
       const itemGroup = legendGroup
@@ -705,11 +827,20 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
     yLabel.attr('x', -innerHeight / 2).attr('y', -config.margin.left + 20)
 
     // Update points position
+    referenceGroup
+      .selectAll('.reference-point')
+      .attr('cx', (d) => xScale(d.x))
+      .attr('cy', (d) => yScale(d.y))
+
     pointsGroup
       .selectAll('.scatter-point')
       .attr('cx', (d) => xScale(d.x))
       .attr('cy', (d) => yScale(d.y))
 
+    batchGroup
+      .selectAll('.batch-sequence')
+      .attr('transform', (d) => `translate(${xScale(d.x)},${yScale(d.y)})`)
+
     // --- Update Label Positions ---
     labelsGroup
       .selectAll('.point-label')
@@ -833,6 +964,79 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
     console.log('Cleared all highlights in scatter plot.')
   }
 
+  /**
+   * Appends a batch of reference points (e.g. from a streamed UMAP reference set).
+   * Points are drawn immediately without transitions; scales are only recomputed
+   * when the batch falls outside the current domain.
+   * @param {Array} points - Reference points with x/y (or X/Y) coordinates.
+   */
+  function addReferencePoints(points = []) {
+    const batch = points
+      .map((d) => ({
+        ...d,
+        x: d.x != null ? d.x : d.X,
+        y: d.y != null ? d.y : d.Y,
+      }))
+      .filter((d) => d.x != null && d.y != null && !isNaN(d.x) && !isNaN(d.y))
+    if (batch.length === 0) return
+
+    referenceData = referenceData.concat(batch)
+
+    // Rescale only if the new batch falls outside the current domain
+    const [xMin, xMax] = xScale.domain()
+    const [yMin, yMax] = yScale.domain()
+    const outside = batch.some(
+      (d) => d.x < xMin || d.x > xMax || d.y < yMin || d.y > yMax
+    )
+    const hasForeground = lastSimilarData.length > 0 || lastUserSequence
+
+    referenceGroup
+      .selectAll(null) // Append only; existing reference points are untouched
+      .data(batch)
+      .enter()
+      .append('circle')
+      .attr('class', 'reference-point')
+      .attr('cx', (d) => xScale(d.x))
+      .attr('cy', (d) => yScale(d.y))
+      .attr('r', config.referencePointRadius)
+      .style('fill', config.colors.reference)
+      .style('fill-opacity', 0.6)
+      .style('pointer-events', 'none')
+
+    if (outside || xMin === xMax) {
+      if (hasForeground) {
+        // Recomputes the domain over all points and moves everything
+        updateScatterPlot(lastSimilarData, lastUserSequence)
+      } else {
+        g.select('.empty-state-message').remove()
+        const xExtent = d3.extent(referenceData, (d) => d.x)
+        const yExtent = d3.extent(referenceData, (d) => d.y)
+        const xPadding = (xExtent[1] - xExtent[0]) * 0.1 || 1
+        const yPadding = (yExtent[1] - yExtent[0]) * 0.1 || 1
+        xScale.domain([xExtent[0] - xPadding, xExtent[1] + xPadding])
+        yScale.domain([yExtent[0] - yPadding, yExtent[1] + yPadding])
+        xAxisGroup.call(xAxis)
+        yAxisGroup.call(yAxis)
+        referenceGroup
+          .selectAll('.reference-point')
+          .attr('cx', (d) => xScale(d.x))
+          .attr('cy', (d) => yScale(d.y))
+        addOrUpdateLegend()
+      }
+    } else {
+      addOrUpdateLegend() // Keep the reference count current
+    }
+  }
+
+  /**
+   * Removes all reference points.
+   */
+  function clearReferencePoints() {
+    referenceData = []
+    referenceGroup.selectAll('.reference-point').remove()
+    addOrUpdateLegend()
+  }
+
   /**
    * Sets the function to be called for cross-highlighting.
    * @param {Function} fn - The callback function (receives pointId, highlightState).
@@ -848,6 +1052,9 @@ export function createUmapScatterPlot(containerId, data = [], options = {}) {
     clearHighlights,
     setCrossHighlightFunction,
     addSimilarityConnections, // Expose the connections function if needed externally
+    addReferencePoints, // Progressive rendering of the full reference set
+    clearReferencePoints,
+    setUserSequences, // Batch mode markers
     container, // Expose container DOM element
     svg: svg, // <<< FIX: Return the D3 selection 'svg', not svg.node() >>>
     // g: g.node(), // Expose main group DOM element (optional, keep if needed elsewhere)
@@ -0,0 +1,57 @@
+/**
+ * Sequence markers
+ * Distinct marker shapes and colours for the user's sequences in batch mode,
+ * shared by the UMAP plot, the geo map and the batch panel so one sequence
+ * looks the same everywhere.
+ */
+
+import * as d3 from 'd3'
+
+const MARKER_SYMBOLS = {
+  circle: d3.symbolCircle,
+  diamond: d3.symbolDiamond,
+  square: d3.symbolSquare,
+  triangle: d3.symbolTriangle,
+  star: d3.symbolStar,
+  cross: d3.symbolCross,
+  wye: d3.symbolWye,
+}
+
+const MARKER_COLORS = d3.schemeTableau10
+
+/**
+ * Get the marker of the n-th user sequence (shapes cycle first, then colours)
+ * @param {number} index - Position of the sequence in the batch
+ * @returns {Object} { symbol, color }
+ */
+export function getSequenceMarker(index) {
+  const symbols = Object.keys(MARKER_SYMBOLS)
+  return {
+    symbol: symbols[index % symbols.length],
+    color: MARKER_COLORS[index % MARKER_COLORS.length],
+  }
+}
+
+/**
+ * Build the SVG path of a marker
+ * @param {string} symbol - Symbol name from getSequenceMarker
+ * @param {number} size - Symbol area in square pixels (default: 120)
+ * @returns {string} Path data centred on (0, 0)
+ */
+export function markerPath(symbol, size = 120) {
+  return d3.symbol(MARKER_SYMBOLS[symbol] || d3.symbolCircle, size)()
+}
+
+/**
+ * Render a marker as a small inline SVG (for lists and legends)
+ * @param {Object} marker - { symbol, color }
+ * @param {number} pixels - Width and height of the SVG (default: 14)
+ * @returns {string} SVG markup
+ */
+export function markerSwatch(marker, pixels = 14) {
+  const half = pixels / 2
+  return `<svg width="${pixels}" height="${pixels}" viewBox="${-half} ${-half} ${pixels} ${pixels}" aria-hidden="true"><path d="${markerPath(
+    marker.symbol,
+    pixels * pixels * 0.45
+  )}" fill="${marker.color}" stroke="#fff" stroke-width="1"></path></svg>`
+}
@@ -0,0 +1,367 @@
+/**
+ * Sequence profile view
+ * Quality summary of the uploaded sequence, computed in the browser: length,
+ * GC content, ambiguous bases, longest N run, k-mer composition and a
+ * sliding-window GC plot
+ */
+
+import * as d3 from 'd3'
+import {
+  computeSequenceProfile,
+  countKmers,
+} from '../data/sequence-stats.js'
+
+const KMER_SIZES = [1, 2, 3, 4, 5, 6]
+const MAX_LISTED_KMERS = 12
+// Quality flags
+const MAX_AMBIGUOUS_FRACTION = 0.01
+const MIN_FLAGGED_N_RUN = 100
+const GC_WINDOW_DEVIATION = 0.15 // Windows this far from the mean GC are highlighted
+
+/**
+ * Format a fraction as a percentage
+ * @param {number} value - Fraction between 0 and 1
+ * @param {number} digits - Decimal places (default: 1)
+ * @returns {string} e.g. "42.1%" ("n/a" for null)
+ */
+function formatPercent(value, digits = 1) {
+  return value == null ? 'n/a' : `${(value * 100).toFixed(digits)}%`
+}
+
+/**
+ * Describe quality problems of a profile
+ * @param {Object} profile - Result of computeSequenceProfile
+ * @returns {Array<string>} Warning messages
+ */
+function getQualityWarnings(profile) {
+  const warnings = []
+  const ambiguousFraction = profile.length
+    ? profile.ambiguousCount / profile.length
+    : 0
+  if (ambiguousFraction > MAX_AMBIGUOUS_FRACTION) {
+    warnings.push(
+      `${formatPercent(ambiguousFraction)} of the bases are ambiguous.`
+    )
+  }
+  if (profile.longestNRun.length >= MIN_FLAGGED_N_RUN) {
+    warnings.push(
+      `A run of ${profile.longestNRun.length.toLocaleString()} Ns (position ${(
+        profile.longestNRun.start + 1
+      ).toLocaleString()}) suggests an assembly gap.`
+    )
+  }
+  const other = profile.composition.other - profile.ambiguousCount
+  if (other > 0) {
+    warnings.push(`${other.toLocaleString()} characters are not IUPAC bases.`)
+  }
+  return warnings
+}
+
+/**
+ * Create the sequence profile view
+ * @param {string} containerId - ID of the container element
+ * @param {Object} options - Configuration options
+ * @param {number} options.plotHeight - Height of the GC plot in pixels (default: 150)
+ * @param {number} options.kmerSize - Initial k-mer length (default: 3)
+ * @returns {Object|null} View API { update, clear, destroy }, or null if the container is missing
+ */
+export function createSequenceProfileView(containerId, options = {}) {
+  const config = { plotHeight: 150, kmerSize: 3, ...options }
+  const container = document.getElementById(containerId)
+  if (!container) {
+    console.error(`Container with ID "${containerId}" not found`)
+    return null
+  }
+
+  container.innerHTML = `
+    <div class="sequence-profile">
+      <div class="sequence-profile-label"></div>
+      <dl class="sequence-profile-stats"></dl>
+      <ul class="sequence-profile-warnings"></ul>
+      <h3 class="sequence-profile-subheading">GC content <span class="sequence-profile-window"></span></h3>
+      <div class="sequence-profile-gc" style="height: ${config.plotHeight}px;"></div>
+      <h3 class="sequence-profile-subheading">
+        k-mer composition
+        <select class="sequence-profile-k" title="k-mer length">
+          ${KMER_SIZES.map(
+            (k) =>
+              `<option value="${k}" ${
+                k === config.kmerSize ? 'selected' : ''
+              }>k = ${k}</option>`
+          ).join('')}
+        </select>
+      </h3>
+      <div class="sequence-profile-kmer-summary"></div>
+      <ol class="sequence-profile-kmers"></ol>
+    </div>
+  `
+
+  const labelElement = container.querySelector('.sequence-profile-label')
+  const statsElement = container.querySelector('.sequence-profile-stats')
+  const warningsElement = container.querySelector(
+    '.sequence-profile-warnings'
+  )
+  const windowElement = container.querySelector('.sequence-profile-window')
+  const gcElement = container.querySelector('.sequence-profile-gc')
+  const kSelect = container.querySelector('.sequence-profile-k')
+  const kmerSummaryElement = container.querySelector(
+    '.sequence-profile-kmer-summary'
+  )
+  const kmerList = container.querySelector('.sequence-profile-kmers')
+
+  let currentSequence = null
+  let currentProfile = null
+
+  /**
+   * Render the summary statistics and quality warnings
+   * @param {Object} profile - Result of computeSequenceProfile
+   */
+  function renderStats(profile) {
+    const ambiguous = Object.entries(profile.ambiguous)
+      .sort((a, b) => b[1] - a[1])
+      .map(([code, count]) => `${code} ${count.toLocaleString()}`)
+      .join(', ')
+    const nRun = profile.longestNRun.length
+      ? `${profile.longestNRun.length.toLocaleString()} bp at ${(
+          profile.longestNRun.start + 1
+        ).toLocaleString()}`
+      : 'none'
+    const rows = [
+      ['Length', `${profile.length.toLocaleString()} bp`],
+      ['GC content', formatPercent(profile.gcContent)],
+      [
+        'Ambiguous bases',
+        `${profile.ambiguousCount.toLocaleString()}${
+          ambiguous ? ` (${ambiguous})` : ''
+        }`,
+      ],
+      ['Longest N run', nRun],
+    ]
+    statsElement.innerHTML = rows
+      .map(([term, value]) => `<dt>${term}</dt><dd>${value}</dd>`)
+      .join('')
+
+    const warnings = getQualityWarnings(profile)
+    warningsElement.innerHTML = warnings
+      .map((warning) => `<li>${warning}</li>`)
+      .join('')
+    warningsElement.style.display = warnings.length ? 'block' : 'none'
+  }
+
+  /**
+   * Draw the sliding-window GC plot
+   * @param {Object} profile - Result of computeSequenceProfile
+   */
+  function renderGcPlot(profile) {
+    const { windowSize, step, windows } = profile.gcWindows
+    windowElement.textContent = `(${windowSize.toLocaleString()} bp windows, step ${step.toLocaleString()})`
+    gcElement.innerHTML = ''
+    if (windows.length === 0) {
+      gcElement.innerHTML =
+        '<p class="text-center text-gray-500">Too short for a GC plot.</p>'
+      return
+    }
+
+    const width = gcElement.clientWidth || 320
+    const height = config.plotHeight
+    const margin = { top: 8, right: 8, bottom: 24, left: 36 }
+    const meanGc = profile.gcContent
+
+    const x = d3
+      .scaleLinear()
+      .domain([0, profile.length])
+      .range([margin.left, width - margin.right])
+    const y = d3
+      .scaleLinear()
+      .domain([0, 1])
+      .range([height - margin.bottom, margin.top])
+    const center = (bin) => (bin.start + bin.end) / 2
+
+    const svg = d3
+      .select(gcElement)
+      .append('svg')
+      .attr('width', width)
+      .attr('height', height)
+      .attr('role', 'img')
+      .attr('aria-label', 'GC content along the sequence')
+
+    svg
+      .append('g')
+      .attr('transform', `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(x).ticks(5).tickFormat(d3.format('~s')))
+    svg
+      .append('g')
+      .attr('transform', `translate(${margin.left},0)`)
+      .call(d3.axisLeft(y).ticks(4).tickFormat(d3.format('.0%')))
+
+    // Windows far from the mean GC (contamination, adapters, low complexity)
+    if (meanGc != null) {
+      svg
+        .append('g')
+        .selectAll('rect')
+        .data(
+          windows.filter(
+            (bin) =>
+              bin.gc != null &&
+              Math.abs(bin.gc - meanGc) > GC_WINDOW_DEVIATION
+          )
+        )
+        .join('rect')
+        .attr('class', 'gc-outlier')
+        .attr('x', (bin) => x(bin.start))
+        .attr('width', (bin) =>
+          Math.max(1, x(bin.end) - x(bin.start))
+        )
+        .attr('y', margin.top)
+        .attr('height', height - margin.top - margin.bottom)
+
+      svg
+        .append('line')
+        .attr('class', 'gc-mean')
+        .attr('x1', margin.left)
+        .attr('x2', width - margin.right)
+        .attr('y1', y(meanGc))
+        .attr('y2', y(meanGc))
+    }
+
+    // Windows without unambiguous bases (e.g. N runs) leave gaps
+    svg
+      .append('path')
+      .datum(windows)
+      .attr('class', 'gc-line')
+      .attr(
+        'd',
+        d3
+          .line()
+          .defined((bin) => bin.gc != null)
+          .x((bin) => x(center(bin)))
+          .y((bin) => y(bin.gc))
+      )
+
+    // Hover readout
+    const focus = svg.append('g').style('display', 'none')
+    focus
+      .append('line')
+      .attr('class', 'gc-focus-line')
+      .attr('y1', margin.top)
+      .attr('y2', height - margin.bottom)
+    const focusLabel = focus
+      .append('text')
+      .attr('class', 'gc-focus-label')
+      .attr('y', margin.top + 10)
+    const bisect = d3.bisector(center).center
+
+    svg
+      .append('rect')
+      .attr('x', margin.left)
+      .attr('y', margin.top)
+      .attr('width', width - margin.left - margin.right)
+      .attr('height', height - margin.top - margin.bottom)
+      .attr('fill', 'transparent')
+      .on('mousemove', (event) => {
+        const bin = windows[bisect(windows, x.invert(d3.pointer(event)[0]))]
+        const position = x(center(bin))
+        focus.style('display', null)
+        focus.select('line').attr('x1', position).attr('x2', position)
+        focusLabel
+          .attr('x', position + (position > width / 2 ? -4 : 4))
+          .attr('text-anchor', position > width / 2 ? 'end' : 'start')
+          .text(
+            `${(bin.start + 1).toLocaleString()}–${bin.end.toLocaleString()}: ${formatPercent(
+              bin.gc
+            )}`
+          )
+      })
+      .on('mouseleave', () => focus.style('display', 'none'))
+  }
+
+  /**
+   * List the most frequent k-mers
+   * @param {Object} kmers - Result of countKmers
+   */
+  function renderKmers(kmers) {
+    kmerSummaryElement.textContent = kmers.total
+      ? `${kmers.distinct.toLocaleString()} of ${kmers.possible.toLocaleString()} possible ${
+          kmers.k
+        }-mers occur (${kmers.total.toLocaleString()} counted).`
+      : `No ${kmers.k}-mers without ambiguous bases.`
+    const expected = 1 / kmers.possible
+    const maxFraction = kmers.counts[0]?.fraction || 1
+    kmerList.innerHTML = kmers.counts
+      .slice(0, MAX_LISTED_KMERS)
+      .map(
+        ({ kmer, count, fraction }) => `
+        <li title="${count.toLocaleString()} occurrences; ${(
+          fraction / expected
+        ).toFixed(1)}× the uniform expectation">
+          <span class="sequence-profile-kmer">${kmer}</span>
+          <span class="sequence-profile-kmer-bar"><span style="width: ${
+            (fraction / maxFraction) * 100
+          }%;"></span></span>
+          <span class="sequence-profile-kmer-fraction">${formatPercent(
+            fraction
+          )}</span>
+        </li>`
+      )
+      .join('')
+  }
+
+  kSelect.addEventListener('change', () => {
+    if (currentSequence) {
+      renderKmers(countKmers(currentSequence, Number(kSelect.value)))
+    }
+  })
+
+  return {
+    /**
+     * Profile a sequence and show the results
+     * @param {Object} data - Sequence data
+     * @param {string} data.sequence - Nucleotide sequence
+     * @param {string} data.label - Sequence label (e.g. the FASTA header)
+     * @returns {Object} The computed profile
+     */
+    update({ sequence, label = '' }) {
+      currentSequence = sequence
+      currentProfile = computeSequenceProfile(sequence, {
+        k: Number(kSelect.value),
+      })
+      labelElement.textContent = label
+      renderStats(currentProfile)
+      renderGcPlot(currentProfile)
+      renderKmers(currentProfile.kmers)
+      return currentProfile
+    },
+
+    /**
+     * The last computed profile
+     * @returns {Object|null} Result of computeSequenceProfile
+     */
+    getProfile() {
+      return currentProfile
+    },
+
+    /**
+     * Remove the shown profile
+     */
+    clear() {
+      currentSequence = null
+      currentProfile = null
+      labelElement.textContent = ''
+      statsElement.innerHTML = ''
+      warningsElement.innerHTML = ''
+      warningsElement.style.display = 'none'
+      windowElement.textContent = ''
+      gcElement.innerHTML = ''
+      kmerSummaryElement.textContent = ''
+      kmerList.innerHTML = ''
+    },
+
+    /**
+     * Remove the view's markup
+     */
+    destroy() {
+      container.innerHTML = ''
+      console.log(`Sequence profile view ${containerId} destroyed.`)
+    },
+  }
+}
@@ -1,5 +1,6 @@
 import * as d3 from 'd3'
 import * as topojson from 'topojson-client'
+import { markerPath } from './sequence-markers.js'
 
 /**
  * Create a geographic map visualization for user sequences and their top similar matches,
@@ -48,6 +49,7 @@ export async function createUserGeoMap(
   let _similarityThreshold = 0 // 0-1 range
   let _userSequence = initialUserSequence
   let _currentDataSubset = initialData // Store the subset passed initially
+  let _batchSequences = [] // All user sequences in batch mode (setUserSequences)
 
   // --- Container Setup ---
   const container = document.getElementById(containerId)
@@ -488,9 +490,17 @@ export async function createUserGeoMap(
         .on('mouseover', function (event) {
           tooltip
             .html(
-              `<h4>Your Sequence</h4><p>ID: ${
+              `<h4>${userSequence?.label || 'Your Sequence'}</h4><p>ID: ${
                 userSequence?.id || 'N/A'
-              }</p><p style="color: #777;">(Placeholder Location)</p>`
+              }</p>${
+                userSequence?.metadata?.location
+                  ? `<p>Collected in ${userSequence.metadata.location}${
+                      userSequence.metadata.collection_date
+                        ? ` (${userSequence.metadata.collection_date})`
+                        : ''
+                    }</p>`
+                  : ''
+              }<p style="color: #777;">(Placeholder Location)</p>`
             )
             .style('visibility', 'visible')
             .transition()
@@ -509,6 +519,92 @@ export async function createUserGeoMap(
         '🌍 Geo Map - User point drawn on top at placeholder location.'
       )
     }
+
+    _drawBatchSequences()
+  }
+
+  /**
+   * Draws the user's batch sequences with their markers. Sequences with a
+   * known location ({ location: { lat, lon } }) are placed there; the others
+   * are arranged in a ring around the user placeholder location.
+   */
+  function _drawBatchSequences() {
+    if (_batchSequences.length === 0) return
+    const placeholder = projection([-30, 0]) // Same placeholder as the user point
+    const unlocated = _batchSequences.filter((seq) => !seq.location)
+    const ringRadius = unlocated.length > 1 ? 14 : 0
+
+    _batchSequences.forEach((seq) => {
+      let position = null
+      if (seq.location) {
+        position = projection([seq.location.lon, seq.location.lat])
+      } else if (placeholder) {
+        const angle = (2 * Math.PI * unlocated.indexOf(seq)) / unlocated.length
+        position = [
+          placeholder[0] + Math.cos(angle) * ringRadius,
+          placeholder[1] + Math.sin(angle) * ringRadius,
+        ]
+      }
+      if (!position || isNaN(position[0]) || isNaN(position[1])) return
+
+      const isActive = _userSequence != null && seq.id === _userSequence.id
+      const marker = pointsGroup
+        .append('g')
+        .attr('class', 'map-point batch-sequence-point')
+        .attr('data-id', seq.id)
+        .attr('transform', `translate(${position[0]},${position[1]})`)
+        .style('cursor', 'help')
+      marker
+        .append('path')
+        .attr('d', markerPath(seq.marker.symbol, isActive ? 140 : 80))
+        .attr('fill', seq.marker.color)
+        .attr('stroke', isActive ? '#222' : '#fff')
+        .attr('stroke-width', isActive ? 1.5 : 1)
+      marker
+        .append('text')
+        .attr('y', -8)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '8px')
+        .style('font-weight', 'bold')
+        .style('fill', seq.marker.color)
+        .style('stroke', 'white')
+        .style('stroke-width', '2px')
+        .style('paint-order', 'stroke')
+        .style('pointer-events', 'none')
+        .text(seq.label)
+      marker
+        .on('mouseover', function () {
+          tooltip
+            .html(
+              `<h4>${seq.label}</h4><p>${seq.header || seq.id}</p>${
+                seq.location
+                  ? ''
+                  : '<p style="color: #777;">(Placeholder Location)</p>'
+              }`
+            )
+            .style('visibility', 'visible')
+            .transition()
+            .duration(100)
+            .style('opacity', 1)
+        })
+        .on('mousemove', function (event) {
+          tooltip
+            .style('top', event.pageY - 15 + 'px')
+            .style('left', event.pageX + 15 + 'px')
+        })
+        .on('mouseout', function () {
+          tooltip.style('opacity', 0).style('visibility', 'hidden')
+        })
+    })
+  }
+
+  /**
+   * Set the user's sequences shown with their own markers (batch mode).
+   * @param {Array} sequences - Sequences { id, label, header, marker, location? }; empty to clear
+   */
+  function setUserSequences(sequences = []) {
+    _batchSequences = sequences
+    _redrawMap()
   }
 
   // --- Time-Lapse Logic (Internal) ---
@@ -842,6 +938,7 @@ export async function createUserGeoMap(
     isPlaying,
     // Data update
     updateData,
+    setUserSequences, // Batch mode markers
     // Cleanup
     destroy,
   }